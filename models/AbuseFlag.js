@@ -0,0 +1,29 @@
+// models/AbuseFlag.js
+const mongoose = require('mongoose');
+
+// A suspicion raised by services/abuse for an admin to review. One flag per
+// (kind, key) grows as more accounts/teams join the cluster:
+//   shared_ip / shared_device  key = the IP / device id
+//   similar_teams              key = "<matchId>:<oldest teamId in the group>"
+//   rate_limit                 key = "<rule>:<ip|account>:<ip or user id>"
+const abuseFlagSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['shared_ip', 'shared_device', 'similar_teams', 'rate_limit'], required: true },
+  key: { type: String, required: true },
+  userIds: { type: [String], default: [] },
+  teamIds: { type: [String], default: [] },
+  matchIds: { type: [String], default: [] },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  hits: { type: Number, default: 1 },          // times the detector fired
+  status: { type: String, enum: ['open', 'dismissed', 'actioned'], default: 'open', index: true },
+  reviewedBy: { type: String, default: '' },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: '' },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+abuseFlagSchema.index({ kind: 1, key: 1 }, { unique: true });
+abuseFlagSchema.index({ status: 1, lastSeenAt: -1 });
+abuseFlagSchema.index({ userIds: 1 });
+
+module.exports = mongoose.models.AbuseFlag || mongoose.model('AbuseFlag', abuseFlagSchema);
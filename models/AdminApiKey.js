@@ -0,0 +1,20 @@
+// models/AdminApiKey.js
+const mongoose = require('mongoose');
+
+// Per-user admin API key (services/permissions). Only the sha256 of the
+// key is stored; `prefix` is kept so admins can tell their keys apart.
+const adminApiKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, default: '' },
+  prefix: { type: String, default: '' },
+  keyHash: { type: String, required: true, unique: true },
+  roles: { type: [String], default: [] },   // empty = every role the user holds
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: String, default: '' }
+}, { versionKey: false });
+
+module.exports = mongoose.models.AdminApiKey || mongoose.model('AdminApiKey', adminApiKeySchema);
@@ -0,0 +1,29 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (services/audit). `targets`
+// holds the ids an action touched keyed by kind; `targetIds` flattens
+// them for filtering.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true },   // admin user id, or 'admin-token'
+  actorType: { type: String, enum: ['token', 'jwt', 'apikey'], required: true },
+  actorName: { type: String, default: '' },
+  action: { type: String, required: true },  // e.g. 'stats.publish'
+  method: { type: String, default: '' },
+  path: { type: String, default: '' },       // route path, never the query string
+  targets: { type: mongoose.Schema.Types.Mixed, default: {} },
+  targetIds: { type: [String], default: [] },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: { type: Number, default: null },   // HTTP status sent back
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetIds: 1, createdAt: -1 });
+
+module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,28 @@
+// models/AuthSession.js
+const mongoose = require('mongoose');
+
+// One login on one device (services/sessions). Access JWTs carry the
+// session id as `sid`; the refresh token is stored only as a hash and is
+// replaced on every refresh. `previousHash` lets a replayed old token be
+// recognised as theft rather than just "invalid".
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshHash: { type: String, required: true },
+  previousHash: { type: String, default: '' },
+  rotatedAt: { type: Date, default: null },
+  device: { type: String, default: '' },     // short label, e.g. "Chrome on Android"
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '', index: true },
+  deviceId: { type: String, default: '', index: true }, // X-Device-Id sent by public/js/app.js
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }, // slides forward on each refresh
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: '' }
+}, { versionKey: false });
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Mongo drops sessions a while after they lapse
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+module.exports = mongoose.models.AuthSession || mongoose.model('AuthSession', authSessionSchema);
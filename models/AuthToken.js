@@ -0,0 +1,20 @@
+// models/AuthToken.js
+const mongoose = require('mongoose');
+
+// Single-use emailed token (services/authTokens). Only the sha256 of the
+// token is stored. `email` pins a verification token to the address it
+// was sent to, so changing the email invalidates it.
+const authTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { versionKey: false });
+
+authTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 3600 });
+
+module.exports = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,39 @@
+// models/BallEvent.js
+const mongoose = require('mongoose');
+
+// One delivery (or penalty) in a match's ball-by-ball log. Events are never
+// deleted: undo flags the event and Match.stats is re-derived without it.
+const ballEventSchema = new mongoose.Schema({
+  matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+  seq: { type: Number, required: true }, // 1-based order within the match
+  innings: { type: Number, default: 1 },
+  over: { type: Number, default: 0 },    // 0-based, derived from legal balls
+  ball: { type: Number, default: 0 },    // 1..6 for legal balls, repeats for wides/no-balls
+  batter: { type: String, default: '' },
+  nonStriker: { type: String, default: '' },
+  bowler: { type: String, default: '' },
+  runs: { type: Number, default: 0 },    // off the bat
+  boundary: { type: Boolean, default: null }, // null = infer from runs 4/6
+  extras: {
+    type: { type: String, enum: ['', 'wide', 'noball', 'bye', 'legbye', 'penalty'], default: '' },
+    runs: { type: Number, default: 0 }
+  },
+  wicket: {
+    kind: {
+      type: String,
+      enum: ['', 'bowled', 'caught', 'caughtandbowled', 'lbw', 'stumped', 'runout', 'hitwicket', 'retired', 'obstructing'],
+      default: ''
+    },
+    playerOut: { type: String, default: '' },
+    fielder: { type: String, default: '' }
+  },
+  undone: { type: Boolean, default: false },
+  undoneAt: { type: Date, default: null },
+  undoneBy: { type: String, default: '' },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+ballEventSchema.index({ matchId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.models.BallEvent || mongoose.model('BallEvent', ballEventSchema);
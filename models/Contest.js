@@ -1,13 +1,58 @@
 // models/Contest.js
 const mongoose = require('mongoose');
 
+const prizeBandSchema = new mongoose.Schema({
+  fromRank: { type: Number, required: true },
+  toRank: { type: Number, required: true },
+  amount: { type: Number, default: 0 },   // type 'fixed'
+  percent: { type: Number, default: 0 }   // type 'percentage', of the pool
+}, { _id: false });
+
+const prizeStructureSchema = new mongoose.Schema({
+  type: { type: String, enum: ['fixed', 'percentage'], default: 'percentage' },
+  rakePercent: { type: Number, default: 0 },
+  guaranteedPool: { type: Number, default: 0 },
+  bands: { type: [prizeBandSchema], default: [] }
+}, { _id: false });
+
 const contestSchema = new mongoose.Schema({
   matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true, index: true },
   title: { type: String, required: true },
   entryFee: { type: Number, default: 0 },
   maxEntries: { type: Number, default: 1000 },
   perViewerLimit: { type: Number, default: 1 },
+  scoringRulesetId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringRuleset', default: null }, // overrides the match ruleset
   archived: { type: Boolean, default: false },
+  // lifecycle, see services/contestLifecycle
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'locked', 'live', 'completed', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+  closeTime: { type: Date, default: null },  // locks early if before the match lock
+  minEntries: { type: Number, default: 0 },  // under-filled contests are cancelled at lock
+  openedAt: { type: Date, default: null },
+  lockedAt: { type: Date, default: null },
+  liveAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelReason: { type: String, default: '' },
+  statusHistory: {
+    type: [new mongoose.Schema({
+      from: String,
+      to: String,
+      at: Date,
+      by: String,
+      reason: String
+    }, { _id: false })],
+    default: []
+  },
+  prizeStructure: { type: prizeStructureSchema, default: undefined },
+  payoutStatus: { type: String, enum: ['none', 'settled'], default: 'none' },
+  prizePool: { type: Number, default: 0 },
+  settledAt: { type: Date, default: null },
+  settledBy: { type: String, default: '' },
   createdAt: { type: Date, default: Date.now }
 }, { versionKey: false });
 
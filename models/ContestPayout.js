@@ -0,0 +1,22 @@
+// models/ContestPayout.js
+const mongoose = require('mongoose');
+
+// One row per TeamEntry when a contest is settled. Rows are only ever
+// inserted; a settled contest is never re-settled.
+const contestPayoutSchema = new mongoose.Schema({
+  contestId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', required: true, index: true },
+  matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'TeamEntry', required: true },
+  teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  viewerId: { type: String, default: null, index: true },
+  viewerName: { type: String, default: '' },
+  rank: { type: Number, required: true },
+  points: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+  settledBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+contestPayoutSchema.index({ contestId: 1, entryId: 1 }, { unique: true });
+
+module.exports = mongoose.models.ContestPayout || mongoose.model('ContestPayout', contestPayoutSchema);
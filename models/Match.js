@@ -2,7 +2,8 @@
 const mongoose = require('mongoose');
 
 const playerSchema = new mongoose.Schema({
-  playerId: { type: String, default: '' },
+  playerId: { type: String, default: '' },   // scorecard provider's id
+  registryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null }, // canonical Player
   playerName: { type: String, required: true },
   role: { type: String, enum: ['BAT','BOWL','AR','WK'], default: 'BAT' },
   realTeam: { type: String, default: '' },
@@ -13,22 +14,68 @@ const playerSchema = new mongoose.Schema({
 const statSchema = new mongoose.Schema({
   playerName: { type: String, required: true },
   runs: { type: Number, default: 0 },
+  balls: { type: Number, default: 0 },
   fours: { type: Number, default: 0 },
   sixes: { type: Number, default: 0 },
+  out: { type: Boolean, default: false },
+  overs: { type: Number, default: 0 },          // cricket notation, 3.4 = 3 overs 4 balls
+  runsConceded: { type: Number, default: 0 },
   wickets: { type: Number, default: 0 },
   maidens: { type: Number, default: 0 },
   catches: { type: Number, default: 0 },
+  stumpings: { type: Number, default: 0 },
+  runOuts: { type: Number, default: 0 },
   mvp: { type: Boolean, default: false }
 }, { _id: false });
 
+const roleLimitSchema = new mongoose.Schema({
+  min: { type: Number, default: null },
+  max: { type: Number, default: null }
+}, { _id: false });
+
+// per-match team-building rules; unset fields fall back to services/teamRules defaults
+const teamRulesSchema = new mongoose.Schema({
+  teamSize: { type: Number, default: null },
+  maxTeamsPerUser: { type: Number, default: null },
+  creditCap: { type: Number, default: null },
+  maxPerRealTeam: { type: Number, default: null },
+  roleLimits: {
+    WK: { type: roleLimitSchema, default: undefined },
+    BAT: { type: roleLimitSchema, default: undefined },
+    AR: { type: roleLimitSchema, default: undefined },
+    BOWL: { type: roleLimitSchema, default: undefined }
+  }
+}, { _id: false });
+
+// live scorecard polling state (services/livePolling)
+const liveScoringSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  provider: { type: String, default: '' },
+  fixture: { type: String, default: '' },
+  intervalSeconds: { type: Number, default: 30 },
+  startedAt: { type: Date, default: null },
+  lastPolledAt: { type: Date, default: null },
+  lastChangeAt: { type: Date, default: null },
+  lastError: { type: String, default: '' }
+}, { _id: false });
+
 const matchSchema = new mongoose.Schema({
   name: { type: String, required: true },
   teamA: { type: String, default: '' },
   teamB: { type: String, default: '' },
   startTime: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }, // set when an admin marks the match complete
+  lockBufferMinutes: { type: Number, default: 0 }, // teams lock this long before startTime
+  lockedAt: { type: Date, default: null },         // set once the lock snapshot is taken
+  liveScoring: { type: liveScoringSchema, default: undefined },
   streamUrl: { type: String, default: '' },
+  externalId: { type: String, default: '' }, // match id at the scorecard provider
   players: { type: [playerSchema], default: [] }, // roster pool
+  rosterSnapshot: { type: [playerSchema], default: undefined }, // roster as it was at lock
   stats: { type: [statSchema], default: [] },     // post-match stats
+  statsRevisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StatsRevision', default: null }, // published revision
+  teamRules: { type: teamRulesSchema, default: undefined },
+  scoringRulesetId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringRuleset', default: null },
   createdAt: { type: Date, default: Date.now }
 }, { versionKey: false });
 
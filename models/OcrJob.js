@@ -0,0 +1,29 @@
+// models/OcrJob.js
+const mongoose = require('mongoose');
+
+const ocrAttemptSchema = new mongoose.Schema({
+  backend: { type: String, default: '' },
+  status: { type: String, enum: ['succeeded', 'failed'], required: true },
+  error: { type: String, default: '' },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  by: { type: String, default: '' }
+}, { _id: false });
+
+// One per uploaded score screenshot. Re-running OCR updates the job and
+// appends to `attempts`; the image itself stays in uploads/score-screens.
+const ocrJobSchema = new mongoose.Schema({
+  matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true, index: true },
+  file: { type: String, required: true }, // file name inside SCORESCREEN_DIR
+  backend: { type: String, default: '' },
+  status: { type: String, enum: ['queued', 'running', 'succeeded', 'failed'], default: 'queued', index: true },
+  ocrText: { type: String, default: '' },
+  error: { type: String, default: '' },
+  errorCode: { type: String, default: '' },
+  attempts: { type: [ocrAttemptSchema], default: [] },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+module.exports = mongoose.models.OcrJob || mongoose.model('OcrJob', ocrJobSchema);
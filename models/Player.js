@@ -0,0 +1,19 @@
+// models/Player.js
+const mongoose = require('mongoose');
+
+// Canonical player registry. `_id` is the canonical player id written to
+// Match.players[].registryId; `key`/`aliasKeys` are normalizePlayerKey forms
+// used for exact lookups before fuzzy matching kicks in.
+const playerSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  key: { type: String, required: true, unique: true },
+  aliases: { type: [String], default: [] },
+  aliasKeys: { type: [String], default: [], index: true },
+  role: { type: String, default: '' },
+  realTeam: { type: String, default: '' },
+  sources: { type: [String], default: [] }, // e.g. 'league:<teamId>', 'match:<matchId>', 'admin'
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+module.exports = mongoose.models.Player || mongoose.model('Player', playerSchema);
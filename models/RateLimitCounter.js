@@ -0,0 +1,14 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+// One fixed-window counter of the shared rate-limit store
+// (services/rateLimit/mongo). Mongo removes it once the window is over.
+const rateLimitCounterSchema = new mongoose.Schema({
+  _id: { type: String },                    // "<rule>:<scope>:<id>"
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+}, { versionKey: false });
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,18 @@
+// models/ScoringRuleset.js
+const mongoose = require('mongoose');
+
+// Named, versioned scoring weights. A version is never edited in place:
+// saving changes to a ruleset creates name@version+1.
+const scoringRulesetSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  version: { type: Number, required: true, default: 1 },
+  description: { type: String, default: '' },
+  rules: { type: mongoose.Schema.Types.Mixed, required: true }, // see services/scoring DEFAULT_RULES
+  isDefault: { type: Boolean, default: false },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+scoringRulesetSchema.index({ name: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.models.ScoringRuleset || mongoose.model('ScoringRuleset', scoringRulesetSchema);
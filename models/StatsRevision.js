@@ -0,0 +1,32 @@
+// models/StatsRevision.js
+const mongoose = require('mongoose');
+
+// Snapshot of a match's stats array. Uploads create drafts; publishing one
+// copies it into Match.stats and supersedes the previous published revision.
+// Revisions are never deleted so disputes can see what was live and who
+// published it. Live scoring keeps one rolling `live` revision per scoring
+// session: each write replaces its stats and publishedBy/At and bumps
+// liveUpdates.
+const statsRevisionSchema = new mongoose.Schema({
+  matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+  number: { type: Number, required: true }, // 1-based per match
+  status: { type: String, enum: ['draft', 'published', 'superseded', 'discarded'], default: 'draft' },
+  source: { type: String, enum: ['manual', 'upload', 'provider', 'ocr', 'restore', 'live', 'baseline'], default: 'manual' },
+  stats: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  note: { type: String, default: '' },
+  unmatched: { type: [String], default: [] }, // names the registry could not place
+  restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'StatsRevision', default: null },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  publishedBy: { type: String, default: '' },
+  publishedAt: { type: Date, default: null },
+  liveUpdates: { type: Number, default: 0 },  // writes folded into a live revision after the first
+  supersededAt: { type: Date, default: null },
+  supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'StatsRevision', default: null },
+  discardedBy: { type: String, default: '' },
+  discardedAt: { type: Date, default: null }
+}, { versionKey: false });
+
+statsRevisionSchema.index({ matchId: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.models.StatsRevision || mongoose.model('StatsRevision', statsRevisionSchema);
@@ -1,6 +1,24 @@
 // models/Team.js
 const mongoose = require('mongoose');
 
+// points earned by one player of the XI, written by services/teamScoring
+const playerPointsSchema = new mongoose.Schema({
+  playerName: { type: String, default: '' },
+  role: { type: String, default: '' }, // 'C' | 'VC' | ''
+  multiplier: { type: Number, default: 1 },
+  categories: { type: mongoose.Schema.Types.Mixed, default: {} },
+  basePoints: { type: Number, default: 0 },
+  points: { type: Number, default: 0 }
+}, { _id: false });
+
+// write-once copy of the XI taken when the match locks (services/matchLock)
+const lockSnapshotSchema = new mongoose.Schema({
+  players: { type: [String], default: [] },
+  captain: { type: String, default: null },
+  vice: { type: String, default: null },
+  lockedAt: { type: Date, default: null }
+}, { _id: false });
+
 const TeamSchema = new mongoose.Schema({
   matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', index: true },
   players: { type: [String], default: [] },
@@ -8,13 +26,30 @@ const TeamSchema = new mongoose.Schema({
   vice: { type: String, default: '' },
   name: { type: String, default: '' },
   viewerName: { type: String, default: '' },
+  viewerId: { type: String, index: true, default: '' },
   linkedChannel: { type: String, default: '' },
+  logoUrl: { type: String, default: '' },      // written by services/uploads
+  logoThumbUrl: { type: String, default: '' },
 
   totalPoints: { type: Number, default: 0 },
+  pointsBreakdown: { type: [playerPointsSchema], default: [] },
+  pointsUpdatedAt: { type: Date, default: null },
+  lockSnapshot: { type: lockSnapshotSchema, default: null },
 
-  // store submitter IP and timestamp
+  // store submitter IP, device and timestamp (services/abuse)
   ip: { type: String, index: true, default: '' },
-  createdAt: { type: Date, default: Date.now }
+  deviceId: { type: String, index: true, default: '' },
+
+  // banned teams drop out of every leaderboard and cannot join contests;
+  // bannedWith 'user' = banned along with its owner, lifted with them
+  banned: { type: Boolean, default: false, index: true },
+  bannedAt: { type: Date, default: null },
+  bannedBy: { type: String, default: '' },
+  banReason: { type: String, default: '' },
+  bannedWith: { type: String, default: '' }, // 'team' | 'user'
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: null }
 });
 
 // optional: if you want to discourage same IP spam you can keep this non-unique index
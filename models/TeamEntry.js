@@ -1,16 +1,31 @@
 // models/TeamEntry.js
 const mongoose = require('mongoose');
 
+// write-once copy of the XI taken when the match locks (services/matchLock)
+const lockSnapshotSchema = new mongoose.Schema({
+  players: { type: [String], default: [] },
+  captain: { type: String, default: null },
+  vice: { type: String, default: null },
+  lockedAt: { type: Date, default: null }
+}, { _id: false });
+
 const entrySchema = new mongoose.Schema({
   matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true, index: true },
   contestId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', required: true, index: true },
   teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
   viewerName: { type: String, required: true },
+  viewerId: { type: String, default: null, index: true },
   players: { type: [String], default: [] },
   captain: { type: String, default: null },
   vice: { type: String, default: null },
   ip: { type: String, default: null },
+  deviceId: { type: String, default: null },
+  lockSnapshot: { type: lockSnapshotSchema, default: null },
+  points: { type: Number, default: 0 }, // written by teamScoring.recomputeMatchEntries
   createdAt: { type: Date, default: Date.now }
 }, { versionKey: false });
 
+// contest leaderboard order (services/leaderboard)
+entrySchema.index({ contestId: 1, points: -1, createdAt: 1, _id: 1 });
+
 module.exports = mongoose.models.TeamEntry || mongoose.model('TeamEntry', entrySchema);
@@ -0,0 +1,29 @@
+// models/UnmatchedPlayerName.js
+const mongoose = require('mongoose');
+
+// Review queue for names the player registry could not resolve with
+// confidence. One row per (name, context, match); repeats bump `occurrences`.
+const suggestionSchema = new mongoose.Schema({
+  playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+  name: { type: String, default: '' },
+  score: { type: Number, default: 0 }
+}, { _id: false });
+
+const unmatchedPlayerNameSchema = new mongoose.Schema({
+  rawName: { type: String, required: true },
+  key: { type: String, required: true },
+  context: { type: String, enum: ['roster', 'scorecard', 'team'], required: true },
+  matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null },
+  suggestions: { type: [suggestionSchema], default: [] },
+  status: { type: String, enum: ['pending', 'resolved', 'ignored'], default: 'pending', index: true },
+  resolvedPlayerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null },
+  resolvedBy: { type: String, default: '' },
+  resolvedAt: { type: Date, default: null },
+  occurrences: { type: Number, default: 1 },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+unmatchedPlayerNameSchema.index({ key: 1, context: 1, matchId: 1 }, { unique: true });
+
+module.exports = mongoose.models.UnmatchedPlayerName || mongoose.model('UnmatchedPlayerName', unmatchedPlayerNameSchema);
@@ -3,12 +3,48 @@ const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
   email: { type: String, index: true, sparse: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
   passwordHash: { type: String },
   displayName: { type: String, index: true },
+  // unique, case-insensitive (services/displayNames); unset until backfilled
+  displayNameKey: { type: String, unique: true, sparse: true },
+  displayNameChangedAt: { type: Date, default: null },
+  displayNameConflict: { type: Boolean, default: false }, // shares a name with an older account; must rename
+  previousDisplayNames: { type: [{ _id: false, name: String, until: Date }], default: [] },
   avatarUrl: { type: String },
-  role: { type: String, default: 'user' }, // 'user' | 'admin'
+  avatarThumbUrl: { type: String, default: '' }, // set for uploads (services/uploads), not Google pictures
+  role: { type: String, default: 'user' }, // 'user' | 'admin' (legacy; admin = super-admin)
+  roles: { type: [String], default: [] },   // admin roles, see services/permissions
   googleId: { type: String, index: true, sparse: true },
+  walletBalance: { type: Number, default: 0, min: 0 }, // cached total of WalletTransaction rows
+  passwordChangedAt: { type: Date, default: null },
+  // banned accounts cannot sign in (services/abuse)
+  banned: { type: Boolean, default: false },
+  bannedAt: { type: Date, default: null },
+  bannedBy: { type: String, default: '' },
+  banReason: { type: String, default: '' },
   createdAt: { type: Date, default: Date.now }
 }, { versionKey: false });
 
+// Changing the password ends every session started before the change,
+// whichever route did it. Sessions created afterwards (the caller's new
+// login) are untouched.
+userSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('passwordHash')) {
+    this.passwordChangedAt = new Date();
+    this.$locals.passwordChanged = true;
+  }
+  next();
+});
+
+userSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+  await mongoose.model('AuthSession').updateMany(
+    { userId: this._id, revokedAt: null, createdAt: { $lt: this.passwordChangedAt } },
+    { $set: { revokedAt: new Date(), revokedReason: 'password_changed' } }
+  );
+});
+
 module.exports = mongoose.models.User || mongoose.model('User', userSchema);
@@ -0,0 +1,23 @@
+// models/WalletTransaction.js
+const mongoose = require('mongoose');
+
+// Append-only virtual coin ledger. User.walletBalance is a cached running
+// total kept in step with these rows inside the same transaction.
+const walletTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['grant', 'entry_debit', 'refund', 'prize_credit'], required: true },
+  amount: { type: Number, required: true }, // signed: debits are negative
+  balanceAfter: { type: Number, required: true },
+  // idempotency key, e.g. "debit:<entryId>" / "refund:<entryId>"
+  ref: { type: String, default: undefined },
+  contestId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest', default: null },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'TeamEntry', default: null },
+  note: { type: String, default: '' },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+walletTransactionSchema.index({ ref: 1 }, { unique: true, sparse: true });
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.WalletTransaction || mongoose.model('WalletTransaction', walletTransactionSchema);
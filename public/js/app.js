@@ -2,7 +2,9 @@
    public/js/app.js
    Central API + UI helpers for Beowulf Fantasy (Red Inferno)
    - Auto-attaches Authorization header for same-origin requests
+   - Refreshes the short-lived access token transparently on 401
    - Auto-attaches X-Admin-Token when present in storage
+   - Sends a per-browser X-Device-Id (used by the server's abuse checks)
    - Lightweight toast + confirm helpers
    - Exposes App.api / App.get / App.post / App.put / App.delete
    - Usage: App.api('/api/matches') or App.get('/api/me')
@@ -10,7 +12,9 @@
 
 (function (window) {
   const STORAGE_TOKEN_KEY = "token";
+  const STORAGE_REFRESH_KEY = "refreshToken";
   const STORAGE_ADMIN_KEY = "adminToken";
+  const STORAGE_DEVICE_KEY = "deviceId";
 
   // ---------------------------
   // Small Toast / Notification
@@ -87,6 +91,26 @@
     if (!t) localStorage.removeItem(STORAGE_TOKEN_KEY);
     else localStorage.setItem(STORAGE_TOKEN_KEY, t);
   }
+  function getRefreshToken() {
+    return localStorage.getItem(STORAGE_REFRESH_KEY) || "";
+  }
+  // store both halves of a login/refresh response
+  function setSession(token, refreshToken) {
+    setToken(token);
+    if (!refreshToken) localStorage.removeItem(STORAGE_REFRESH_KEY);
+    else localStorage.setItem(STORAGE_REFRESH_KEY, refreshToken);
+  }
+  // random id minted once per browser; lets the server tell devices apart
+  function getDeviceId() {
+    let id = localStorage.getItem(STORAGE_DEVICE_KEY) || "";
+    if (!/^[A-Za-z0-9_-]{16,64}$/.test(id)) {
+      const bytes = new Uint8Array(18);
+      crypto.getRandomValues(bytes);
+      id = Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+      localStorage.setItem(STORAGE_DEVICE_KEY, id);
+    }
+    return id;
+  }
   function getAdminToken() {
     // support both sessionStorage and localStorage patterns used in pages
     return sessionStorage.getItem(STORAGE_ADMIN_KEY) || localStorage.getItem(STORAGE_ADMIN_KEY) || "";
@@ -104,60 +128,125 @@
     }
   }
 
+  // ---------------------------
+  // Access token refresh
+  // - one refresh in flight per tab; concurrent 401s wait on it
+  // - another tab may rotate the refresh token first (server answers 409),
+  //   in which case we pick up what that tab stored
+  // ---------------------------
+  const _fetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function tokenExpiresSoon(token) {
+    try {
+      const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+      return !payload.exp || payload.exp * 1000 - Date.now() < 30 * 1000;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function doRefresh() {
+    const sent = getRefreshToken();
+    if (!sent) return false;
+    const res = await _fetch("/api/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken: sent })
+    });
+    if (res.ok) {
+      const j = await res.json();
+      setSession(j.token, j.refreshToken);
+      return true;
+    }
+    if (res.status === 409) {
+      await new Promise(r => setTimeout(r, 400));
+      return getRefreshToken() !== sent; // the other tab's tokens are now ours
+    }
+    return false;
+  }
+
+  function refreshSession() {
+    if (!refreshing) {
+      refreshing = doRefresh()
+        .catch(() => false)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  function sessionExpired(message) {
+    setSession("", "");
+    toast(message || "Session expired. Please login again.", { type: "error" });
+    // redirect to login after a brief moment (but only when user is on same-origin UI)
+    setTimeout(() => {
+      if (!window.location.pathname.startsWith("/login")) {
+        window.location = "/login.html";
+      }
+    }, 900);
+  }
+
+  async function errorMessage(res) {
+    try {
+      const txt = await res.clone().text();
+      try {
+        const j = JSON.parse(txt);
+        return j.error || j.message || "";
+      } catch (e) { return txt || ""; }
+    } catch (_) {
+      return "";
+    }
+  }
+
   // ---------------------------
   // Monkey-patch fetch for same-origin auth auto-attach
   // Note: We keep original fetch for cross-origin untouched except adding headers when safe.
   // ---------------------------
-  const _fetch = window.fetch.bind(window);
   window.fetch = async function (input, init = {}) {
     try {
       let url = (typeof input === "string") ? input : input.url;
       const sameOrigin = isSameOrigin(url);
+      const isAuthCall = sameOrigin && /\/api\/auth\/(refresh|login|register|logout)/.test(new URL(url, window.location.href).pathname);
 
       // clone init to avoid mutating caller object
       init = Object.assign({}, init);
 
       init.headers = new Headers(init.headers || {});
+      // pages often set "Bearer <stored token>" themselves; that is still ours to refresh
+      const ownAuth = !init.headers.has("Authorization") || init.headers.get("Authorization") === `Bearer ${getToken()}`;
 
       if (sameOrigin) {
-        const token = getToken();
-        if (token && !init.headers.has("Authorization")) {
+        let token = getToken();
+        // skip a guaranteed 401 round trip when the access token is about to lapse
+        if (token && ownAuth && !isAuthCall && getRefreshToken() && tokenExpiresSoon(token)) {
+          if (await refreshSession()) token = getToken();
+        }
+        if (token && ownAuth) {
           init.headers.set("Authorization", `Bearer ${token}`);
         }
         const adminToken = getAdminToken();
         if (adminToken && !init.headers.has("X-Admin-Token")) {
           init.headers.set("X-Admin-Token", adminToken);
         }
+        try { init.headers.set("X-Device-Id", getDeviceId()); } catch (e) { /* storage blocked */ }
       }
 
-      const res = await _fetch(input, init);
-
-      // Global 401 handling: if token invalid, clear and redirect to login
-      if ((res.status === 401 || res.status === 403) && isSameOrigin(url)) {
-        // try to parse response for specific message
-        try {
-          const txt = await res.clone().text();
-          // If it's JSON with an "error" field we show it
-          let errMsg = "";
-          try {
-            const j = JSON.parse(txt);
-            errMsg = j.error || j.message || "";
-          } catch (e) { errMsg = txt || ""; }
-          // Remove token
-          setToken("");
-          // Inform user gently
-          if (errMsg) toast("Session: " + errMsg, { type: "error" });
-          else toast("Session expired. Please login again.", { type: "error" });
-        } catch (_) {
-          // ignore
-          toast("Session expired. Please login again.", { type: "error" });
+      let res = await _fetch(input, init);
+
+      if (res.status === 401 && sameOrigin && !isAuthCall && ownAuth && getToken()) {
+        // access token lapsed or its session was revoked: refresh once and retry
+        if (await refreshSession()) {
+          init.headers.set("Authorization", `Bearer ${getToken()}`);
+          res = await _fetch(input, init);
+        }
+        if (res.status === 401) {
+          const errMsg = await errorMessage(res);
+          sessionExpired(errMsg ? "Session: " + errMsg : "");
         }
-        // redirect to login after a brief moment (but only when user is on same-origin UI)
-        setTimeout(() => {
-          if (!window.location.pathname.startsWith("/login")) {
-            window.location = "/login.html";
-          }
-        }, 900);
+      } else if (res.status === 403 && sameOrigin) {
+        // signed in but not allowed (e.g. missing an admin permission); keep the session
+        const errMsg = await errorMessage(res);
+        if (errMsg) toast(errMsg, { type: "error" });
       }
 
       return res;
@@ -225,7 +314,16 @@
   }
 
   function logout() {
-    setToken("");
+    const refreshToken = getRefreshToken();
+    // end this device's session server-side; the local tokens go regardless
+    if (refreshToken) {
+      _fetch("/api/auth/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken })
+      }).catch(() => {});
+    }
+    setSession("", "");
     toast("Logged out", { type: "info" });
     setTimeout(() => window.location = "/login.html", 400);
   }
@@ -251,8 +349,10 @@
       }
     });
 
-    // optional: attach admin-only UI hide/show
-    const isAdmin = !!(sessionStorage.getItem(STORAGE_ADMIN_KEY) || localStorage.getItem(STORAGE_ADMIN_KEY));
+    // optional: attach admin-only UI hide/show (same rule as layout.js)
+    let jwtRole = "";
+    try { jwtRole = JSON.parse(atob(getToken().split(".")[1])).role || ""; } catch (e) { /* no token */ }
+    const isAdmin = jwtRole === "admin" || !!(sessionStorage.getItem(STORAGE_ADMIN_KEY) || localStorage.getItem(STORAGE_ADMIN_KEY));
     document.querySelectorAll(".admin-only").forEach(el => {
       el.style.display = isAdmin ? "" : "none";
     });
@@ -302,6 +402,8 @@
     formatDate: formatDateISO,
     getToken,
     setToken,
+    setSession,
+    refreshSession,
     getAdminToken,
     isLoggedIn,
     logout,
@@ -316,138 +418,3 @@
   });
 
 })(window);
-<script src="/socket.io/socket.io.js"></script>
-<script>
-(async function(){
-  // Utils
-  const el = id => document.getElementById(id);
-  function escapeHtml(s){ if (s===null||s===undefined) return ''; return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
-
-  // -------------- determine matchId (many fallbacks)
-  function findMatchId() {
-    // 1) window global
-    if (window.CURRENT_MATCH_ID) return window.CURRENT_MATCH_ID;
-    // 2) body data attribute
-    if (document.body && document.body.dataset && document.body.dataset.matchId) return document.body.dataset.matchId;
-    // 3) roster container data attribute
-    const rc = document.getElementById('rosterContainer');
-    if (rc && rc.dataset && rc.dataset.matchId) return rc.dataset.matchId;
-    // 4) element with id matchId (hidden input)
-    const midInput = document.getElementById('matchId') || document.querySelector('input[name="matchId"]');
-    if (midInput && midInput.value) return midInput.value;
-    // 5) try to infer from URL (common patterns)
-    try {
-      const m = location.pathname.match(/\/matches\/([0-9a-fA-F]{24})/);
-      if (m) return m[1];
-    } catch(e){}
-    // 6) not found
-    return null;
-  }
-
-  const matchId = findMatchId();
-  if (!matchId) {
-    console.warn('Roster script: matchId not found. You can set window.CURRENT_MATCH_ID or <div id="rosterContainer" data-match-id="...">');
-    // still attempt to render nothing
-  }
-
-  // -------------- render function
-  function renderRoster(players){
-    const container = el('rosterContainer');
-    if (!container) return;
-    if (!Array.isArray(players) || players.length === 0) {
-      container.innerHTML = '<div class="muted">No players</div>';
-      return;
-    }
-
-    // simple grid HTML (customize to your CSS)
-    container.innerHTML = players.map(p => {
-      const credits = (p.credits || p.credit || 0);
-      const role = (p.role || '').toUpperCase();
-      const team = p.realTeam || p.team || '';
-      return `
-        <div class="player-card" style="padding:8px;border-radius:8px;border:1px solid rgba(255,255,255,0.03);margin-bottom:8px;">
-          <div style="display:flex;align-items:center;gap:12px;">
-            <div style="width:44px;height:44px;border-radius:6px;background:#f3f3f3;display:flex;align-items:center;justify-content:center;font-weight:700">${escapeHtml(role.slice(0,3))}</div>
-            <div style="flex:1;">
-              <div style="font-weight:700">${escapeHtml(p.playerName || p.name || '(no name)')}</div>
-              <div class="muted small">${escapeHtml(team)} • ${escapeHtml(role)} • ${credits} cr</div>
-            </div>
-            <div style="text-align:right;">
-              <div class="muted small">${escapeHtml(p.status || '')}</div>
-            </div>
-          </div>
-        </div>
-      `;
-    }).join('');
-  }
-
-  // -------------- load roster from API
-  async function loadRoster() {
-    if (!matchId) return;
-    try {
-      const r = await fetch(`/api/matches/${matchId}/players`);
-      if (!r.ok) {
-        console.warn('Roster fetch failed', r.status);
-        el('rosterContainer').innerHTML = '<div class="muted">Failed to load roster</div>';
-        return;
-      }
-      const j = await r.json();
-      if (!j || !j.ok && !Array.isArray(j.players)) {
-        // older route may return players directly
-        const players = j.players || j;
-        renderRoster(players || []);
-        return;
-      }
-      const players = j.players || [];
-      renderRoster(players);
-    } catch (err) {
-      console.error('loadRoster error', err);
-      if (el('rosterContainer')) el('rosterContainer').innerHTML = '<div class="muted">Roster load error</div>';
-    }
-  }
-
-  // initial load
-  loadRoster();
-
-  // -------------- socket.io: join room and listen for rosterUpdate
-  try {
-    if (typeof io === 'undefined') {
-      console.warn('socket.io not loaded (io undefined). Include /socket.io/socket.io.js on page.');
-    } else {
-      const socket = io();
-      if (matchId) {
-        socket.emit('joinMatch', matchId);
-        console.log('Joined socket room match_' + matchId);
-      }
-
-      socket.on('connect', () => {
-        console.log('socket connected', socket.id);
-        if (matchId) socket.emit('joinMatch', matchId);
-      });
-
-      socket.on('rosterUpdate', (payload) => {
-        try {
-          if (!payload) return;
-          // If server emitted globally, payload.matchId helps filter
-          if (payload.matchId && matchId && payload.matchId !== matchId) return;
-          const players = payload.players || payload || [];
-          console.log('rosterUpdate received', payload);
-          // reload from server (authoritative) or render payload.players directly
-          if (Array.isArray(players) && players.length) {
-            renderRoster(players);
-          } else {
-            loadRoster();
-          }
-        } catch (e) { console.error('rosterUpdate handler error', e); }
-      });
-
-      socket.on('disconnect', () => console.log('socket disconnected'));
-    }
-  } catch(e){
-    console.warn('socket attach error', e);
-  }
-
-  // expose for debugging
-  window.__reloadRoster = loadRoster;
-})();
-</script>
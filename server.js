@@ -6,34 +6,57 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const multer = require('multer');
 const { OAuth2Client } = require('google-auth-library');
 const cron = require('node-cron');
-const axios = require('axios');
-const FormData = require('form-data');
 const moment = require('moment-timezone');
 
 // --- Environment ---
 const PORT = process.env.PORT || 4000;
 const MONGO_URI = process.env.MONGO_URI || process.env.MONGO || '';
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_jwt_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || '';
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || '';
 const GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || 'http://localhost:4000/api/auth/google/callback';
-const OCR_SPACE_API_KEY = process.env.OCR_SPACE_API_KEY || '';
-const SCORE_API_KEY = process.env.SCORE_API_KEY || '';
+const DEFAULT_SCORE_PROVIDER = process.env.SCORE_PROVIDER || 'example';
+const LIVE_POLL_SECONDS = Math.max(Number(process.env.LIVE_POLL_SECONDS || 30), 10);
+// behind a proxy set this (e.g. 1 or "loopback") so req.ip is the client's address
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+// auth throttling (services/rateLimit): requests per window, per IP / per account
+const LOGIN_LIMIT_PER_IP = Math.max(Number(process.env.LOGIN_LIMIT_PER_IP || 30), 1);           // per 15 min
+const LOGIN_LIMIT_PER_ACCOUNT = Math.max(Number(process.env.LOGIN_LIMIT_PER_ACCOUNT || 10), 1); // per 15 min
+const REGISTER_LIMIT_PER_IP = Math.max(Number(process.env.REGISTER_LIMIT_PER_IP || 10), 1);     // per hour
+// failed attempts allowed before lockouts start; each lock doubles up to the max
+const LOGIN_FREE_ATTEMPTS = Math.max(Number(process.env.LOGIN_FREE_ATTEMPTS || 5), 1);
+const LOGIN_MAX_LOCK_MINUTES = Math.max(Number(process.env.LOGIN_MAX_LOCK_MINUTES || 15), 1);
+const ADMIN_TOKEN_FREE_ATTEMPTS = Math.max(Number(process.env.ADMIN_TOKEN_FREE_ATTEMPTS || 5), 1);
+const ADMIN_TOKEN_MAX_LOCK_MINUTES = Math.max(Number(process.env.ADMIN_TOKEN_MAX_LOCK_MINUTES || 60), 1);
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('JWT_SECRET must be set in production');
+    process.exit(1);
+  }
+  console.warn('JWT_SECRET not set; using the development default');
+}
 
 // --- DB connect ---
 mongoose
   .connect(MONGO_URI, { dbName: 'community_cup' })
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    displayNames.backfillDisplayNameKeys()
+      .then((r) => { if (r.keyed || r.conflicts) console.log('display names backfilled:', r); })
+      .catch((e) => console.error('display name backfill error:', e && e.message));
+  })
   .catch((err) => console.error('Mongo connection error:', err && err.message));
 
 // --- Models (ensure files exist) ---
@@ -43,6 +66,50 @@ const Team = require('./models/Team');
 const Contest = require('./models/Contest');
 const TeamEntry = require('./models/TeamEntry');
 const LeagueTeam = require('./models/LeagueTeam');
+const ScoringRuleset = require('./models/ScoringRuleset');
+const ContestPayout = require('./models/ContestPayout');
+const WalletTransaction = require('./models/WalletTransaction');
+const BallEvent = require('./models/BallEvent');
+const OcrJob = require('./models/OcrJob');
+const Player = require('./models/Player');
+const UnmatchedPlayerName = require('./models/UnmatchedPlayerName');
+const StatsRevision = require('./models/StatsRevision');
+const AuditLog = require('./models/AuditLog');
+const AdminApiKey = require('./models/AdminApiKey');
+const AbuseFlag = require('./models/AbuseFlag');
+
+// --- Services ---
+const teamRules = require('./services/teamRules');
+const scoring = require('./services/scoring');
+const teamScoring = require('./services/teamScoring');
+const leaderboard = require('./services/leaderboard');
+const payouts = require('./services/payouts');
+const wallet = require('./services/wallet');
+const contestLifecycle = require('./services/contestLifecycle');
+const matchLock = require('./services/matchLock');
+const providers = require('./services/providers');
+const livePolling = require('./services/livePolling');
+const ballByBall = require('./services/ballByBall');
+const ocrScorecard = require('./services/ocrScorecard');
+const ocrBackends = require('./services/ocr');
+const playerRegistry = require('./services/playerRegistry');
+const statsRevisions = require('./services/statsRevisions');
+const audit = require('./services/audit');
+const permissions = require('./services/permissions');
+const sessions = require('./services/sessions');
+const authTokens = require('./services/authTokens');
+const mail = require('./services/mail');
+const displayNames = require('./services/displayNames');
+const abuse = require('./services/abuse');
+const rateLimit = require('./services/rateLimit');
+const uploads = require('./services/uploads');
+const { getPlayerName, normalizePlayerKey } = require('./services/playerNames');
+
+// reset and verification links must reach inboxes, never logs or a local outbox
+if (process.env.NODE_ENV === 'production' && mail.transportProblem()) {
+  console.error(mail.transportProblem());
+  process.exit(1);
+}
 
 // --- App + Socket ---
 const app = express();
@@ -62,54 +129,191 @@ io.on('connection', (socket) => {
 });
 
 // --- Middleware ---
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : (TRUST_PROXY === 'true' || TRUST_PROXY));
 app.use(cors());
 app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(audit.middleware); // records admin mutations once they respond
 app.use(express.static(path.join(__dirname, 'public')));
 
-// --- Upload dirs & multer ---
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-const AVATAR_DIR = path.join(__dirname, 'public', 'assets', 'avatars');
-const TEAM_LOGO_DIR = path.join(__dirname, 'public', 'assets', 'team-logos');
-const LEAGUE_LOGO_DIR = path.join(__dirname, 'public', 'assets', 'league-logos');
-const SCORESCREEN_DIR = path.join(UPLOAD_DIR, 'score-screens');
+// --- Upload dirs (files are written by services/uploads) ---
+const UPLOAD_DIR = uploads.DIRS.upload;
+const SCORESCREEN_DIR = uploads.DIRS.scoreScreenshot;
 
-[UPLOAD_DIR, AVATAR_DIR, TEAM_LOGO_DIR, LEAGUE_LOGO_DIR, SCORESCREEN_DIR].forEach((d) => {
+Object.values(uploads.DIRS).forEach((d) => {
   try { fs.mkdirSync(d, { recursive: true }); } catch (e) {}
 });
 
-const uploadAvatar = multer({ dest: AVATAR_DIR });
-const uploadTeamLogo = multer({ dest: TEAM_LOGO_DIR });
-const uploadLeagueLogo = multer({ dest: LEAGUE_LOGO_DIR });
-const uploadScoreScreenshot = multer({ dest: SCORESCREEN_DIR });
-const uploadAny = multer({ dest: UPLOAD_DIR });
+function sendUploadError(res, err, fallback) {
+  const status = { NO_FILE: 400, INVALID_TYPE: 415, INVALID_IMAGE: 400, TOO_MANY_PIXELS: 413 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
 
 // --- Auth helpers ---
 function signJwt(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 }
 function verifyJwt(token) {
   try { return jwt.verify(token, JWT_SECRET); } catch { return null; }
 }
 
-function auth(req, res, next) {
+// Access tokens are only good while the session they were issued for is
+// live; tokens from before sessions existed (no `sid`) are refused.
+async function verifyAccessToken(token) {
+  const pl = verifyJwt(token);
+  if (!pl || !pl.id || !pl.sid) return null;
+  return (await sessions.isSessionActive(pl.sid)) ? pl : null;
+}
+
+function bearerToken(req) {
   const authHeader = (req.headers.authorization || '').split(' ');
-  if (authHeader.length === 2 && authHeader[0] === 'Bearer') {
-    const pl = verifyJwt(authHeader[1]);
+  return authHeader.length === 2 && authHeader[0] === 'Bearer' ? authHeader[1] : null;
+}
+
+// Caller id from the JWT signature alone (no session lookup); for rate limits
+function tokenUserId(req) {
+  const pl = verifyJwt(bearerToken(req));
+  return pl && pl.id ? String(pl.id) : null;
+}
+
+const BANNED_ERROR = { error: 'This account has been suspended', code: 'BANNED' };
+
+// --- Auth throttling ---
+const emailOf = (req) => (req.body && typeof req.body.email === 'string' ? req.body.email : null);
+const loginLimiter = rateLimit.limiter({
+  name: 'login', windowMs: 15 * 60 * 1000, perIp: LOGIN_LIMIT_PER_IP, perAccount: LOGIN_LIMIT_PER_ACCOUNT, accountOf: emailOf,
+  message: 'Too many sign-in attempts, try again later'
+});
+const registerLimiter = rateLimit.limiter({
+  name: 'register', windowMs: 60 * 60 * 1000, perIp: REGISTER_LIMIT_PER_IP, perAccount: 3, accountOf: emailOf,
+  message: 'Too many sign-ups from here, try again later'
+});
+// failed password and Google sign-ins share one lockout (per IP, and per email when given)
+const loginLockout = rateLimit.lockout({
+  name: 'login', freeAttempts: LOGIN_FREE_ATTEMPTS, windowMs: 15 * 60 * 1000,
+  baseLockMs: 30 * 1000, maxLockMs: LOGIN_MAX_LOCK_MINUTES * 60 * 1000, accountOf: emailOf
+});
+// wrong x-admin-token headers, per IP
+const adminTokenLockout = rateLimit.lockout({
+  name: 'admin-token', freeAttempts: ADMIN_TOKEN_FREE_ATTEMPTS, windowMs: 60 * 60 * 1000,
+  baseLockMs: 60 * 1000, maxLockMs: ADMIN_TOKEN_MAX_LOCK_MINUTES * 60 * 1000
+});
+
+function sameSecret(a, b) {
+  const x = crypto.createHash('sha256').update(String(a)).digest();
+  const y = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+// 400 "Invalid credentials", or 429 once the failure starts a lockout
+async function loginFailed(req, res, body = { error: 'Invalid credentials' }, status = 400) {
+  const locked = await loginLockout.fail(req);
+  if (locked) return rateLimit.tooMany(res, locked.retryAfter, 'Too many failed sign-in attempts, try again later');
+  return res.status(status).json(body);
+}
+
+// Login response body: short-lived access token + this device's refresh token
+async function issueSession(user, req) {
+  const ip = audit.clientIp(req);
+  const deviceId = abuse.deviceIdOf(req);
+  const { session, refreshToken } = await sessions.createSession(user._id, {
+    userAgent: req.headers['user-agent'],
+    ip,
+    deviceId,
+    device: req.body && req.body.deviceName
+  });
+  abuse.checkLogin(user._id, { ip, deviceId }).catch((e) => console.error('abuse check error:', e && e.message));
+  const token = signJwt({ id: user._id, role: user.role, sid: String(session._id) });
+  return { token, refreshToken, sessionId: session._id };
+}
+
+async function auth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    const pl = token ? await verifyAccessToken(token) : null;
     if (pl) { req.user = pl; return next(); }
+    return res.status(401).json({ error: 'Unauthorized' });
+  } catch (err) {
+    console.error('auth error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to check session' });
   }
-  return res.status(401).json({ error: 'Unauthorized' });
 }
 
-function admin(req, res, next) {
-  const adminHeader = req.headers['x-admin-token'] || req.query.adminToken;
-  if (ADMIN_TOKEN && adminHeader === ADMIN_TOKEN) return next();
-  const authHeader = (req.headers.authorization || '').split(' ');
-  if (authHeader.length === 2 && authHeader[0] === 'Bearer') {
-    const pl = verifyJwt(authHeader[1]);
-    if (pl && pl.role === 'admin') { req.user = pl; return next(); }
+/**
+ * Work out who is asking for admin access and what they may do:
+ * the shared ADMIN_TOKEN header (super-admin), a per-user API key
+ * (x-api-key) or a Bearer JWT. Roles are read from the DB on every call so
+ * revoking a role takes effect immediately. The token is never accepted in
+ * the query string, where it ends up in logs and browser history.
+ * Wrong tokens count towards a per-IP lockout; while locked the header is
+ * ignored and req.adminTokenLock tells permit() to answer 429.
+ * @returns {Promise<{ via: string, user: object|null, apiKey?: object, permissions: string[] }|null>}
+ */
+async function resolveAdmin(req) {
+  const adminHeader = req.headers['x-admin-token'];
+  if (ADMIN_TOKEN && adminHeader) {
+    const lock = await adminTokenLockout.locked(req);
+    if (lock) {
+      req.adminTokenLock = lock;
+    } else if (sameSecret(adminHeader, ADMIN_TOKEN)) {
+      return { via: 'token', user: null, permissions: ['*'] };
+    } else {
+      req.adminTokenLock = await adminTokenLockout.fail(req);
+      console.warn('admin token rejected from', audit.clientIp(req));
+    }
   }
-  return res.status(401).json({ error: 'Unauthorized (admin)' });
+  if (req.headers['x-api-key']) {
+    const found = await permissions.findApiKey(req.headers['x-api-key']);
+    if (!found) return null;
+    return { via: 'apikey', user: found.user, apiKey: found.apiKey, permissions: permissions.permissionsFor(found.roles) };
+  }
+  const token = bearerToken(req);
+  if (token) {
+    const pl = await verifyAccessToken(token);
+    const user = pl ? await permissions.loadUser(pl.id) : null;
+    if (user) return { via: 'jwt', user, permissions: permissions.permissionsFor(permissions.rolesOf(user)) };
+  }
+  return null;
+}
+
+function applyAdmin(req, who) {
+  req.adminVia = who.via;
+  req.permissions = who.permissions;
+  if (who.user) req.user = { id: String(who.user._id), role: who.user.role, roles: permissions.rolesOf(who.user), displayName: who.user.displayName };
+  if (who.apiKey) req.apiKey = { _id: who.apiKey._id, name: who.apiKey.name, prefix: who.apiKey.prefix };
+}
+
+// Route guard: permit('stats'). With no argument any admin role will do.
+function permit(permission) {
+  return async (req, res, next) => {
+    try {
+      const who = await resolveAdmin(req);
+      if (!who && req.adminTokenLock) return rateLimit.tooMany(res, req.adminTokenLock.retryAfter, 'Too many failed admin token attempts');
+      if (!who) return res.status(401).json({ error: 'Unauthorized (admin)' });
+      if (!permissions.can(who.permissions, permission)) {
+        return res.status(403).json({ error: `Forbidden: requires ${permission} permission`, permission });
+      }
+      applyAdmin(req, who);
+      return next();
+    } catch (err) {
+      console.error('admin auth error:', err && err.message);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+// Non-admin routes that let admins act on other users' data
+async function requesterCan(req, permission) {
+  const who = await resolveAdmin(req);
+  if (!who || !permissions.can(who.permissions, permission)) return null;
+  return who;
+}
+
+// who performed an admin action (JWT admin id, or the shared token)
+function adminActor(req) {
+  return req.user && req.user.id ? String(req.user.id) : 'admin-token';
 }
 // -----------------------
 // FIX: Normalize role & status
@@ -177,30 +381,54 @@ function parseStartTime(input) {
 }
 
 // --- AUTH: register/login ---
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', registerLimiter, async (req, res) => {
   try {
-    const { email, password, displayName } = req.body;
+    const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
+    const pwError = authTokens.checkPassword(password);
+    if (pwError) return res.status(400).json({ error: pwError });
     if (await User.findOne({ email })) return res.status(400).json({ error: 'Email exists' });
+    let displayName = displayNames.cleanDisplayName(req.body.displayName);
+    if (displayName) {
+      const nameError = displayNames.checkDisplayName(displayName);
+      if (nameError) return res.status(400).json({ error: nameError });
+      if (await displayNames.isTaken(displayName)) return res.status(409).json({ error: 'That display name is already taken', code: 'NAME_TAKEN' });
+    } else {
+      displayName = await displayNames.uniqueDisplayName('Player');
+    }
     const hash = await bcrypt.hash(password, 10);
-    const user = await User.create({ email, passwordHash: hash, displayName });
-    const token = signJwt({ id: user._id, role: user.role });
-    return res.json({ ok: true, token, user: { id: user._id, displayName: user.displayName } });
+    let user;
+    try {
+      user = await User.create({ email, passwordHash: hash, displayName, displayNameKey: displayNames.displayNameKey(displayName) });
+    } catch (e) {
+      // a concurrent sign-up can win either unique index between the checks above and here
+      if (e && e.code === 11000 && e.keyPattern && e.keyPattern.email) return res.status(400).json({ error: 'Email exists' });
+      if (e && e.code === 11000) return res.status(409).json({ error: 'That display name is already taken', code: 'NAME_TAKEN' });
+      throw e;
+    }
+    // the account works straight away; a mail failure must not block sign-up
+    authTokens.sendVerificationEmail(user).catch((e) => console.error('verification email error:', e && e.message));
+    const issued = await issueSession(user, req);
+    return res.json({ ok: true, ...issued, user: { id: user._id, displayName: user.displayName, emailVerified: false } });
   } catch (err) {
     console.error('register error:', err && err.message);
     return res.status(500).json({ error: 'Register failed' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const lock = await loginLockout.locked(req);
+    if (lock) return rateLimit.tooMany(res, lock.retryAfter, 'Too many failed sign-in attempts, try again later');
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials' });
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(400).json({ error: 'Invalid credentials' });
-    const token = signJwt({ id: user._id, role: user.role });
-    return res.json({ ok: true, token, user: { id: user._id, displayName: user.displayName } });
+    if (!user || !user.passwordHash) return loginFailed(req, res);
+    const ok = await bcrypt.compare(String(password || ''), user.passwordHash);
+    if (!ok) return loginFailed(req, res);
+    await loginLockout.succeed(req);
+    if (user.banned) return res.status(403).json(BANNED_ERROR);
+    const issued = await issueSession(user, req);
+    return res.json({ ok: true, ...issued, user: { id: user._id, displayName: user.displayName } });
   } catch (err) {
     console.error('login error:', err && err.message);
     return res.status(500).json({ error: 'Login failed' });
@@ -220,6 +448,52 @@ app.get('/api/auth/google/url', (req, res) => {
   return res.json({ ok: true, url });
 });
 
+/**
+ * The account a verified Google identity signs in to: the one already
+ * linked to it, else the local account with the same email, else a new
+ * one. Linking by email needs Google to vouch for the address; a local
+ * account that never verified it may have been registered by someone else
+ * first, so its password and sessions are dropped before Google takes over.
+ */
+async function googleUser(payload) {
+  const googleId = payload.sub, email = payload.email, name = payload.name, picture = payload.picture;
+  const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+  let user = await User.findOne({ googleId });
+  if (!user && email) {
+    if (!emailVerified) {
+      const e = new Error('Your Google account email is not verified');
+      e._code = 'GOOGLE_EMAIL_UNVERIFIED';
+      throw e;
+    }
+    user = await User.findOne({ email });
+    if (user && !user.banned && !user.googleId && !user.emailVerified) {
+      // clearing the hash ends its sessions too (User pre/post save hooks)
+      user.passwordHash = undefined;
+    }
+  }
+  if (user) {
+    if (user.banned) return user;
+    user.googleId = googleId;
+    if (!user.avatarUrl) user.avatarUrl = picture;
+    if (emailVerified && email && user.email === email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    return user;
+  }
+  const displayName = await displayNames.uniqueDisplayName(name || 'Player');
+  return User.create({
+    googleId,
+    email,
+    displayName,
+    displayNameKey: displayNames.displayNameKey(displayName),
+    avatarUrl: picture,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null
+  });
+}
+
 app.get('/api/auth/google/callback', async (req, res) => {
   try {
     const { code } = req.query;
@@ -228,45 +502,219 @@ app.get('/api/auth/google/callback', async (req, res) => {
     if (!tokens || !tokens.id_token) return res.status(400).send('No id_token returned');
     const ticket = await googleOAuth2Client.verifyIdToken({ idToken: tokens.id_token, audience: GOOGLE_CLIENT_ID });
     const payload = ticket.getPayload();
-    const googleId = payload.sub, email = payload.email, name = payload.name, picture = payload.picture;
-    let user = await User.findOne({ googleId });
-    if (!user && email) user = await User.findOne({ email });
-    if (user) {
-      user.googleId = googleId;
-      if (!user.avatarUrl) user.avatarUrl = picture;
-      await user.save();
-    } else {
-      user = await User.create({ googleId, email, displayName: name, avatarUrl: picture });
-    }
-    const token = signJwt({ id: user._id, role: user.role });
-    return res.json({ ok: true, token, user: { id: user._id, displayName: user.displayName, avatarUrl: user.avatarUrl } });
+    const user = await googleUser(payload);
+    if (user.banned) return res.status(403).json(BANNED_ERROR);
+    const issued = await issueSession(user, req);
+    return res.json({ ok: true, ...issued, user: { id: user._id, displayName: user.displayName, avatarUrl: user.avatarUrl } });
   } catch (err) {
+    if (err && err._code === 'GOOGLE_EMAIL_UNVERIFIED') return res.status(403).json({ error: err.message, code: err._code });
     console.error('google callback error:', err && err.message);
     return res.status(500).json({ error: 'Google auth failed' });
   }
 });
 
-app.post('/api/auth/google-idtoken', async (req, res) => {
+app.post('/api/auth/google-idtoken', loginLimiter, async (req, res) => {
   try {
     const { id_token } = req.body;
     if (!id_token) return res.status(400).json({ error: 'id_token missing' });
-    const ticket = await googleOAuth2Client.verifyIdToken({ idToken: id_token, audience: GOOGLE_CLIENT_ID });
+    const lock = await loginLockout.locked(req);
+    if (lock) return rateLimit.tooMany(res, lock.retryAfter, 'Too many failed sign-in attempts, try again later');
+    let ticket;
+    try {
+      ticket = await googleOAuth2Client.verifyIdToken({ idToken: id_token, audience: GOOGLE_CLIENT_ID });
+    } catch (e) {
+      return loginFailed(req, res, { error: 'Invalid id_token' });
+    }
     const payload = ticket.getPayload();
-    const googleId = payload.sub, email = payload.email, name = payload.name, picture = payload.picture;
-    let user = await User.findOne({ googleId });
-    if (!user && email) user = await User.findOne({ email });
-    if (user) {
-      user.googleId = googleId;
-      if (!user.avatarUrl) user.avatarUrl = picture;
+    const user = await googleUser(payload);
+    if (user.banned) return res.status(403).json(BANNED_ERROR);
+    const issued = await issueSession(user, req);
+    return res.json({ ok: true, ...issued, user: { id: user._id, displayName: user.displayName, avatarUrl: user.avatarUrl } });
+  } catch (err) {
+    if (err && err._code === 'GOOGLE_EMAIL_UNVERIFIED') return res.status(403).json({ error: err.message, code: err._code });
+    console.error('google-idtoken error:', err && err.message);
+    return res.status(400).json({ error: 'Invalid id_token' });
+  }
+});
+
+// --- Email verification & password reset ---
+function sendAuthTokenError(res, err, fallback) {
+  const status = { INVALID_TOKEN: 400, TOO_SOON: 429 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+// Body: { token } from the emailed link
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const spent = await authTokens.consumeToken(req.body && req.body.token, 'verify_email');
+    const user = await User.findById(spent.userId);
+    // the address changed after the email went out
+    if (!user || user.email !== spent.email) return res.status(400).json({ error: 'This link is invalid or has expired', code: 'INVALID_TOKEN' });
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
       await user.save();
+    }
+    return res.json({ ok: true, email: user.email });
+  } catch (err) {
+    return sendAuthTokenError(res, err, 'Failed to verify email');
+  }
+});
+
+app.post('/api/auth/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('email displayName emailVerified').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.email) return res.status(400).json({ error: 'No email address on this account' });
+    if (user.emailVerified) return res.json({ ok: true, alreadyVerified: true });
+    await authTokens.sendVerificationEmail(user);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendAuthTokenError(res, err, 'Failed to send verification email');
+  }
+});
+
+// Body: { email }. Always answers the same way so it cannot be used to
+// find out which emails have accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const email = String((req.body && req.body.email) || '').trim();
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    const user = await User.findOne({ email }).select('email displayName').lean();
+    if (user) {
+      try {
+        await authTokens.sendPasswordResetEmail(user);
+      } catch (e) {
+        if (!e || e._code !== 'TOO_SOON') console.error('reset email error:', e && e.message);
+      }
+    }
+    return res.json({ ok: true, message: 'If that email has an account, a reset link is on its way.' });
+  } catch (err) {
+    return sendAuthTokenError(res, err, 'Failed to start password reset');
+  }
+});
+
+// Body: { token, password }. Ends every existing session.
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const pwError = authTokens.checkPassword(password);
+    if (pwError) return res.status(400).json({ error: pwError });
+    const spent = await authTokens.consumeToken(token, 'reset_password');
+    const user = await User.findById(spent.userId);
+    if (!user) return res.status(400).json({ error: 'This link is invalid or has expired', code: 'INVALID_TOKEN' });
+    user.passwordHash = await bcrypt.hash(password, 10);
+    // following the emailed link proves the mailbox is theirs
+    if (user.email === spent.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendAuthTokenError(res, err, 'Failed to reset password');
+  }
+});
+
+// Body: { currentPassword, newPassword }. Other sessions are ended; this
+// device gets a fresh session in the response.
+app.post('/api/me/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const pwError = authTokens.checkPassword(newPassword);
+    if (pwError) return res.status(400).json({ error: pwError });
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    // Google-only accounts have no password yet and may set one
+    if (user.passwordHash && !(await bcrypt.compare(String(currentPassword || ''), user.passwordHash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    const issued = await issueSession(user, req);
+    return res.json({ ok: true, ...issued });
+  } catch (err) {
+    console.error('change password error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// --- Sessions: refresh, logout, per-device revocation ---
+function sendSessionError(res, err, fallback) {
+  const status = { INVALID_REFRESH: 401, REFRESH_REUSED: 401, REFRESH_RACE: 409, NOT_FOUND: 404 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+// Body: { refreshToken }. Returns a new access token and the next refresh token.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { session, refreshToken } = await sessions.rotateRefreshToken(req.body && req.body.refreshToken, { ip: audit.clientIp(req) });
+    const user = await User.findById(session.userId).select('role banned').lean();
+    if (!user) {
+      await sessions.revokeSession(session._id, { reason: 'user_missing' });
+      return res.status(401).json({ error: 'Session has ended', code: 'INVALID_REFRESH' });
+    }
+    if (user.banned) {
+      await sessions.revokeSession(session._id, { reason: 'banned' });
+      return res.status(403).json(BANNED_ERROR);
+    }
+    const token = signJwt({ id: user._id, role: user.role, sid: String(session._id) });
+    return res.json({ ok: true, token, refreshToken, sessionId: session._id });
+  } catch (err) {
+    return sendSessionError(res, err, 'Failed to refresh session');
+  }
+});
+
+// Ends the current session; works with an expired access token as long
+// as the refresh token is sent
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const refreshToken = req.body && req.body.refreshToken;
+    const pl = refreshToken ? null : verifyJwt(bearerToken(req) || '');
+    if (!refreshToken && !(pl && pl.sid)) return res.status(400).json({ error: 'Nothing to log out' });
+    if (refreshToken) {
+      await sessions.revokeByRefreshToken(refreshToken, { reason: 'logout' });
     } else {
-      user = await User.create({ googleId, email, displayName: name, avatarUrl: picture });
+      try {
+        await sessions.revokeSession(pl.sid, { userId: pl.id, reason: 'logout' });
+      } catch (e) {
+        if (!e || e._code !== 'NOT_FOUND') throw e; // already ended is fine
+      }
     }
-    const token = signJwt({ id: user._id, role: user.role });
-    return res.json({ ok: true, token, user: { id: user._id, displayName: user.displayName, avatarUrl: user.avatarUrl } });
+    return res.json({ ok: true });
   } catch (err) {
-    console.error('google-idtoken error:', err && err.message);
-    return res.status(400).json({ error: 'Invalid id_token' });
+    return sendSessionError(res, err, 'Failed to log out');
+  }
+});
+
+app.post('/api/auth/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeUserSessions(req.user.id, { reason: 'logout_all' });
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    return sendSessionError(res, err, 'Failed to log out everywhere');
+  }
+});
+
+app.get('/api/me/sessions', auth, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.user.id);
+    return res.json({ ok: true, sessions: list.map((s) => ({ ...s, current: String(s._id) === String(req.user.sid) })) });
+  } catch (err) {
+    return sendSessionError(res, err, 'Failed to list sessions');
+  }
+});
+
+app.delete('/api/me/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await sessions.revokeSession(req.params.sessionId, { userId: req.user.id, reason: 'revoked' });
+    return res.json({ ok: true, session, current: String(req.params.sessionId) === String(req.user.sid) });
+  } catch (err) {
+    return sendSessionError(res, err, 'Failed to revoke session');
   }
 });
 
@@ -276,6 +724,9 @@ app.get('/api/me', auth, async (req, res) => {
     const user = await User.findById(req.user.id).lean();
     if (!user) return res.status(404).json({ error: 'User not found' });
     delete user.passwordHash;
+    user.roles = permissions.rolesOf(user);
+    user.permissions = permissions.permissionsFor(user.roles);
+    user.displayNameRenameAfter = displayNames.nextRenameAt(user);
     return res.json({ ok: true, user });
   } catch (err) {
     console.error('me error:', err && err.message);
@@ -283,45 +734,440 @@ app.get('/api/me', auth, async (req, res) => {
   }
 });
 
-app.post('/api/me/avatar', auth, uploadAvatar.single('avatar'), async (req, res) => {
+// Body: { displayName }. Names are unique ignoring case; renames are
+// limited to one per DISPLAY_NAME_COOLDOWN_DAYS.
+app.patch('/api/me', auth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter((k) => k !== 'displayName');
+    if (unknown.length) return res.status(400).json({ error: `Cannot update: ${unknown.join(', ')}` });
+    if (body.displayName === undefined) return res.status(400).json({ error: 'Nothing to update' });
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const result = await displayNames.renameUser(user, body.displayName);
+    if (result.previous !== user.displayName) {
+      io.emit('viewerRenamed', { viewerId: String(user._id), viewerName: user.displayName });
+    }
+    return res.json({
+      ok: true,
+      user: { id: user._id, displayName: user.displayName, displayNameRenameAfter: displayNames.nextRenameAt(user) },
+      teamsUpdated: result.teamsUpdated,
+      entriesUpdated: result.entriesUpdated
+    });
+  } catch (err) {
+    if (err && err._code === 'INVALID_NAME') return res.status(400).json({ error: err.message, code: err._code });
+    if (err && err._code === 'NAME_TAKEN') return res.status(409).json({ error: err.message, code: err._code });
+    if (err && err._code === 'COOLDOWN') return res.status(429).json({ error: err.message, code: err._code, retryAt: err.retryAt });
+    console.error('update profile error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+app.post('/api/me/avatar', auth, uploads.single('avatar', 'avatar'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ error: 'No user' });
-    if (!req.file) return res.status(400).json({ error: 'No file' });
-    const allowed = ['image/png', 'image/jpeg', 'image/webp'];
-    if (!allowed.includes(req.file.mimetype)) { fs.unlinkSync(req.file.path); return res.status(400).json({ error: 'Invalid file type' }); }
-    const ext = path.extname(req.file.originalname).toLowerCase() || '.png';
-    const fileName = `${user._id}_${Date.now()}${ext}`;
-    const filePath = path.join(AVATAR_DIR, fileName);
-    fs.renameSync(req.file.path, filePath);
-    user.avatarUrl = `/assets/avatars/${fileName}`;
+    const saved = await uploads.saveImage(req.file, 'avatar', { name: String(user._id) });
+    const previous = user.avatarUrl;
+    user.avatarUrl = saved.url;
+    user.avatarThumbUrl = saved.thumbUrl;
+    try {
+      await user.save();
+    } catch (e) {
+      await uploads.removeUpload(saved.url);
+      throw e;
+    }
+    if (previous && previous !== saved.url) await uploads.removeUpload(previous);
+    return res.json({ ok: true, avatarUrl: user.avatarUrl, avatarThumbUrl: user.avatarThumbUrl });
+  } catch (err) {
+    return sendUploadError(res, err, 'Avatar upload failed');
+  }
+});
+
+// --- Wallet ---
+// ?limit=1..100 &before=<transaction id> for older pages
+app.get('/api/me/wallet', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const filter = { userId: req.user.id };
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) return res.status(400).json({ error: 'Invalid cursor' });
+      filter._id = { $lt: req.query.before };
+    }
+    const [balance, history] = await Promise.all([
+      wallet.getBalance(req.user.id),
+      WalletTransaction.find(filter).sort({ _id: -1 }).limit(limit + 1).lean()
+    ]);
+    const hasMore = history.length > limit;
+    const items = history.slice(0, limit);
+    return res.json({ ok: true, balance, transactions: items, nextBefore: hasMore ? items[items.length - 1]._id : null });
+  } catch (err) {
+    console.error('wallet error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to load wallet' });
+  }
+});
+
+app.post('/api/admin/users/:userId/wallet/grant', permit('wallet'), async (req, res) => {
+  try {
+    const amount = Number(req.body && req.body.amount);
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be positive' });
+    const txn = await wallet.applyTransaction({
+      userId: req.params.userId,
+      type: 'grant',
+      amount,
+      note: (req.body && req.body.note) || 'Admin grant',
+      createdBy: adminActor(req)
+    });
+    audit.note(res, { after: audit.pick(txn, ['amount', 'balanceAfter', 'note']) });
+    return res.json({ ok: true, transaction: txn });
+  } catch (err) {
+    if (err && err._code === 'NO_WALLET_OWNER') return res.status(404).json({ error: 'User not found' });
+    console.error('wallet grant error:', err && err.message);
+    return res.status(500).json({ error: 'Grant failed' });
+  }
+});
+
+// --- Admin roles & API keys ---
+function sendPermissionError(res, err, fallback) {
+  const status = { NOT_FOUND: 404, NO_ROLES: 400, INVALID_ROLES: 400 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+app.get('/api/admin/roles', permit(), (req, res) => {
+  return res.json({ ok: true, roles: permissions.ROLES, permissions: permissions.PERMISSIONS, mine: req.permissions });
+});
+
+// Query: q (name/email), role
+app.get('/api/admin/users', permit('users'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) {
+      const rx = new RegExp(String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ displayName: rx }, { email: rx }];
+    }
+    if (req.query.role === 'super-admin') filter.$and = [{ $or: [{ roles: 'super-admin' }, { role: 'admin' }] }];
+    else if (req.query.role) filter.roles = String(req.query.role);
+    const users = await User.find(filter).select('displayName email role roles banned createdAt').sort({ createdAt: -1 }).limit(100).lean();
+    return res.json({ ok: true, users: users.map((u) => ({ ...u, roles: permissions.rolesOf(u) })) });
+  } catch (err) {
+    console.error('list users error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Body: { roles: ['scorer', ...] } replaces the user's admin roles
+app.put('/api/admin/users/:userId/roles', permit('users'), async (req, res) => {
+  try {
+    const roles = Array.from(new Set((req.body && req.body.roles) || []));
+    const roleError = permissions.checkRoles(roles);
+    if (roleError) return res.status(400).json({ error: roleError });
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = permissions.rolesOf(user);
+    // admins cannot lock themselves out of role management
+    if (req.user && String(req.user.id) === String(user._id) && permissions.can(req.permissions, 'users') &&
+        !permissions.can(permissions.permissionsFor(roles), 'users')) {
+      return res.status(400).json({ error: 'You cannot remove your own user-management access' });
+    }
+    user.roles = roles;
+    // keep the legacy flag in step so older checks and the profile badge agree
+    user.role = roles.includes('super-admin') ? 'admin' : 'user';
     await user.save();
-    return res.json({ ok: true, avatarUrl: user.avatarUrl });
+    audit.note(res, { before: { roles: before }, after: { roles } });
+    return res.json({ ok: true, userId: user._id, roles, permissions: permissions.permissionsFor(roles) });
   } catch (err) {
-    console.error('avatar upload error:', err && err.message);
-    return res.status(500).json({ error: 'Avatar upload failed' });
+    console.error('set roles error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to update roles' });
   }
 });
-// -----------------------
-// FIX: Safe player name resolver
-// -----------------------
-function getPlayerName(p) {
-  if (!p) return '';
-  if (typeof p === 'string') return p.trim();
-  if (typeof p === 'object') {
-    if (p.playerName) return String(p.playerName).trim();
-    if (p.name) return String(p.name).trim();
-  }
-  return '';
+
+// Keys are managed with a login or the shared token, never with another key
+function keyOwnerFor(req, res) {
+  if (req.adminVia === 'apikey') {
+    res.status(403).json({ error: 'API keys cannot manage API keys' });
+    return null;
+  }
+  const own = req.user ? String(req.user.id) : null;
+  const target = req.query.userId || (req.body && req.body.userId) || own;
+  if (!target) {
+    res.status(400).json({ error: 'userId is required' });
+    return null;
+  }
+  if (String(target) !== own && !permissions.can(req.permissions, 'users')) {
+    res.status(403).json({ error: 'Forbidden: requires users permission', permission: 'users' });
+    return null;
+  }
+  return String(target);
 }
 
+app.get('/api/admin/api-keys', permit(), async (req, res) => {
+  try {
+    const userId = keyOwnerFor(req, res);
+    if (!userId) return;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
+    const keys = await AdminApiKey.find({ userId }).select('-keyHash').sort({ createdAt: -1 }).lean();
+    return res.json({ ok: true, keys });
+  } catch (err) {
+    return sendPermissionError(res, err, 'Failed to list API keys');
+  }
+});
+
+// Body: { name, roles?, expiresInDays?, userId? }. The key is shown once.
+app.post('/api/admin/api-keys', permit(), async (req, res) => {
+  try {
+    const userId = keyOwnerFor(req, res);
+    if (!userId) return;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
+    const user = await permissions.loadUser(userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { name, roles, expiresInDays } = req.body || {};
+    const { key, apiKey } = await permissions.createApiKey(user, {
+      name,
+      roles: Array.isArray(roles) ? roles : [],
+      expiresInDays,
+      createdBy: adminActor(req)
+    });
+    audit.note(res, { targets: { userId, keyId: String(apiKey._id) }, after: { name: apiKey.name, prefix: apiKey.prefix, roles: apiKey.roles, expiresAt: apiKey.expiresAt } });
+    return res.json({ ok: true, key, apiKey });
+  } catch (err) {
+    return sendPermissionError(res, err, 'Failed to create API key');
+  }
+});
+
+app.delete('/api/admin/api-keys/:keyId', permit(), async (req, res) => {
+  try {
+    if (req.adminVia === 'apikey') return res.status(403).json({ error: 'API keys cannot manage API keys' });
+    const existing = await AdminApiKey.findById(req.params.keyId).select('userId').lean();
+    if (!existing) return res.status(404).json({ error: 'API key not found' });
+    const own = req.user && String(req.user.id) === String(existing.userId);
+    if (!own && !permissions.can(req.permissions, 'users')) {
+      return res.status(403).json({ error: 'Forbidden: requires users permission', permission: 'users' });
+    }
+    const apiKey = await permissions.revokeApiKey(req.params.keyId, { actor: adminActor(req) });
+    audit.note(res, { targets: { userId: String(apiKey.userId) }, after: { revokedAt: apiKey.revokedAt } });
+    return res.json({ ok: true, apiKey });
+  } catch (err) {
+    return sendPermissionError(res, err, 'Failed to revoke API key');
+  }
+});
+
+// --- Audit log (admin) ---
+// Query: actor, actorType, action ("stats.publish", or a prefix like "stats."),
+// targetId (any id the action touched), from/to dates, failed=1, limit, before
+app.get('/api/admin/audit', permit('audit'), async (req, res) => {
+  try {
+    const q = req.query;
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (q.actor) filter.actor = String(q.actor);
+    if (q.actorType) filter.actorType = String(q.actorType);
+    if (q.action) {
+      const action = String(q.action);
+      filter.action = /[.*]$/.test(action)
+        ? { $regex: '^' + action.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&') }
+        : action;
+    }
+    if (q.targetId || q.matchId) filter.targetIds = String(q.targetId || q.matchId);
+    if (q.from || q.to) {
+      filter.createdAt = {};
+      if (q.from) filter.createdAt.$gte = new Date(q.from);
+      if (q.to) filter.createdAt.$lte = new Date(q.to);
+      if (Object.values(filter.createdAt).some((d) => isNaN(d.getTime()))) return res.status(400).json({ error: 'Invalid date range' });
+    }
+    if (q.failed === '1' || q.failed === 'true') filter.status = { $gte: 400 };
+    if (q.before) {
+      if (!mongoose.isValidObjectId(q.before)) return res.status(400).json({ error: 'Invalid cursor' });
+      filter._id = { $lt: q.before };
+    }
+    const rows = await AuditLog.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    return res.json({ ok: true, entries: items, nextBefore: hasMore ? items[items.length - 1]._id : null });
+  } catch (err) {
+    console.error('audit log error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// --- Abuse flags & bans (admin) ---
+function sendAbuseError(res, err, fallback) {
+  const status = { NOT_FOUND: 404, INVALID_STATUS: 400, REASON_REQUIRED: 400 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+// Closes the flag a ban was made from, when the request names one
+async function actionFlag(req, note) {
+  const flagId = req.body && req.body.flagId;
+  if (!flagId || !mongoose.isValidObjectId(flagId)) return null;
+  try {
+    return await abuse.reviewFlag(flagId, { status: 'actioned', note, actor: adminActor(req) });
+  } catch (err) {
+    if (err && err._code === 'NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+// Query: status (default open, or "all"), kind, userId, matchId, limit, before
+app.get('/api/admin/abuse/flags', permit('abuse'), async (req, res) => {
+  try {
+    const q = req.query;
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || 50, 1), 200);
+    const filter = {};
+    const status = q.status || 'open';
+    if (status !== 'all') {
+      if (!abuse.REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+      filter.status = status;
+    }
+    if (q.kind) {
+      if (!abuse.FLAG_KINDS.includes(q.kind)) return res.status(400).json({ error: 'Invalid kind' });
+      filter.kind = q.kind;
+    }
+    if (q.userId) filter.userIds = String(q.userId);
+    if (q.matchId) filter.matchIds = String(q.matchId);
+    if (q.before) {
+      if (!mongoose.isValidObjectId(q.before)) return res.status(400).json({ error: 'Invalid cursor' });
+      filter._id = { $lt: q.before };
+    }
+    const rows = await AbuseFlag.find(filter).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    return res.json({ ok: true, flags: items, nextBefore: hasMore ? items[items.length - 1]._id : null });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to load abuse flags');
+  }
+});
+
+// One flag with the accounts and teams it names
+app.get('/api/admin/abuse/flags/:flagId', permit('abuse'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.flagId)) return res.status(404).json({ error: 'Flag not found' });
+    const flag = await AbuseFlag.findById(req.params.flagId).lean();
+    if (!flag) return res.status(404).json({ error: 'Flag not found' });
+    const userIds = flag.userIds.filter((id) => mongoose.isValidObjectId(id));
+    const teamIds = flag.teamIds.filter((id) => mongoose.isValidObjectId(id));
+    const [users, teams] = await Promise.all([
+      User.find({ _id: { $in: userIds } }).select('displayName email emailVerified createdAt banned banReason').lean(),
+      Team.find({ _id: { $in: teamIds } }).select('matchId name viewerId viewerName players captain vice ip deviceId createdAt banned banReason').lean()
+    ]);
+    return res.json({ ok: true, flag, users, teams });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to load abuse flag');
+  }
+});
+
+// Body: { status: 'dismissed' | 'actioned' | 'open', note }
+app.post('/api/admin/abuse/flags/:flagId/review', permit('abuse'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.flagId)) return res.status(404).json({ error: 'Flag not found' });
+    const before = await AbuseFlag.findById(req.params.flagId).select('status').lean();
+    const { status, note } = req.body || {};
+    const flag = await abuse.reviewFlag(req.params.flagId, { status, note, actor: adminActor(req) });
+    audit.note(res, { before: before && { status: before.status }, after: { status: flag.status, note: flag.reviewNote } });
+    return res.json({ ok: true, flag });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to review abuse flag');
+  }
+});
+
+// Body: { matchId } re-checks that match's teams; without it, recent logins
+app.post('/api/admin/abuse/scan', permit('abuse'), async (req, res) => {
+  try {
+    const matchId = req.body && req.body.matchId;
+    if (matchId) {
+      if (!mongoose.isValidObjectId(matchId) || !(await Match.exists({ _id: matchId }))) return res.status(404).json({ error: 'Match not found' });
+      const result = await abuse.scanMatch(matchId);
+      audit.note(res, { targets: { matchId: String(matchId) }, after: result });
+      return res.json({ ok: true, matchId, ...result });
+    }
+    const result = await abuse.scanSessions();
+    audit.note(res, { after: result });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Abuse scan failed');
+  }
+});
+
+// Body: { reason, flagId? }
+app.post('/api/admin/teams/:teamId/ban', permit('abuse'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.teamId)) return res.status(404).json({ error: 'Team not found' });
+    const reason = req.body && req.body.reason;
+    const team = await abuse.banTeam(req.params.teamId, { reason, actor: adminActor(req) });
+    const flag = await actionFlag(req, reason);
+    audit.note(res, { targets: { matchId: String(team.matchId), flagId: flag && String(flag._id) }, after: { banned: true, reason: team.banReason } });
+    io.to(`match_${team.matchId}`).emit('teamBanned', { matchId: String(team.matchId), teamId: String(team._id), banned: true });
+    return res.json({ ok: true, team });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to ban team');
+  }
+});
+
+// Body: { reason? } (kept in the audit log)
+app.post('/api/admin/teams/:teamId/unban', permit('abuse'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.teamId)) return res.status(404).json({ error: 'Team not found' });
+    const before = await Team.findById(req.params.teamId).select('banned banReason').lean();
+    const team = await abuse.unbanTeam(req.params.teamId);
+    audit.note(res, { targets: { matchId: String(team.matchId) }, before: before && { banned: !!before.banned, reason: before.banReason }, after: { banned: false, reason: String((req.body && req.body.reason) || '') } });
+    io.to(`match_${team.matchId}`).emit('teamBanned', { matchId: String(team.matchId), teamId: String(team._id), banned: false });
+    return res.json({ ok: true, team });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to unban team');
+  }
+});
+
+// Body: { reason, teams = true, flagId? }. Ends the user's sessions at once.
+app.post('/api/admin/users/:userId/ban', permit('abuse'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) return res.status(404).json({ error: 'User not found' });
+    if (req.user && String(req.user.id) === String(userId)) return res.status(400).json({ error: 'You cannot ban yourself' });
+    const target = await permissions.loadUser(userId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    // banning an admin is a role change in disguise
+    if (permissions.rolesOf(target).length && !permissions.can(req.permissions, 'users')) {
+      return res.status(403).json({ error: 'Forbidden: banning an admin requires users permission', permission: 'users' });
+    }
+    const { reason, teams } = req.body || {};
+    const result = await abuse.banUser(userId, { reason, actor: adminActor(req), withTeams: teams !== false });
+    const flag = await actionFlag(req, reason);
+    audit.note(res, { targets: { flagId: flag && String(flag._id) }, after: { banned: true, reason: result.user.banReason, teamsBanned: result.teamsBanned, sessionsRevoked: result.sessionsRevoked } });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to ban user');
+  }
+});
+
+// Body: { reason? }. Restores the teams banned along with the user.
+app.post('/api/admin/users/:userId/unban', permit('abuse'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(404).json({ error: 'User not found' });
+    const before = await User.findById(req.params.userId).select('banned banReason').lean();
+    const result = await abuse.unbanUser(req.params.userId);
+    audit.note(res, { before: before && { banned: !!before.banned, reason: before.banReason }, after: { banned: false, reason: String((req.body && req.body.reason) || ''), teamsRestored: result.teamsRestored } });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendAbuseError(res, err, 'Failed to unban user');
+  }
+});
 
 // --- Matches: create/list/get ---
-app.post('/api/admin/matches', admin, async (req, res) => {
+app.post('/api/admin/matches', permit('matches'), async (req, res) => {
   try {
-    const { name, startTime, streamUrl, teamA, teamB, externalId } = req.body;
+    const { name, startTime, streamUrl, teamA, teamB, externalId, teamRules: rulesInput, lockBufferMinutes } = req.body;
     if (!name) return res.status(400).json({ error: 'Match name required' });
 
+    let rulesToSave;
+    if (rulesInput) {
+      rulesToSave = teamRules.resolveTeamRules(rulesInput);
+      const ruleErrors = teamRules.checkRulesConfig(rulesToSave);
+      if (ruleErrors.length) return res.status(400).json({ error: 'Invalid team rules', errors: ruleErrors });
+    }
+
     let startTimeToSave = null;
     if (startTime) {
       const parsed = parseStartTime(startTime);
@@ -329,7 +1175,8 @@ app.post('/api/admin/matches', admin, async (req, res) => {
       startTimeToSave = parsed;
     }
 
-    const match = await Match.create({ name, startTime: startTimeToSave, streamUrl, teamA, teamB, externalId });
+    const lockBuffer = Math.max(Number(lockBufferMinutes || 0), 0);
+    const match = await Match.create({ name, startTime: startTimeToSave, streamUrl, teamA, teamB, externalId, teamRules: rulesToSave, lockBufferMinutes: lockBuffer });
     return res.json({ ok: true, match });
   } catch (err) {
     console.error('create match error:', err && err.message);
@@ -358,6 +1205,35 @@ app.get('/api/matches/:matchId', async (req, res) => {
   }
 });
 
+// --- Team rules (per match) ---
+app.get('/api/matches/:matchId/team-rules', async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).select('teamRules').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    return res.json({ ok: true, rules: teamRules.resolveTeamRules(match.teamRules), enforced: teamRules.hasCompositionRules(match) });
+  } catch (err) {
+    console.error('get team rules error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to fetch team rules' });
+  }
+});
+
+app.put('/api/admin/matches/:matchId/team-rules', permit('roster'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const rules = teamRules.resolveTeamRules(req.body || {});
+    const ruleErrors = teamRules.checkRulesConfig(rules);
+    if (ruleErrors.length) return res.status(400).json({ error: 'Invalid team rules', errors: ruleErrors });
+    audit.note(res, { before: teamRules.resolveTeamRules(match.teamRules), after: rules });
+    match.teamRules = rules;
+    await match.save({ validateBeforeSave: false });
+    return res.json({ ok: true, rules });
+  } catch (err) {
+    console.error('save team rules error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to save team rules' });
+  }
+});
+
 // --- Roster helpers ---
 function parseCSV(text) {
   text = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').trim();
@@ -368,11 +1244,10 @@ function parseCSV(text) {
   return { header, rows };
 }
 
-app.post('/api/admin/matches/:matchId/roster-csv', admin, uploadAny.single('rosterCsv'), async (req, res) => {
+app.post('/api/admin/matches/:matchId/roster-csv', permit('roster'), uploads.single('rosterCsv', 'rosterCsv'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file' });
-    const csv = fs.readFileSync(req.file.path, 'utf8');
-    fs.unlinkSync(req.file.path);
+    const csv = uploads.readText(req.file, 'rosterCsv');
     const parsed = parseCSV(csv);
     const header = parsed.header;
     const rows = parsed.rows;
@@ -391,58 +1266,203 @@ app.post('/api/admin/matches/:matchId/roster-csv', admin, uploadAny.single('rost
       });
     });
     const match = await Match.findById(req.params.matchId);
-    match.players = players;
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const resolved = await playerRegistry.resolveRoster(players, { matchId: match._id });
+    audit.note(res, { before: { players: (match.players || []).length }, after: { players: resolved.players.length, unmatched: resolved.unmatched } });
+    match.players = resolved.players;
+    await match.save({ validateBeforeSave: false });
+    io.to(`match_${match._id}`).emit('rosterUpdate', { matchId: match._id, players: match.players });
+    return res.json({ ok: true, count: players.length, unmatched: resolved.unmatched });
+  } catch (err) {
+    console.error('roster-csv error:', err && err.message);
+    return res.status(500).json({ error: 'Roster upload failed' });
+  }
+});
+
+app.post('/api/admin/matches/:matchId/roster', permit('roster'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const resolved = await playerRegistry.resolveRoster((req.body.players || []).map(p => ({
+      ...p,
+      role: normalizeRole(p.role),
+      status: normalizeStatus(p.status)
+    })), { matchId: match._id });
+    audit.note(res, { before: { players: (match.players || []).length }, after: { players: resolved.players.length, unmatched: resolved.unmatched } });
+    match.players = resolved.players;
     await match.save({ validateBeforeSave: false });
-    io.to(`match_${match._id}`).emit('rosterUpdate', { matchId: match._id, players });
-    return res.json({ ok: true, count: players.length });
+    io.to(`match_${match._id}`).emit('rosterUpdate', { matchId: match._id, players: match.players });
+    return res.json({ ok: true, unmatched: resolved.unmatched });
+  } catch (err) {
+    console.error('roster save error:', err && err.message);
+    return res.status(500).json({ error: 'Roster save failed' });
+  }
+});
+
+app.get('/api/matches/:matchId/players', async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).lean();
+    if (!match) return res.status(404).json({ error: 'No match' });
+    return res.json({ ok: true, players: match.players || [] });
+  } catch (err) {
+    console.error('get players error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to fetch players' });
+  }
+});
+
+// --- Player registry (services/playerRegistry) ---
+function sendRegistryError(res, err, fallback) {
+  const status = { INVALID_NAME: 400, NOT_FOUND: 404, NAME_TAKEN: 409, ALIAS_TAKEN: 409 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+app.post('/api/admin/players/seed', permit('roster'), async (req, res) => {
+  try {
+    const result = await playerRegistry.seedRegistry();
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendRegistryError(res, err, 'Failed to seed player registry');
+  }
+});
+
+// ?q= ranks players by name similarity; without it lists alphabetically
+app.get('/api/admin/players', permit('roster'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    if (req.query.q) {
+      const players = await playerRegistry.loadRegistry();
+      const hit = playerRegistry.resolveAgainst(String(req.query.q), players);
+      return res.json({ ok: true, match: hit.player, via: hit.via, score: hit.score, suggestions: hit.suggestions });
+    }
+    const players = await Player.find().sort({ name: 1 }).limit(limit).lean();
+    return res.json({ ok: true, players });
+  } catch (err) {
+    return sendRegistryError(res, err, 'Failed to list players');
+  }
+});
+
+app.post('/api/admin/players', permit('roster'), async (req, res) => {
+  try {
+    const { name, aliases, role, realTeam } = req.body || {};
+    const player = await playerRegistry.createPlayer({
+      name,
+      aliases: Array.isArray(aliases) ? aliases : [],
+      role: role || '',
+      realTeam: realTeam || '',
+      source: 'admin'
+    });
+    return res.json({ ok: true, player });
+  } catch (err) {
+    return sendRegistryError(res, err, 'Failed to create player');
+  }
+});
+
+app.post('/api/admin/players/:playerId/aliases', permit('roster'), async (req, res) => {
+  try {
+    const player = await playerRegistry.addAlias(req.params.playerId, req.body && req.body.alias);
+    return res.json({ ok: true, player });
   } catch (err) {
-    console.error('roster-csv error:', err && err.message);
-    return res.status(500).json({ error: 'Roster upload failed' });
+    return sendRegistryError(res, err, 'Failed to add alias');
   }
 });
 
-app.post('/api/admin/matches/:matchId/roster', admin, async (req, res) => {
+app.get('/api/admin/players/unmatched', permit('roster'), async (req, res) => {
   try {
-    const match = await Match.findById(req.params.matchId);
-    match.players = (req.body.players || []).map(p => ({
-      ...p,
-      role: normalizeRole(p.role),
-      status: normalizeStatus(p.status)
-    }));
-    await match.save({ validateBeforeSave: false });
-    io.to(`match_${match._id}`).emit('rosterUpdate', { matchId: match._id, players: match.players });
-    return res.json({ ok: true });
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.context) filter.context = String(req.query.context);
+    if (req.query.matchId) filter.matchId = req.query.matchId;
+    const items = await UnmatchedPlayerName.find(filter).sort({ lastSeenAt: -1 }).limit(500).lean();
+    return res.json({ ok: true, items });
   } catch (err) {
-    console.error('roster save error:', err && err.message);
-    return res.status(500).json({ error: 'Roster save failed' });
+    return sendRegistryError(res, err, 'Failed to list unmatched names');
   }
 });
 
-app.get('/api/matches/:matchId/players', async (req, res) => {
+// Body: { action: 'link', playerId } | { action: 'create', name? } | { action: 'ignore' }
+// Linking/creating resolves every pending row with the same name and
+// realigns stats of matches where the name came from a scorecard. Matches
+// with a paid-out contest only get a draft, left for an explicit publish.
+app.post('/api/admin/players/unmatched/:itemId/resolve', permit('roster'), async (req, res) => {
   try {
-    const match = await Match.findById(req.params.matchId).lean();
-    if (!match) return res.status(404).json({ error: 'No match' });
-    return res.json({ ok: true, players: match.players || [] });
+    const { action, playerId, name } = req.body || {};
+    const item = await UnmatchedPlayerName.findById(req.params.itemId).lean();
+    if (!item) return res.status(404).json({ error: 'Review item not found' });
+    if (!['link', 'create', 'ignore'].includes(action)) return res.status(400).json({ error: 'action must be link, create or ignore' });
+
+    const done = { resolvedBy: adminActor(req), resolvedAt: new Date() };
+    if (action === 'ignore') {
+      await UnmatchedPlayerName.updateOne({ _id: item._id }, { $set: { status: 'ignored', ...done } });
+      return res.json({ ok: true });
+    }
+
+    let player;
+    if (action === 'link') {
+      if (!playerId) return res.status(400).json({ error: 'playerId required' });
+      player = await playerRegistry.addAlias(playerId, item.rawName);
+    } else {
+      const aliases = name && name.trim() !== item.rawName ? [item.rawName] : [];
+      player = await playerRegistry.createPlayer({ name: name || item.rawName, aliases, source: 'review' });
+    }
+
+    const pending = await UnmatchedPlayerName.find({ key: item.key, status: 'pending' }).lean();
+    await UnmatchedPlayerName.updateMany(
+      { key: item.key, status: 'pending' },
+      { $set: { status: 'resolved', resolvedPlayerId: player._id, ...done } }
+    );
+
+    const matchIds = [...new Set(pending.filter((p) => p.context === 'scorecard' && p.matchId).map((p) => String(p.matchId)))];
+    let realigned = 0;
+    const drafts = [];
+    for (const id of matchIds) {
+      const match = await Match.findById(id);
+      if (!match) continue;
+      const aligned = await playerRegistry.alignStats(match.stats, match);
+      if (!aligned.renamed.length) continue;
+      const draft = await statsRevisions.createRevision(match._id, aligned.stats, {
+        source: 'manual',
+        createdBy: adminActor(req),
+        note: `Renamed after name review: ${aligned.renamed.map((r) => `${r.from} -> ${r.to}`).join(', ')}`,
+        unmatched: aligned.unmatched
+      });
+      try {
+        await publishAndRescore(draft._id, { actor: adminActor(req) });
+        realigned += 1;
+      } catch (err) {
+        if (!err || err._code !== 'SETTLED') throw err;
+        drafts.push({ matchId: match._id, revisionId: draft._id, number: draft.number });
+      }
+    }
+    return res.json({ ok: true, player, resolved: pending.length, matchesRescored: realigned, draftsToReview: drafts });
   } catch (err) {
-    console.error('get players error:', err && err.message);
-    return res.status(500).json({ error: 'Failed to fetch players' });
+    return sendRegistryError(res, err, 'Failed to resolve review item');
   }
 });
 
 // --- Contests ---
-app.post('/api/admin/matches/:matchId/contests', admin, async (req, res) => {
+app.post('/api/admin/matches/:matchId/contests', permit('contests'), async (req, res) => {
   try {
-    const { title, entryFee, maxEntries, perViewerLimit, closeTime } = req.body;
+    const { title, entryFee, maxEntries, perViewerLimit, closeTime, scoringRulesetId, prizeStructure, minEntries, status } = req.body;
     if (!title) return res.status(400).json({ error: 'title required' });
+    if (status && !['draft', 'open'].includes(status)) return res.status(400).json({ error: 'status must be draft or open' });
+    if (prizeStructure) {
+      const prizeErrors = payouts.checkPrizeStructure(prizeStructure);
+      if (prizeErrors.length) return res.status(400).json({ error: 'Invalid prize structure', errors: prizeErrors });
+    }
     const contest = await Contest.create({
       matchId: req.params.matchId,
       title,
       entryFee,
       maxEntries,
       perViewerLimit,
+      scoringRulesetId: scoringRulesetId || null,
+      prizeStructure: prizeStructure || undefined,
+      minEntries: Number(minEntries || 0),
+      status: status || 'open',
+      openedAt: status === 'draft' ? null : new Date(),
       closeTime: closeTime ? new Date(closeTime) : null,
-      archived: false,
-      closed: false
+      archived: false
     });
     return res.json({ ok: true, contest });
   } catch (err) {
@@ -454,24 +1474,20 @@ app.post('/api/admin/matches/:matchId/contests', admin, async (req, res) => {
 app.get('/api/matches/:matchId/contests', async (req, res) => {
   try {
     const matchId = req.params.matchId;
-    const contests = await Contest.find({ matchId, archived: { $ne: true } }).lean();
+    const contests = await Contest.find({ matchId, archived: { $ne: true }, status: { $ne: 'draft' } }).lean();
     if (!contests || contests.length === 0) return res.json([]);
-    let viewerName = null;
-    const authHeader = (req.headers.authorization || '').split(' ');
-    if (authHeader.length === 2 && authHeader[0] === 'Bearer') {
-      const pl = verifyJwt(authHeader[1]);
-      if (pl && pl.id) {
-        try {
-          const user = await User.findById(pl.id).lean();
-          if (user && user.displayName) viewerName = user.displayName;
-        } catch (e) { /* ignore */ }
-      }
+    let viewerId = null;
+    const token = bearerToken(req);
+    if (token) {
+      const pl = await verifyAccessToken(token);
+      if (pl) viewerId = String(pl.id);
     }
     const contestsWithCounts = await Promise.all(contests.map(async (c) => {
       const entryCount = await TeamEntry.countDocuments({ contestId: c._id });
       let myEntries = 0;
-      if (viewerName) myEntries = await TeamEntry.countDocuments({ contestId: c._id, viewerName });
-      return { ...c, entryCount, myEntries, closed: !!c.closed };
+      if (viewerId) myEntries = await TeamEntry.countDocuments({ contestId: c._id, viewerId });
+      const status = contestLifecycle.effectiveStatus(c);
+      return { ...c, status, entryCount, myEntries, closed: status !== 'open' };
     }));
     return res.json(contestsWithCounts);
   } catch (err) {
@@ -482,7 +1498,7 @@ app.get('/api/matches/:matchId/contests', async (req, res) => {
 
 // --- Join contest ---
 // Atomic checks + supports teamId or auth lookup
-app.post('/api/contests/:contestId/join', async (req, res) => {
+app.post('/api/contests/:contestId/join', abuse.rateLimit('join', { userOf: tokenUserId }), async (req, res) => {
   const session = await mongoose.startSession();
   try {
     const { contestId } = req.params;
@@ -500,23 +1516,33 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
       return res.status(500).json({ error: 'Match not found for contest' });
     }
 
+    if (contestLifecycle.effectiveStatus(contest) !== 'open') {
+      await session.endSession();
+      return res.status(400).json({ error: 'Contest is not open for entries' });
+    }
     if (contest.closeTime && new Date() >= new Date(contest.closeTime)) {
       await session.endSession();
       return res.status(400).json({ error: 'Contest closed' });
     }
-    if (matchObj.startTime && Date.now() >= new Date(matchObj.startTime).getTime()) {
+    if (matchLock.isMatchLocked(matchObj)) {
       await session.endSession();
-      return res.status(400).json({ error: 'Contest closed — match already started' });
+      return res.status(400).json({ error: 'Contest closed — match is locked' });
     }
 
     let team = null;
     let viewerName = bodyViewerName || null;
-    const authHeader = (req.headers.authorization || '').split(' ');
     let authedUserId = null;
-    let authedIsAdmin = false;
-    if (authHeader.length === 2 && authHeader[0] === 'Bearer') {
-      const pl = verifyJwt(authHeader[1]);
-      if (pl && pl.id) { authedUserId = String(pl.id); authedIsAdmin = pl.role === 'admin'; }
+    const token = bearerToken(req);
+    if (token) {
+      const pl = await verifyAccessToken(token);
+      if (pl) authedUserId = String(pl.id);
+    }
+    // a paid entry spends the team owner's coins, so only the signed-in owner
+    // may make it — not a teams admin, never a bare viewerName
+    const paid = Number(contest.entryFee || 0) > 0;
+    if (paid && !authedUserId) {
+      await session.endSession();
+      return res.status(401).json({ error: 'Sign in to join a paid contest' });
     }
 
     if (bodyTeamId) {
@@ -533,17 +1559,23 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
         await session.endSession();
         return res.status(400).json({ error: 'Team does not belong to this match' });
       }
-      if (!authedIsAdmin && String(team.viewerId) !== String(authedUserId)) {
+      const owner = String(team.viewerId) === String(authedUserId);
+      if (!owner && (paid || !(await requesterCan(req, 'teams')))) {
         await session.endSession();
         return res.status(403).json({ error: 'Not allowed to use this team' });
       }
       viewerName = team.viewerName || viewerName;
     } else {
       if (authedUserId) {
-        team = await Team.findOne({ matchId: contest.matchId, viewerId: String(authedUserId) }).lean();
+        const myTeams = await Team.find({ matchId: contest.matchId, viewerId: String(authedUserId) }).limit(2).lean();
+        if (myTeams.length > 1) {
+          await session.endSession();
+          return res.status(400).json({ error: 'You have several teams for this match — pass teamId' });
+        }
+        team = myTeams[0] || null;
         if (team) viewerName = team.viewerName || viewerName;
       }
-      if (!team && bodyViewerName) {
+      if (!team && bodyViewerName && !paid) {
         team = await Team.findOne({ matchId: contest.matchId, viewerName: bodyViewerName }).lean();
         viewerName = bodyViewerName;
       }
@@ -554,16 +1586,28 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
       console.warn(`Join attempt failed: no team for viewer=${viewerName} match=${contest.matchId} (teamId provided? ${!!bodyTeamId})`);
       return res.status(400).json({ error: 'Create a team first' });
     }
+    if (team.banned) {
+      await session.endSession();
+      return res.status(403).json({ error: 'This team has been banned from contests', code: 'BANNED' });
+    }
 
     let entry = null;
     let created = false;
     await session.withTransaction(async () => {
       const contestFresh = await Contest.findById(contestId).session(session);
       if (!contestFresh) throw new Error('Contest disappeared');
+      if (contestLifecycle.effectiveStatus(contestFresh.toObject()) !== 'open') {
+        const e = new Error('Contest not open');
+        e._code = 'NOT_OPEN';
+        throw e;
+      }
 
-      const viewerCheckName = team.viewerName || viewerName || null;
-      if (contestFresh.perViewerLimit && viewerCheckName) {
-        const currentEntries = await TeamEntry.countDocuments({ contestId: contestFresh._id, viewerName: viewerCheckName }).session(session);
+      // per owner account; only teams from before viewerId existed fall back to the name
+      const viewerFilter = team.viewerId
+        ? { viewerId: String(team.viewerId) }
+        : ((team.viewerName || viewerName) ? { viewerId: null, viewerName: team.viewerName || viewerName } : null);
+      if (contestFresh.perViewerLimit && viewerFilter) {
+        const currentEntries = await TeamEntry.countDocuments({ contestId: contestFresh._id, ...viewerFilter }).session(session);
         if (currentEntries >= (contestFresh.perViewerLimit || 1)) {
           const e = new Error('Entry limit reached for viewer');
           e._code = 'PER_VIEWER_LIMIT';
@@ -591,15 +1635,28 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
         matchId: contestFresh.matchId,
         contestId: contestFresh._id,
         viewerName: team.viewerName,
+        viewerId: team.viewerId || null,
         players: team.players,
         captain: team.captain,
         vice: team.vice,
+        points: Number(team.totalPoints || 0),
         teamId: team._id,
-        ip: req.ip,
+        ip: audit.clientIp(req),
+        deviceId: abuse.deviceIdOf(req) || null,
         createdAt: new Date()
       }], { session });
 
       if (Array.isArray(entry) && entry.length) entry = entry[0];
+
+      // fee is charged to the team owner in the same transaction as the entry
+      if (Number(contestFresh.entryFee || 0) > 0) {
+        if (String(team.viewerId) !== String(authedUserId)) {
+          const e = new Error('Only the team owner can join a paid contest');
+          e._code = 'NOT_OWNER';
+          throw e;
+        }
+        await wallet.debitEntryFee({ userId: authedUserId, contest: contestFresh, entryId: entry._id }, session);
+      }
       created = true;
     }, { readConcern: { level: 'local' }, writeConcern: { w: 'majority' } });
 
@@ -618,12 +1675,24 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
     if (err && err._code === 'PER_VIEWER_LIMIT') {
       return res.status(400).json({ error: 'Entry limit reached for viewer' });
     }
+    if (err && err._code === 'NOT_OPEN') {
+      return res.status(400).json({ error: 'Contest is not open for entries' });
+    }
     if (err && err._code === 'CONTEST_FULL') {
       return res.status(400).json({ error: 'Contest is full' });
     }
     if (err && err._code === 'DUPLICATE') {
       return res.status(409).json({ error: 'This team is already joined in the contest' });
     }
+    if (err && err._code === 'INSUFFICIENT_FUNDS') {
+      return res.status(402).json({ error: 'Insufficient wallet balance for entry fee' });
+    }
+    if (err && err._code === 'NO_WALLET_OWNER') {
+      return res.status(400).json({ error: 'Paid contests need a team linked to an account' });
+    }
+    if (err && err._code === 'NOT_OWNER') {
+      return res.status(403).json({ error: 'Only the team owner can join a paid contest' });
+    }
     console.error('Join failed:', err && (err.stack || err.message));
     return res.status(500).json({ error: 'Join failed' });
   } finally {
@@ -631,12 +1700,254 @@ app.post('/api/contests/:contestId/join', async (req, res) => {
   }
 });
 
+// --- Contest leaderboard ---
+// ?mode=standard|dense &limit=1..100 &cursor=<nextCursor from previous page>
+app.get('/api/contests/:contestId/leaderboard', async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).lean();
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    const mode = leaderboard.RANK_MODES.includes(req.query.mode) ? req.query.mode : 'standard';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    if (req.query.cursor && !leaderboard.decodeCursor(req.query.cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+
+    const page = await leaderboard.contestStandingsPage(contest, { mode, cursor: req.query.cursor, limit });
+    return res.json({ ok: true, contestId: contest._id, mode, total: page.total, leaderboard: page.items, nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error('contest leaderboard error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to get contest leaderboard' });
+  }
+});
+
+// Ranks of the authenticated viewer's entries in a contest
+app.get('/api/contests/:contestId/leaderboard/me', auth, async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).lean();
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    const user = await User.findById(req.user.id).select('displayName').lean();
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    const mode = leaderboard.RANK_MODES.includes(req.query.mode) ? req.query.mode : 'standard';
+
+    const mine = await leaderboard.viewerStandings(contest, user, { mode });
+    return res.json({ ok: true, contestId: contest._id, mode, total: mine.total, entries: mine.entries });
+  } catch (err) {
+    console.error('contest my-rank error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to get your rank' });
+  }
+});
+
+// --- Contest lifecycle ---
+// Apply a status transition and tell the match room about it
+async function moveContest(contestId, to, { actor = 'system', reason = '' } = {}) {
+  const result = await contestLifecycle.transitionContest(contestId, to, { actor, reason });
+  const room = `match_${String(result.contest.matchId)}`;
+  try {
+    io.to(room).emit('contestStatus', {
+      contestId: String(contestId),
+      matchId: String(result.contest.matchId),
+      from: result.from,
+      to: result.to,
+      reason
+    });
+    // older pages only listen for contestClosed
+    if (['locked', 'cancelled'].includes(to)) io.to(room).emit('contestClosed', { contestId: String(contestId), cancelled: to === 'cancelled' });
+  } catch (emitErr) {
+    console.warn('Socket emit failed after contest transition (non-fatal):', emitErr && emitErr.message);
+  }
+  return result;
+}
+
+function sendLifecycleError(res, err, fallback) {
+  if (err && err._code === 'NOT_FOUND') return res.status(404).json({ error: 'Contest not found' });
+  if (err && (err._code === 'INVALID_TRANSITION' || err._code === 'INVALID_STATE')) return res.status(400).json({ error: err.message });
+  if (err && err._code === 'CONFLICT') return res.status(409).json({ error: err.message });
+  console.error(fallback + ':', err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+// Body: { status, reason }
+app.post('/api/admin/contests/:contestId/status', permit('contests'), async (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+    if (!status) return res.status(400).json({ error: 'status required' });
+    const result = await moveContest(req.params.contestId, status, { actor: adminActor(req), reason });
+    audit.note(res, { before: { status: result.from }, after: { status: result.to, reason: reason || '', refunded: result.refunded } });
+    return res.json({ ok: true, from: result.from, status: result.to, refunded: result.refunded });
+  } catch (err) {
+    return sendLifecycleError(res, err, 'Failed to change contest status');
+  }
+});
+
+// Cancel a contest: closes it and refunds every paid entry
+app.post('/api/admin/contests/:contestId/cancel', permit('contests'), async (req, res) => {
+  try {
+    const result = await moveContest(req.params.contestId, 'cancelled', { actor: adminActor(req), reason: (req.body && req.body.reason) || 'Cancelled by admin' });
+    audit.note(res, { before: { status: result.from }, after: { status: result.to, refunded: result.refunded } });
+    return res.json({ ok: true, refunded: result.refunded });
+  } catch (err) {
+    return sendLifecycleError(res, err, 'Failed to cancel contest');
+  }
+});
+
+// Mark a match complete; its live (and still locked) contests complete with it
+app.post('/api/admin/matches/:matchId/complete', permit('matches'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    audit.note(res, { before: { completedAt: match.completedAt || null } });
+    match.completedAt = match.completedAt || new Date();
+    if (match.liveScoring && match.liveScoring.enabled) match.liveScoring.enabled = false;
+    await match.save({ validateBeforeSave: false });
+    livePolling.stopPolling(match._id);
+
+    const contests = await Contest.find({ matchId: match._id, status: { $in: ['locked', 'live'] } }).select('status').lean();
+    let completed = 0;
+    for (const c of contests) {
+      if (c.status === 'locked') await moveContest(c._id, 'live', { actor: adminActor(req), reason: 'Match completed' });
+      await moveContest(c._id, 'completed', { actor: adminActor(req), reason: 'Match completed' });
+      completed += 1;
+    }
+    io.to(`match_${String(match._id)}`).emit('matchCompleted', { matchId: String(match._id) });
+    audit.note(res, { after: { completedAt: match.completedAt, contestsCompleted: completed } });
+    return res.json({ ok: true, completedAt: match.completedAt, contestsCompleted: completed });
+  } catch (err) {
+    return sendLifecycleError(res, err, 'Failed to complete match');
+  }
+});
+
+// --- Contest prizes & payouts (admin) ---
+app.put('/api/admin/contests/:contestId/prizes', permit('contests'), async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId);
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    if (contest.payoutStatus === 'settled') return res.status(409).json({ error: 'Contest already settled' });
+    const prizeErrors = payouts.checkPrizeStructure(req.body);
+    if (prizeErrors.length) return res.status(400).json({ error: 'Invalid prize structure', errors: prizeErrors });
+    contest.prizeStructure = req.body;
+    await contest.save();
+    return res.json({ ok: true, prizeStructure: contest.prizeStructure });
+  } catch (err) {
+    console.error('save prizes error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to save prize structure' });
+  }
+});
+
+app.get('/api/admin/contests/:contestId/payouts/preview', permit('payouts'), async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).lean();
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    if (contest.payoutStatus === 'settled') {
+      const ledger = await ContestPayout.find({ contestId: contest._id }).sort({ rank: 1 }).lean();
+      return res.json({ ok: true, settled: true, pool: contest.prizePool, entries: ledger });
+    }
+    const preview = await payouts.previewContestPayout(contest);
+    return res.json({ ok: true, settled: false, ...preview });
+  } catch (err) {
+    console.error('payout preview error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to preview payout' });
+  }
+});
+
+// Body: { previewHash } from the preview the admin reviewed; a mismatch
+// means standings moved since and the admin must preview again.
+app.post('/api/admin/contests/:contestId/payouts/confirm', permit('payouts'), async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const contest = await Contest.findById(req.params.contestId).lean();
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    if (contest.payoutStatus === 'settled') return res.status(409).json({ error: 'Contest already settled' });
+    if (contestLifecycle.effectiveStatus(contest) !== 'completed') return res.status(400).json({ error: 'Contest must be completed before payout' });
+    const match = await Match.findById(contest.matchId).select('stats').lean();
+    if (!match || !(match.stats || []).length) return res.status(400).json({ error: 'Match has no stats yet' });
+
+    const preview = await payouts.previewContestPayout(contest);
+    if (!req.body || req.body.previewHash !== preview.previewHash) {
+      return res.status(409).json({ error: 'Standings changed since preview', previewHash: preview.previewHash });
+    }
+
+    const settledBy = adminActor(req);
+    await session.withTransaction(async () => {
+      const fresh = await Contest.findById(contest._id).session(session);
+      if (!fresh || fresh.payoutStatus === 'settled') {
+        const e = new Error('Contest already settled');
+        e._code = 'ALREADY_SETTLED';
+        throw e;
+      }
+      await ContestPayout.insertMany(preview.entries.map((r) => ({
+        contestId: contest._id,
+        matchId: contest.matchId,
+        entryId: r.entryId,
+        teamId: r.teamId,
+        viewerId: r.viewerId,
+        viewerName: r.viewerName,
+        rank: r.rank,
+        points: r.points,
+        amount: r.amount || 0,
+        settledBy
+      })), { session });
+      for (const r of preview.entries) {
+        if (!(r.amount > 0) || !r.viewerId) continue;
+        await wallet.applyTransaction({
+          userId: r.viewerId,
+          type: 'prize_credit',
+          amount: r.amount,
+          ref: `prize:${r.entryId}`,
+          contestId: contest._id,
+          entryId: r.entryId,
+          note: `Prize: rank ${r.rank} in ${contest.title}`,
+          createdBy: settledBy
+        }, session);
+      }
+      fresh.payoutStatus = 'settled';
+      fresh.prizePool = preview.pool;
+      fresh.settledAt = new Date();
+      fresh.settledBy = settledBy;
+      await fresh.save({ session });
+    }, { readConcern: { level: 'local' }, writeConcern: { w: 'majority' } });
+
+    try {
+      io.to(`match_${String(contest.matchId)}`).emit('contestSettled', { contestId: String(contest._id) });
+    } catch (emitErr) {
+      console.warn('Socket emit failed after settle (non-fatal):', emitErr && emitErr.message);
+    }
+    audit.note(res, { before: { payoutStatus: 'unsettled' }, after: { payoutStatus: 'settled', pool: preview.pool, totalPaid: preview.totalPaid, entries: preview.entries.length } });
+    return res.json({ ok: true, pool: preview.pool, totalPaid: preview.totalPaid, entries: preview.entries.length });
+  } catch (err) {
+    if (err && err._code === 'ALREADY_SETTLED') return res.status(409).json({ error: 'Contest already settled' });
+    console.error('payout confirm error:', err && (err.stack || err.message));
+    return res.status(500).json({ error: 'Failed to confirm payout' });
+  } finally {
+    try { await session.endSession(); } catch (e) {}
+  }
+});
+
+app.get('/api/contests/:contestId/payouts', async (req, res) => {
+  try {
+    const contest = await Contest.findById(req.params.contestId).select('payoutStatus prizePool prizeStructure').lean();
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    const ledger = contest.payoutStatus === 'settled'
+      ? await ContestPayout.find({ contestId: contest._id, amount: { $gt: 0 } }).sort({ rank: 1 }).lean()
+      : [];
+    return res.json({ ok: true, payoutStatus: contest.payoutStatus, prizePool: contest.prizePool, prizeStructure: contest.prizeStructure || null, payouts: ledger });
+  } catch (err) {
+    console.error('contest payouts error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to load payouts' });
+  }
+});
+
 // --- Teams: create/list/me/delete/logo upload ---
-app.post('/api/matches/:matchId/teams', auth, async (req, res) => {
+app.post('/api/matches/:matchId/teams', auth, abuse.rateLimit('team'), async (req, res) => {
   try {
     const { matchId } = req.params;
     const { players, captain, vice, name, linkedChannel } = req.body;
-    if (!Array.isArray(players) || players.length !== 11) return res.status(400).json({ error: 'Team must have 11 players' });
+    if (!Array.isArray(players)) return res.status(400).json({ error: 'players must be an array' });
+
+    const match = await Match.findById(matchId).lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (matchLock.isMatchLocked(match)) return res.status(400).json({ error: 'Match is locked — team creation closed' });
+
+    const picks = await playerRegistry.resolveTeamPicks(match, { players, captain, vice });
+    const check = teamRules.validateTeam(match, picks);
+    if (!check.ok) return res.status(400).json({ error: 'Invalid team', errors: check.errors });
 
     const user = await User.findById(req.user.id).lean();
     if (!user) return res.status(401).json({ error: 'User not found' });
@@ -644,20 +1955,26 @@ app.post('/api/matches/:matchId/teams', auth, async (req, res) => {
     const viewerName = user.displayName || user.email || String(user._id);
     const viewerId = String(user._id);
 
-    const existing = await Team.findOne({ matchId, viewerId });
-    if (existing) return res.status(400).json({ error: 'You already created a team for this match' });
+    const { maxTeamsPerUser } = teamRules.resolveTeamRules(match.teamRules);
+    const existingCount = await Team.countDocuments({ matchId, viewerId });
+    if (existingCount >= maxTeamsPerUser) {
+      return res.status(400).json({ error: maxTeamsPerUser === 1 ? 'You already created a team for this match' : `Team limit reached (${maxTeamsPerUser} per match)` });
+    }
 
     const team = await Team.create({
       matchId,
-      players,
-      captain,
-      vice,
-      name: name || `${viewerName}'s Team`,
+      players: picks.players.map(getPlayerName),
+      captain: getPlayerName(picks.captain),
+      vice: getPlayerName(picks.vice),
+      name: name || (existingCount ? `${viewerName}'s Team ${existingCount + 1}` : `${viewerName}'s Team`),
       viewerName,
       viewerId,
       linkedChannel: linkedChannel || null,
+      ip: audit.clientIp(req),
+      deviceId: abuse.deviceIdOf(req),
       createdAt: new Date()
     });
+    abuse.checkTeam(team).catch((e) => console.error('abuse check error:', e && e.message));
 
     io.to(`match_${matchId}`).emit('teamCreated', { matchId, teamId: team._id, viewerName });
     return res.json({ ok: true, team });
@@ -670,7 +1987,7 @@ app.post('/api/matches/:matchId/teams', auth, async (req, res) => {
 app.get('/api/matches/:matchId/teams', async (req, res) => {
   try {
     const { matchId } = req.params;
-    const teams = await Team.find({ matchId }).select('name viewerName viewerId logoUrl totalPoints players captain vice createdAt').lean();
+    const teams = await Team.find({ matchId }).select('name viewerName viewerId logoUrl totalPoints players captain vice banned createdAt').lean();
     return res.json({ ok: true, teams });
   } catch (err) {
     console.error('list teams error:', err && err.message);
@@ -682,42 +1999,115 @@ app.get('/api/matches/:matchId/teams/me', auth, async (req, res) => {
   try {
     const { matchId } = req.params;
     const userId = String(req.user.id);
-    const team = await Team.findOne({ matchId, viewerId: userId }).lean();
-    if (!team) return res.json({ ok: true, team: null });
-    return res.json({ ok: true, team });
+    const teams = await Team.find({ matchId, viewerId: userId }).sort({ createdAt: 1 }).lean();
+    // `team` kept for pages written when only one team per match was allowed
+    return res.json({ ok: true, team: teams[0] || null, teams });
   } catch (err) {
     console.error('get my team error:', err && err.message);
     return res.status(500).json({ ok: false, error: 'Failed to fetch your team' });
   }
 });
 
+// Edit a team before the match locks; joined contest entries follow the edit
+app.put('/api/matches/:matchId/teams/:teamId', auth, abuse.rateLimit('team'), async (req, res) => {
+  try {
+    const { matchId, teamId } = req.params;
+    const { players, captain, vice, name } = req.body || {};
+    const match = await Match.findById(matchId).lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (matchLock.isMatchLocked(match)) return res.status(400).json({ error: 'Match is locked — teams can no longer be edited' });
+
+    const team = await Team.findById(teamId);
+    if (!team || String(team.matchId) !== String(matchId)) return res.status(404).json({ error: 'Team not found' });
+    const teamBefore = audit.pick(team.toObject(), ['name', 'players', 'captain', 'vice']);
+    if (String(team.viewerId) !== String(req.user.id)) {
+      const moderator = await requesterCan(req, 'teams');
+      if (!moderator) return res.status(403).json({ error: 'Not allowed' });
+      applyAdmin(req, moderator); // editing someone else's team is audited
+    }
+
+    const next = await playerRegistry.resolveTeamPicks(match, {
+      players: Array.isArray(players) ? players : team.players,
+      captain: captain !== undefined ? captain : team.captain,
+      vice: vice !== undefined ? vice : team.vice
+    });
+    const check = teamRules.validateTeam(match, next);
+    if (!check.ok) return res.status(400).json({ error: 'Invalid team', errors: check.errors });
+
+    team.players = next.players.map(getPlayerName);
+    team.captain = getPlayerName(next.captain);
+    team.vice = getPlayerName(next.vice);
+    if (name && String(name).trim()) team.name = String(name).trim();
+    team.updatedAt = new Date();
+    await team.save();
+    audit.note(res, { before: teamBefore, after: audit.pick(team.toObject(), ['name', 'players', 'captain', 'vice']) });
+    abuse.checkTeam(team).catch((e) => console.error('abuse check error:', e && e.message));
+
+    const entries = await TeamEntry.updateMany(
+      { teamId: team._id },
+      { $set: { players: team.players, captain: team.captain, vice: team.vice } }
+    );
+
+    io.to(`match_${matchId}`).emit('teamUpdated', { matchId, teamId: team._id, viewerName: team.viewerName });
+    return res.json({ ok: true, team, entriesUpdated: entries.modifiedCount || 0 });
+  } catch (err) {
+    console.error('edit team error:', err && err.message);
+    return res.status(500).json({ error: 'Team update failed' });
+  }
+});
+
+// Per-player points breakdown, scored live from Match.stats with the same
+// scorer that writes Team.totalPoints
+app.get('/api/matches/:matchId/teams/:teamId/breakdown', async (req, res) => {
+  try {
+    const { matchId, teamId } = req.params;
+    const match = await Match.findById(matchId).select('stats scoringRulesetId').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const team = await Team.findById(teamId).select('matchId name viewerName players captain vice totalPoints lockSnapshot').lean();
+    if (!team || String(team.matchId) !== String(matchId)) return res.status(404).json({ error: 'Team not found' });
+
+    const rules = await teamScoring.resolveScoringRules(match.scoringRulesetId);
+    const scorer = teamScoring.createScorer(match.stats, rules);
+    const { totalPoints, breakdown } = scorer.scoreTeam(team);
+
+    const players = breakdown.map((b) => {
+      const stat = scorer.statMap.get(normalizePlayerKey(b.playerName));
+      return { ...b, stat: stat ? scoring.sanitizeStat(stat) : null };
+    });
+
+    return res.json({
+      ok: true,
+      teamId: team._id,
+      name: team.name,
+      viewerName: team.viewerName,
+      captain: matchLock.scoringSource(team).captain,
+      vice: matchLock.scoringSource(team).vice,
+      locked: !!team.lockSnapshot,
+      players,
+      totalPoints,
+      multipliers: { captain: rules.captainMultiplier, vice: rules.viceMultiplier }
+    });
+  } catch (err) {
+    console.error('team breakdown error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to build points breakdown' });
+  }
+});
+
 // Improved delete handler: accepts admin header or owner JWT (or admin JWT)
 app.delete('/api/matches/:matchId/teams/:teamId', async (req, res) => {
   try {
     const { matchId, teamId } = req.params;
-    console.log('DELETE request headers:', req.headers);
 
     if (!matchId || !teamId) return res.status(400).json({ ok: false, error: 'Missing ids' });
 
-    const adminHeader = req.headers['x-admin-token'] || req.query.adminToken;
-    const isAdminViaHeader = (ADMIN_TOKEN && adminHeader && adminHeader === ADMIN_TOKEN);
-
-    let authedUser = null;
-    try {
-      const authHeader = (req.headers.authorization || '').split(' ');
-      if (authHeader.length === 2 && authHeader[0] === 'Bearer') {
-        const pl = verifyJwt(authHeader[1]);
-        if (pl && pl.id) authedUser = pl;
-      }
-    } catch (e) {
-      console.warn('JWT verify error:', e && e.message);
-    }
+    const moderator = await requesterCan(req, 'teams');
 
-    console.log('isAdminViaHeader=', isAdminViaHeader, 'authedUser=', authedUser && { id: authedUser.id, role: authedUser.role });
+    const token = bearerToken(req);
+    const authedUser = token ? await verifyAccessToken(token) : null;
 
-    if (!isAdminViaHeader && !authedUser) {
-      console.warn('Delete blocked: no admin token and no JWT');
-      return res.status(401).json({ ok: false, error: 'Unauthorized: provide admin token or Bearer token' });
+    if (!moderator && !authedUser) {
+      console.warn('Delete blocked: no admin credentials and no JWT');
+      return res.status(401).json({ ok: false, error: 'Unauthorized: provide admin credentials or Bearer token' });
     }
 
     const team = await Team.findById(teamId);
@@ -729,123 +2119,358 @@ app.delete('/api/matches/:matchId/teams/:teamId', async (req, res) => {
       console.warn('Delete blocked: team.matchId mismatch', team.matchId, matchId);
       return res.status(400).json({ ok: false, error: 'Team does not belong to this match' });
     }
+    const teamMatch = await Match.findById(matchId).select('startTime lockBufferMinutes lockedAt').lean();
+    if (matchLock.isMatchLocked(teamMatch)) {
+      return res.status(400).json({ ok: false, error: 'Match is locked — teams can no longer be deleted' });
+    }
+
+    const requesterIsAdmin = !!moderator;
+    const requesterId = authedUser && authedUser.id ? String(authedUser.id) : null;
+
+    if (!requesterIsAdmin && String(team.viewerId) !== requesterId) {
+      console.warn('Delete blocked: not owner or admin');
+      return res.status(403).json({ ok: false, error: 'Forbidden: not owner or admin' });
+    }
+    if (requesterIsAdmin && String(team.viewerId) !== requesterId) {
+      // admin removing someone else's team goes to the audit log
+      applyAdmin(req, moderator);
+      audit.note(res, { before: audit.pick(team.toObject(), ['name', 'viewerId', 'viewerName', 'players', 'captain', 'vice', 'totalPoints']) });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const entryIds = (await TeamEntry.find({ teamId }).select('_id').session(session).lean()).map((e) => e._id);
+        await wallet.refundEntries(entryIds, { note: 'Refund: team deleted', createdBy: requesterIsAdmin ? 'admin' : requesterId }, session);
+        await Team.deleteOne({ _id: teamId }).session(session);
+        await TeamEntry.deleteMany({ teamId }).session(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await uploads.removeUpload(team.logoUrl);
+
+    try { io.to(`match_${matchId}`).emit('teamDeleted', { matchId, teamId }); } catch (e) { console.warn('socket emit failed', e && e.message); }
+
+    console.log('Team deleted:', teamId, 'by', requesterIsAdmin ? 'admin' : requesterId);
+    return res.json({ ok: true, message: 'Team deleted' });
+  } catch (err) {
+    console.error('delete team error:', err && (err.stack || err.message));
+    return res.status(500).json({ ok: false, error: 'Failed to delete team' });
+  }
+});
+
+// Upload team logo (owner or admin)
+app.post('/api/matches/:matchId/teams/:teamId/logo', auth, uploads.single('teamLogo', 'logo'), async (req, res) => {
+  try {
+    const { matchId, teamId } = req.params;
+    const team = await Team.findById(teamId);
+    if (!team || String(team.matchId) !== String(matchId)) return res.status(404).json({ error: 'Team not found' });
+    const userId = String(req.user.id);
+    if (String(team.viewerId) !== userId && !(await requesterCan(req, 'teams'))) return res.status(403).json({ error: 'Not allowed' });
+    const saved = await uploads.saveImage(req.file, 'teamLogo', { name: String(team._id) });
+    const previous = team.logoUrl;
+    team.logoUrl = saved.url;
+    team.logoThumbUrl = saved.thumbUrl;
+    try {
+      await team.save();
+    } catch (e) {
+      await uploads.removeUpload(saved.url);
+      throw e;
+    }
+    if (previous && previous !== saved.url) await uploads.removeUpload(previous);
+    return res.json({ ok: true, logoUrl: team.logoUrl, logoThumbUrl: team.logoThumbUrl });
+  } catch (err) {
+    return sendUploadError(res, err, 'Logo upload failed');
+  }
+});
+
+// --- Archive/unarchive/delete matches (admin) ---
+app.patch('/api/admin/matches/:matchId/archive', permit('matches'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const match = await Match.findById(matchId);
+    if (!match) return res.status(404).json({ ok: false, error: 'Match not found' });
+    audit.note(res, { before: { archived: !!match.archived }, after: { archived: true } });
+    match.archived = true;
+    await match.save({ validateBeforeSave: false });
+    io.emit('matchArchived', { matchId });
+    return res.json({ ok: true, message: 'Match archived' });
+  } catch (err) {
+    console.error('archive match error:', err && err.message);
+    return res.status(500).json({ ok: false, error: 'Failed to archive match' });
+  }
+});
+
+app.patch('/api/admin/matches/:matchId/unarchive', permit('matches'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const match = await Match.findById(matchId);
+    if (!match) return res.status(404).json({ ok: false, error: 'Match not found' });
+    audit.note(res, { before: { archived: !!match.archived }, after: { archived: false } });
+    match.archived = false;
+    await match.save({ validateBeforeSave: false });
+    io.emit('matchUnarchived', { matchId });
+    return res.json({ ok: true, message: 'Match unarchived' });
+  } catch (err) {
+    console.error('unarchive match error:', err && err.message);
+    return res.status(500).json({ ok: false, error: 'Failed to unarchive match' });
+  }
+});
+
+app.delete('/api/admin/matches/:matchId', permit('matches'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const existing = await Match.findById(matchId).select('name teamA teamB startTime').lean();
+    const logos = (await Team.find({ matchId, logoUrl: { $nin: [null, ''] } }).select('logoUrl').lean()).map((t) => t.logoUrl);
+    let refunded = 0;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // paid-out contests keep their payout ledger, and disputes need the
+        // stats revisions and entries behind it, so such matches stay
+        if (await Contest.exists({ matchId, payoutStatus: 'settled' }).session(session)) {
+          const e = new Error('A contest on this match has been paid out; archive the match instead');
+          e._code = 'SETTLED';
+          throw e;
+        }
+        const entryIds = (await TeamEntry.find({ matchId }).select('_id').session(session).lean()).map((e) => e._id);
+        audit.note(res, {
+          before: existing && {
+            ...audit.pick(existing, ['name', 'teamA', 'teamB', 'startTime']),
+            teams: await Team.countDocuments({ matchId }).session(session),
+            entries: entryIds.length,
+            contests: await Contest.countDocuments({ matchId }).session(session)
+          }
+        });
+        refunded = await wallet.refundEntries(entryIds, { note: 'Refund: match deleted', createdBy: adminActor(req) }, session);
+        await Team.deleteMany({ matchId }).session(session);
+        await TeamEntry.deleteMany({ matchId }).session(session);
+        await Contest.deleteMany({ matchId }).session(session);
+        await BallEvent.deleteMany({ matchId }).session(session);
+        await StatsRevision.deleteMany({ matchId }).session(session);
+        await Match.deleteOne({ _id: matchId }).session(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+    await Promise.all(logos.map((url) => uploads.removeUpload(url)));
+    io.emit('matchDeleted', { matchId });
+    return res.json({ ok: true, message: 'Match and related data deleted', refunded });
+  } catch (err) {
+    if (err && err._code === 'SETTLED') return res.status(409).json({ ok: false, error: err.message, code: err._code });
+    console.error('delete match error:', err && err.message);
+    return res.status(500).json({ ok: false, error: 'Failed to delete match' });
+  }
+});
+
+
+// --- Scoring & stats endpoints ---
+// Rescore all teams of a match and tell connected clients
+async function rescoreMatch(match) {
+  const result = await teamScoring.recomputeMatchTeams(match);
+  io.to(`match_${String(match._id)}`).emit('matchStatsUpdate', { matchId: String(match._id), stats: match.stats });
+  io.to(`match_${String(match._id)}`).emit('leaderboardUpdate', { matchId: String(match._id) });
+  return result;
+}
+
+// --- Stats revisions (services/statsRevisions) ---
+async function publishAndRescore(revisionId, { actor, force = false, restore = false }) {
+  const result = restore
+    ? await statsRevisions.restoreRevision(revisionId, { actor, force })
+    : await statsRevisions.publishRevision(revisionId, { actor, force });
+  const rescored = await rescoreMatch(result.match);
+  io.to(`match_${String(result.match._id)}`).emit('statsPublished', {
+    matchId: String(result.match._id),
+    revisionId: String(result.revision._id),
+    number: result.revision.number
+  });
+  return { revision: result.revision, previous: result.previous, teamsUpdated: rescored.teamsUpdated };
+}
+
+/**
+ * Every admin stats path lands here: names are aligned to the roster, a
+ * draft revision is stored and previewed. `publish` makes it live at once
+ * (the publish is still recorded against the admin).
+ */
+async function stageStats(match, stats, { source, actor, note = '', publish = false, force = false }) {
+  const aligned = await playerRegistry.alignStats(stats, match);
+  const draft = await statsRevisions.createRevision(match._id, aligned.stats, { source, createdBy: actor, note, unmatched: aligned.unmatched });
+  const out = { statsCount: draft.stats.length, renamed: aligned.renamed, unmatched: aligned.unmatched };
+  if (publish) {
+    const published = await publishAndRescore(draft._id, { actor, force });
+    return { ...out, revision: published.revision, teamsUpdated: published.teamsUpdated };
+  }
+  const preview = await statsRevisions.previewRevision(draft, { limit: 20 });
+  return { ...out, revision: { _id: draft._id, number: draft.number, status: draft.status, source: draft.source }, preview };
+}
+
+// Audit summary for any route that staged, published or restored stats
+function noteRevision(res, result) {
+  if (!result || !result.revision) return;
+  audit.note(res, {
+    targets: { revisionId: String(result.revision._id) },
+    before: result.previous ? { revision: result.previous.number } : undefined,
+    after: { revision: result.revision.number, status: result.revision.status, teamsUpdated: result.teamsUpdated }
+  });
+}
 
-    const requesterIsAdmin = isAdminViaHeader || (authedUser && authedUser.role === 'admin');
-    const requesterId = authedUser && authedUser.id ? String(authedUser.id) : null;
+function sendRevisionError(res, err, fallback) {
+  const status = { NOT_FOUND: 404, INVALID_STATE: 409, SETTLED: 409, CONFLICT: 409 }[err && err._code];
+  if (status) return res.status(status).json({ error: err.message, code: err._code });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
 
-    console.log('requesterIsAdmin=', requesterIsAdmin, 'requesterId=', requesterId, 'team.viewerId=', team.viewerId);
+app.get('/api/admin/matches/:matchId/stats-revisions', permit('stats'), async (req, res) => {
+  try {
+    const revisions = await StatsRevision.find({ matchId: req.params.matchId }).select('-stats').sort({ number: -1 }).lean();
+    return res.json({ ok: true, revisions });
+  } catch (err) {
+    return sendRevisionError(res, err, 'Failed to list stats revisions');
+  }
+});
 
-    if (!requesterIsAdmin && String(team.viewerId) !== requesterId) {
-      console.warn('Delete blocked: not owner or admin');
-      return res.status(403).json({ ok: false, error: 'Forbidden: not owner or admin' });
-    }
+app.get('/api/admin/stats-revisions/:revisionId', permit('stats'), async (req, res) => {
+  try {
+    const revision = await StatsRevision.findById(req.params.revisionId).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    return res.json({ ok: true, revision });
+  } catch (err) {
+    return sendRevisionError(res, err, 'Failed to fetch stats revision');
+  }
+});
 
-    await Team.deleteOne({ _id: teamId });
-    await TeamEntry.deleteMany({ teamId });
+app.get('/api/admin/stats-revisions/:revisionId/preview', permit('stats'), async (req, res) => {
+  try {
+    const revision = await StatsRevision.findById(req.params.revisionId).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    const preview = await statsRevisions.previewRevision(revision, { limit: req.query.limit });
+    return res.json({ ok: true, ...preview });
+  } catch (err) {
+    return sendRevisionError(res, err, 'Failed to preview stats revision');
+  }
+});
 
-    try { io.to(`match_${matchId}`).emit('teamDeleted', { matchId, teamId }); } catch (e) { console.warn('socket emit failed', e && e.message); }
+// Body: { force } to publish even after a contest on the match paid out
+app.post('/api/admin/stats-revisions/:revisionId/publish', permit('stats'), async (req, res) => {
+  try {
+    const result = await publishAndRescore(req.params.revisionId, { actor: adminActor(req), force: !!(req.body && req.body.force) });
+    noteRevision(res, result);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    return sendRevisionError(res, err, 'Failed to publish stats revision');
+  }
+});
 
-    console.log('Team deleted:', teamId, 'by', requesterIsAdmin ? 'admin' : requesterId);
-    return res.json({ ok: true, message: 'Team deleted' });
+app.post('/api/admin/stats-revisions/:revisionId/restore', permit('stats'), async (req, res) => {
+  try {
+    const result = await publishAndRescore(req.params.revisionId, { actor: adminActor(req), force: !!(req.body && req.body.force), restore: true });
+    noteRevision(res, result);
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error('delete team error:', err && (err.stack || err.message));
-    return res.status(500).json({ ok: false, error: 'Failed to delete team' });
+    return sendRevisionError(res, err, 'Failed to restore stats revision');
   }
 });
 
-// Upload team logo (owner or admin)
-app.post('/api/matches/:matchId/teams/:teamId/logo', auth, uploadTeamLogo.single('logo'), async (req, res) => {
+app.post('/api/admin/stats-revisions/:revisionId/discard', permit('stats'), async (req, res) => {
   try {
-    const { matchId, teamId } = req.params;
-    const team = await Team.findById(teamId);
-    if (!team) return res.status(404).json({ error: 'Team not found' });
-    const userId = String(req.user.id);
-    const isAdmin = req.user && req.user.role === 'admin';
-    if (!isAdmin && String(team.viewerId) !== userId) return res.status(403).json({ error: 'Not allowed' });
-    if (!req.file) return res.status(400).json({ error: 'No file' });
-    const ext = path.extname(req.file.originalname).toLowerCase() || '.png';
-    const fileName = `${teamId}_${Date.now()}${ext}`;
-    const filePath = path.join(TEAM_LOGO_DIR, fileName);
-    fs.renameSync(req.file.path, filePath);
-    team.logoUrl = `/assets/team-logos/${fileName}`;
-    await team.save();
-    return res.json({ ok: true, logoUrl: team.logoUrl });
+    const revision = await statsRevisions.discardRevision(req.params.revisionId, { actor: adminActor(req) });
+    audit.note(res, { before: { status: 'draft' }, after: { status: revision.status } });
+    return res.json({ ok: true, revision });
   } catch (err) {
-    console.error('upload team logo error:', err && err.message);
-    return res.status(500).json({ error: 'Logo upload failed' });
+    return sendRevisionError(res, err, 'Failed to discard stats revision');
   }
 });
 
-// --- Archive/unarchive/delete matches (admin) ---
-app.patch('/api/admin/matches/:matchId/archive', admin, async (req, res) => {
+// --- Scoring rulesets (admin) ---
+app.get('/api/admin/scoring-rulesets', permit('contests'), async (req, res) => {
   try {
-    const { matchId } = req.params;
-    const match = await Match.findById(matchId);
-    if (!match) return res.status(404).json({ ok: false, error: 'Match not found' });
-    match.archived = true;
-    await match.save({ validateBeforeSave: false });
-    io.emit('matchArchived', { matchId });
-    return res.json({ ok: true, message: 'Match archived' });
+    const filter = req.query.name ? { name: String(req.query.name) } : {};
+    const rulesets = await ScoringRuleset.find(filter).sort({ name: 1, version: -1 }).lean();
+    return res.json({ ok: true, rulesets, defaults: scoring.DEFAULT_RULES });
   } catch (err) {
-    console.error('archive match error:', err && err.message);
-    return res.status(500).json({ ok: false, error: 'Failed to archive match' });
+    console.error('list rulesets error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to list scoring rulesets' });
   }
 });
 
-app.patch('/api/admin/matches/:matchId/unarchive', admin, async (req, res) => {
+app.get('/api/scoring-rulesets/:rulesetId', async (req, res) => {
   try {
-    const { matchId } = req.params;
-    const match = await Match.findById(matchId);
-    if (!match) return res.status(404).json({ ok: false, error: 'Match not found' });
-    match.archived = false;
-    await match.save({ validateBeforeSave: false });
-    io.emit('matchUnarchived', { matchId });
-    return res.json({ ok: true, message: 'Match unarchived' });
+    const ruleset = await ScoringRuleset.findById(req.params.rulesetId).lean();
+    if (!ruleset) return res.status(404).json({ error: 'Ruleset not found' });
+    return res.json({ ok: true, ruleset: { ...ruleset, rules: scoring.normalizeRules(ruleset.rules) } });
   } catch (err) {
-    console.error('unarchive match error:', err && err.message);
-    return res.status(500).json({ ok: false, error: 'Failed to unarchive match' });
+    console.error('get ruleset error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to fetch scoring ruleset' });
   }
 });
 
-app.delete('/api/admin/matches/:matchId', admin, async (req, res) => {
+// Creates version 1 of a new name, or the next version of an existing one
+app.post('/api/admin/scoring-rulesets', permit('contests'), async (req, res) => {
   try {
-    const { matchId } = req.params;
-    await Team.deleteMany({ matchId });
-    await TeamEntry.deleteMany({ matchId });
-    await Contest.deleteMany({ matchId });
-    await Match.deleteOne({ _id: matchId });
-    io.emit('matchDeleted', { matchId });
-    return res.json({ ok: true, message: 'Match and related data deleted' });
+    const { name, description, rules, isDefault } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name required' });
+    if (!rules || typeof rules !== 'object') return res.status(400).json({ error: 'rules object required' });
+    const ruleErrors = scoring.checkRules(rules);
+    if (ruleErrors.length) return res.status(400).json({ error: 'Invalid rules', errors: ruleErrors });
+
+    const latest = await ScoringRuleset.findOne({ name: String(name).trim() }).sort({ version: -1 }).lean();
+    const version = latest ? latest.version + 1 : 1;
+    if (isDefault) await ScoringRuleset.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    const ruleset = await ScoringRuleset.create({
+      name: String(name).trim(),
+      version,
+      description: description || (latest ? latest.description : ''),
+      rules: scoring.normalizeRules(rules),
+      isDefault: !!isDefault,
+      createdBy: adminActor(req)
+    });
+    return res.json({ ok: true, ruleset });
   } catch (err) {
-    console.error('delete match error:', err && err.message);
-    return res.status(500).json({ ok: false, error: 'Failed to delete match' });
+    console.error('create ruleset error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to create scoring ruleset' });
   }
 });
 
+app.put('/api/admin/matches/:matchId/scoring-ruleset', permit('matches'), async (req, res) => {
+  try {
+    const { rulesetId } = req.body || {};
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (rulesetId && !(await ScoringRuleset.exists({ _id: rulesetId }))) return res.status(404).json({ error: 'Ruleset not found' });
+    audit.note(res, { before: { scoringRulesetId: match.scoringRulesetId || null }, after: { scoringRulesetId: rulesetId || null } });
+    match.scoringRulesetId = rulesetId || null;
+    await match.save({ validateBeforeSave: false });
+    const result = await rescoreMatch(match);
+    return res.json({ ok: true, scoringRulesetId: match.scoringRulesetId, teamsUpdated: result.teamsUpdated });
+  } catch (err) {
+    console.error('attach match ruleset error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to attach scoring ruleset' });
+  }
+});
 
-// --- Scoring & stats endpoints ---
-function normalizePlayerKey(name) {
-  return String(name || '')
-    .toUpperCase()
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-function computePoints(stat = {}, isCaptain = false, isVice = false) {
-  let pts = 0;
-  pts += (stat.runs || 0) * 1;
-  pts += (stat.fours || 0) * 1;
-  pts += (stat.sixes || 0) * 2;
-  pts += (stat.wickets || 0) * 25;
-  if ((stat.wickets || 0) >= 3) pts += 10;
-  pts += (stat.maidens || 0) * 10;
-  pts += (stat.catches || 0) * 8;
-  if (stat.mvp) pts += 15;
-  if (isCaptain) pts *= 2;
-  if (isVice) pts = Math.round(pts * 1.5);
-  return Math.round(pts);
-}
+app.put('/api/admin/contests/:contestId/scoring-ruleset', permit('contests'), async (req, res) => {
+  try {
+    const { rulesetId } = req.body || {};
+    const contest = await Contest.findById(req.params.contestId);
+    if (!contest) return res.status(404).json({ error: 'Contest not found' });
+    if (rulesetId && !(await ScoringRuleset.exists({ _id: rulesetId }))) return res.status(404).json({ error: 'Ruleset not found' });
+    contest.scoringRulesetId = rulesetId || null;
+    await contest.save();
+    // stored entry points follow the contest's ruleset
+    const match = await Match.findById(contest.matchId).select('stats').lean();
+    const result = match ? await teamScoring.recomputeMatchEntries(match) : { entriesUpdated: 0 };
+    io.to(`match_${String(contest.matchId)}`).emit('leaderboardUpdate', { matchId: String(contest.matchId) });
+    return res.json({ ok: true, scoringRulesetId: contest.scoringRulesetId, entriesUpdated: result.entriesUpdated });
+  } catch (err) {
+    console.error('attach contest ruleset error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to attach scoring ruleset' });
+  }
+});
 
-app.post('/api/admin/matches/:matchId/stats', admin, async (req, res) => {
+app.post('/api/admin/matches/:matchId/stats', permit('stats'), async (req, res) => {
   try {
     const { matchId } = req.params;
     let { stats } = req.body;
@@ -856,58 +2481,25 @@ app.post('/api/admin/matches/:matchId/stats', admin, async (req, res) => {
 
     // ✅ FIX: sanitize stats before save
     stats = stats
-      .map(s => ({
-        playerName: String(s.playerName || '').trim(),
-        runs: Number(s.runs || 0),
-        fours: Number(s.fours || 0),
-        sixes: Number(s.sixes || 0),
-        wickets: Number(s.wickets || 0),
-        maidens: Number(s.maidens || 0),
-        catches: Number(s.catches || 0),
-        mvp: !!s.mvp
-      }))
+      .map(s => scoring.sanitizeStat(s))
       .filter(s => s.playerName.length > 0);
 
     const match = await Match.findById(matchId);
     if (!match) return res.status(404).json({ error: 'No match' });
 
-    match.stats = stats;
-    await match.save({ validateBeforeSave: false });
-
-    // Build stat lookup
-    const statMap = {};
-    stats.forEach(s => {
-      statMap[normalizePlayerKey(s.playerName)
-] = s;
+    const result = await stageStats(match, stats, {
+      source: req.body.source === 'ocr' ? 'ocr' : 'manual',
+      actor: adminActor(req),
+      note: req.body.note || '',
+      publish: !!req.body.publish,
+      force: !!req.body.force
     });
+    noteRevision(res, result);
 
-    const teams = await Team.find({ matchId });
-
-    for (const t of teams) {
-      let total = 0;
-
-      (t.players || []).forEach(p => {
-        const name = getPlayerName(p).toUpperCase();
-        const st = statMap[name] || {};
-        total += computePoints(
-          st,
-          name === String(t.captain).toUpperCase(),
-          name === String(t.vice).toUpperCase()
-        );
-      });
-
-      t.totalPoints = total;
-      await t.save({ validateBeforeSave: false });
-    }
-
-    io.to(`match_${matchId}`).emit('matchStatsUpdate', { matchId });
-    io.to(`match_${matchId}`).emit('leaderboardUpdate', { matchId });
-
-    return res.json({ ok: true });
+    return res.json({ ok: true, ...result });
 
   } catch (err) {
-    console.error('admin stats error:', err && err.message);
-    return res.status(500).json({ error: 'Failed to update stats' });
+    return sendRevisionError(res, err, 'Failed to update stats');
   }
 });
 
@@ -916,39 +2508,22 @@ app.get('/api/matches/:matchId/leaderboard', async (req, res) => {
     const match = await Match.findById(req.params.matchId).lean();
     if (!match) return res.status(404).json({ error: 'No match' });
 
+    // totals are written by teamScoring.recomputeMatchTeams on every stats change
     const teams = await Team.find({
       matchId: match._id,
       banned: { $ne: true }
-    }).lean();
-
-    const statMap = {};
-    (match.stats || []).forEach(s => {
-      if (s.playerName) {
-        statMap[s.playerName.toUpperCase()] = s;
-      }
-    });
-
-    const board = teams
-      .map(t => {
-        let total = 0;
-
-        (t.players || []).forEach(p => {
-          const name = getPlayerName(p).toUpperCase();
-          total += computePoints(
-            statMap[name] || {},
-            name === String(t.captain).toUpperCase(),
-            name === String(t.vice).toUpperCase()
-          );
-        });
-
-        return {
-          teamId: t._id,
-          name: t.name,
-          viewerName: t.viewerName,
-          total
-        };
-      })
-      .sort((a, b) => b.total - a.total);
+    })
+      .select('name viewerName viewerId totalPoints')
+      .sort({ totalPoints: -1, createdAt: 1 })
+      .lean();
+
+    const board = teams.map(t => ({
+      teamId: t._id,
+      name: t.name,
+      viewerName: t.viewerName,
+      viewerId: t.viewerId || null,
+      total: t.totalPoints || 0
+    }));
 
     return res.json({ ok: true, leaderboard: board });
 
@@ -970,26 +2545,58 @@ app.get('/api/season/leaderboard', async (req, res) => {
           banned: { $ne: true }
         }
       },
+      // oldest first, so $last picks the name from the most recent team
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        // one row per account and match, worth that account's best team there,
+        // so extra teams in a match add nothing; teams from before viewerId
+        // existed group by name
+        $group: {
+          _id: {
+            viewer: {
+              $cond: [
+                { $gt: [{ $ifNull: ["$viewerId", ""] }, ""] },
+                { viewerId: "$viewerId" },
+                { viewerName: "$viewerName" }
+              ]
+            },
+            matchId: "$matchId"
+          },
+          viewerName: { $last: "$viewerName" },
+          lastAt: { $max: "$createdAt" },
+          best: { $max: { $ifNull: ["$totalPoints", 0] } }
+        }
+      },
+      // $group output is unordered; re-sort so the next $last is the latest match's name
+      { $sort: { lastAt: 1 } },
       {
         $group: {
-          _id: "$viewerName",
-          total: { $sum: "$totalPoints" },
+          _id: "$_id.viewer",
+          viewerName: { $last: "$viewerName" },
+          total: { $sum: "$best" },
           matchesPlayed: { $sum: 1 }
         }
       },
       {
         $project: {
           _id: 0,
-          viewerName: "$_id",
+          viewerId: { $ifNull: ["$_id.viewerId", null] },
+          viewerName: 1,
           total: 1,
           matchesPlayed: 1
         }
       },
       {
-        $sort: { total: -1 }
+        $sort: { total: -1, viewerName: 1 }
       }
     ]);
 
+    // show each account under its current name
+    const ids = rows.map((r) => r.viewerId).filter((id) => mongoose.isValidObjectId(id));
+    const users = await User.find({ _id: { $in: ids } }).select('displayName').lean();
+    const nameById = new Map(users.map((u) => [String(u._id), u.displayName]));
+    rows.forEach((r) => { if (r.viewerId && nameById.get(r.viewerId)) r.viewerName = nameById.get(r.viewerId); });
+
     return res.json({ ok: true, leaderboard: rows });
   } catch (err) {
     console.error('season leaderboard error:', err.message);
@@ -998,132 +2605,303 @@ app.get('/api/season/leaderboard', async (req, res) => {
 });
 
 
-// --- Provider fetch & normalize (example) ---
-async function fetchRawScorecardFromProvider(match, provider = 'example') {
+// --- Scorecard providers (services/providers) ---
+app.get('/api/admin/score-providers', permit('stats'), (req, res) => {
+  return res.json({ ok: true, providers: providers.listProviders(), default: DEFAULT_SCORE_PROVIDER });
+});
+
+async function processMatchScorecard(matchId, options = {}) {
+  const provider = options.provider || DEFAULT_SCORE_PROVIDER;
+  const match = await Match.findById(matchId);
+  if (!match) throw new Error('Match not found: ' + matchId);
+  const fetched = await providers.fetchScorecard(provider, match, { fixture: options.fixture });
+  const result = await stageStats(match, fetched.stats, {
+    source: 'provider',
+    actor: options.actor || 'system',
+    note: `Fetched from ${provider}`,
+    publish: !!options.publish,
+    force: !!options.force
+  });
+  return { ok: true, ...result };
+}
+
+// --- Live scoring: poll the provider while a match is in progress ---
+async function pollLiveMatch(matchId) {
+  const match = await Match.findById(matchId);
+  if (!match || !match.liveScoring || !match.liveScoring.enabled || match.completedAt) return { stop: true };
+  if (match.startTime && new Date(match.startTime) > new Date()) return {}; // not started yet
+
+  const live = match.liveScoring;
+  live.lastPolledAt = new Date();
+  let stats;
   try {
-    if (provider === 'example') {
-      const externalId = match.externalId || match._id;
-      if (!SCORE_API_KEY) throw new Error('No SCORE_API_KEY configured');
-      const url = `https://api.examplecricket.com/match/${externalId}/scorecard?api_key=${SCORE_API_KEY}`;
-      const r = await axios.get(url, { timeout: 15000 });
-      return r.data;
-    }
-    throw new Error('Unknown provider: ' + provider);
+    ({ stats } = await providers.fetchScorecard(live.provider || DEFAULT_SCORE_PROVIDER, match, { fixture: live.fixture || undefined }));
+    ({ stats } = await playerRegistry.alignStats(stats, match));
+    live.lastError = '';
   } catch (err) {
-    console.error('fetchRawScorecardFromProvider error:', err && err.message);
-    throw err;
+    live.lastError = (err && err.message) || String(err);
+    await match.save({ validateBeforeSave: false });
+    return {};
+  }
+
+  const rules = await teamScoring.resolveScoringRules(match.scoringRulesetId);
+  const changes = livePolling.diffStats(match.stats, stats, rules);
+  if (!changes.length) {
+    await match.save({ validateBeforeSave: false });
+    return {};
   }
+
+  live.lastChangeAt = new Date();
+  await match.save({ validateBeforeSave: false });
+  const published = await statsRevisions.publishLiveStats(match._id, stats, {
+    actor: `live:${live.provider || DEFAULT_SCORE_PROVIDER}`,
+    note: `Live poll: ${changes.length} player(s) changed`
+  });
+  const result = await rescoreMatch(published.match);
+  io.to(`match_${String(match._id)}`).emit('liveScoreDelta', {
+    matchId: String(match._id),
+    at: live.lastChangeAt,
+    changes: changes.map((c) => ({
+      playerName: c.playerName,
+      changed: c.changed,
+      after: c.after,
+      pointsBefore: c.pointsBefore,
+      pointsAfter: c.pointsAfter,
+      delta: c.delta
+    })),
+    teamsUpdated: result.teamsUpdated
+  });
+  return {};
 }
 
-function normalizeScorecard(provider, raw) {
-  const map = new Map();
-  if (raw && Array.isArray(raw.innings)) {
-    raw.innings.forEach((inn) => {
-      if (Array.isArray(inn.batting)) {
-        inn.batting.forEach((b) => {
-          const name = (b.player || b.name || '').trim();
-          if (!name) return;
-          const entry = map.get(name) || { playerName: name, runs: 0, fours: 0, sixes: 0, wickets: 0, maidens: 0, catches: 0, mvp: false };
-          entry.runs = Number(b.runs || b.r || 0);
-          entry.fours = Number(b.fours || 0);
-          entry.sixes = Number(b.sixes || 0);
-          map.set(name, entry);
-        });
-      }
-      if (Array.isArray(inn.bowling)) {
-        inn.bowling.forEach((b) => {
-          const name = (b.player || b.name || '').trim();
-          if (!name) return;
-          const entry = map.get(name) || { playerName: name, runs: 0, fours: 0, sixes: 0, wickets: 0, maidens: 0, catches: 0, mvp: false };
-          entry.wickets = Number(b.wickets || 0);
-          entry.maidens = Number(b.maidens || 0);
-          map.set(name, entry);
-        });
-      }
-      if (Array.isArray(inn.fielding)) {
-        inn.fielding.forEach((f) => {
-          const name = (f.player || f.name || '').trim();
-          if (!name) return;
-          const entry = map.get(name) || { playerName: name, runs: 0, fours: 0, sixes: 0, wickets: 0, maidens: 0, catches: 0, mvp: false };
-          entry.catches = Number(f.catches || 0);
-          map.set(name, entry);
-        });
-      }
-    });
+function armLivePolling(matchId, intervalSeconds) {
+  livePolling.startPolling(matchId, Math.max(Number(intervalSeconds) || LIVE_POLL_SECONDS, 10), pollLiveMatch);
+}
+
+// Body: { provider, intervalSeconds, fixture }
+app.post('/api/admin/matches/:matchId/live/start', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (match.completedAt) return res.status(400).json({ error: 'Match already completed' });
+    const provider = (req.body && req.body.provider) || DEFAULT_SCORE_PROVIDER;
+    const adapter = providers.getProvider(provider);
+    if (!adapter.canFetch) return res.status(400).json({ error: `Provider ${provider} cannot fetch scorecards` });
+    const intervalSeconds = Math.max(Number(req.body && req.body.intervalSeconds) || LIVE_POLL_SECONDS, 10);
+
+    match.liveScoring = {
+      enabled: true,
+      provider,
+      fixture: (req.body && req.body.fixture) || '',
+      intervalSeconds,
+      startedAt: new Date(),
+      lastPolledAt: null,
+      lastChangeAt: null,
+      lastError: ''
+    };
+    await match.save({ validateBeforeSave: false });
+    armLivePolling(match._id, intervalSeconds);
+    io.to(`match_${String(match._id)}`).emit('liveScoringStatus', { matchId: String(match._id), enabled: true, intervalSeconds });
+    return res.json({ ok: true, liveScoring: match.liveScoring });
+  } catch (err) {
+    if (err && err._code === 'UNKNOWN_PROVIDER') return res.status(400).json({ error: err.message });
+    console.error('live start error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to start live scoring' });
   }
-  if (raw && Array.isArray(raw.batting)) {
-    raw.batting.forEach((b) => {
-      const name = (b.player || b.playerName || b.name || '').trim();
-      if (!name) return;
-      const entry = map.get(name) || { playerName: name, runs: 0, fours: 0, sixes: 0, wickets: 0, maidens: 0, catches: 0, mvp: false };
-      entry.runs = Number(b.runs || b.r || 0);
-      entry.fours = Number(b.fours || 0);
-      entry.sixes = Number(b.sixes || 0);
-      map.set(name, entry);
-    });
+});
+
+app.post('/api/admin/matches/:matchId/live/stop', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (match.liveScoring) {
+      match.liveScoring.enabled = false;
+      await match.save({ validateBeforeSave: false });
+    }
+    livePolling.stopPolling(match._id);
+    io.to(`match_${String(match._id)}`).emit('liveScoringStatus', { matchId: String(match._id), enabled: false });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('live stop error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to stop live scoring' });
   }
-  if (raw && Array.isArray(raw.players)) {
-    raw.players.forEach((p) => {
-      const name = (p.name || p.playerName || '').trim();
-      if (!name) return;
-      const entry = map.get(name) || { playerName: name, runs: 0, fours: 0, sixes: 0, wickets: 0, maidens: 0, catches: 0, mvp: false };
-      entry.runs = Number(p.runs || p.r || 0);
-      entry.wickets = Number(p.wickets || 0);
-      map.set(name, entry);
+});
+
+app.get('/api/matches/:matchId/live', async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).select('liveScoring completedAt').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const live = match.liveScoring || {};
+    return res.json({
+      ok: true,
+      enabled: !!live.enabled,
+      polling: livePolling.isPolling(match._id),
+      intervalSeconds: live.intervalSeconds || null,
+      lastPolledAt: live.lastPolledAt || null,
+      lastChangeAt: live.lastChangeAt || null,
+      lastError: live.lastError || '',
+      completed: !!match.completedAt
     });
+  } catch (err) {
+    console.error('live status error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to fetch live status' });
   }
-  const arr = Array.from(map.values());
-  const mvpCandidate = raw && (raw.mvpPlayer || raw.manOfTheMatch || (raw.topPerformers && raw.topPerformers.manOfTheMatch));
-  if (mvpCandidate) {
-    const key = typeof mvpCandidate === 'string' ? mvpCandidate : (mvpCandidate.name || '');
-    const found = arr.find((a) => a.playerName === key);
-    if (found) found.mvp = true;
-  }
-  return arr;
-}
+});
 
-async function processMatchScorecard(matchId, options = { provider: 'example' }) {
-  const match = await Match.findById(matchId);
-  if (!match) throw new Error('Match not found: ' + matchId);
-  const raw = await fetchRawScorecardFromProvider(match, options.provider);
-  const stats = normalizeScorecard(options.provider, raw);
-  match.stats = stats;
-  await match.save({ validateBeforeSave: false });
-  const statMap = {};
-  stats.forEach((s) => { if (s.playerName) statMap[s.playerName.toUpperCase()] = s; });
-  const teams = await Team.find({ matchId: match._id });
-  for (const t of teams) {
-    let total = 0;
-    (t.players || []).forEach((p) => {
-      const name = getPlayerName(p).toUpperCase();
-      const st = statMap[name] || {};
-      total += computePoints(st, name === String(t.captain).toUpperCase(), name === String(t.vice).toUpperCase());
+// --- Ball-by-ball scoring: Match.stats is derived from the event log ---
+// Re-derive stats after an append/undo, rescore and push the point deltas
+async function applyEventLog(match, { actor, note }) {
+  const events = await BallEvent.find({ matchId: match._id, undone: false }).sort({ seq: 1 }).lean();
+  const stats = ballByBall.deriveStats(events, { carry: match.stats });
+  const rules = await teamScoring.resolveScoringRules(match.scoringRulesetId);
+  const changes = livePolling.diffStats(match.stats, stats, rules);
+  const published = await statsRevisions.publishLiveStats(match._id, stats, { actor, note });
+  const result = await rescoreMatch(published.match);
+  if (changes.length) {
+    io.to(`match_${String(match._id)}`).emit('liveScoreDelta', {
+      matchId: String(match._id),
+      at: new Date(),
+      changes: changes.map((c) => ({
+        playerName: c.playerName,
+        changed: c.changed,
+        after: c.after,
+        pointsBefore: c.pointsBefore,
+        pointsAfter: c.pointsAfter,
+        delta: c.delta
+      })),
+      teamsUpdated: result.teamsUpdated
     });
-    t.totalPoints = total;
-    await t.save({ validateBeforeSave: false });
   }
-  io.to(`match_${String(match._id)}`).emit('matchStatsUpdate', { matchId: String(match._id), stats });
-  io.to(`match_${String(match._id)}`).emit('leaderboardUpdate', { matchId: String(match._id) });
-  return { ok: true, teamsUpdated: teams.length, statsCount: stats.length };
+  return { teamsUpdated: result.teamsUpdated, statsCount: stats.length };
 }
 
-app.post('/api/admin/matches/:matchId/fetch-scorecard', admin, async (req, res) => {
+// Body: { innings, batter, nonStriker, bowler, runs, boundary, extras: { type, runs }, wicket: { kind, playerOut, fielder } }
+app.post('/api/admin/matches/:matchId/events', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (match.completedAt) return res.status(400).json({ error: 'Match already completed' });
+    if (match.liveScoring && match.liveScoring.enabled) {
+      return res.status(409).json({ error: 'Live provider polling is on for this match; stop it before scoring ball-by-ball' });
+    }
+
+    const { event, unknown } = ballByBall.normalizeEvent(req.body || {}, match.players);
+    const errors = ballByBall.checkEvent(event);
+    if (errors.length) return res.status(400).json({ error: 'Invalid event', errors });
+
+    // seq is unique per match; retry if another scorer appended concurrently
+    let saved = null;
+    for (let attempt = 0; attempt < 3 && !saved; attempt++) {
+      const prior = await BallEvent.find({ matchId: match._id }).select('seq innings extras undone').lean();
+      const seq = prior.reduce((max, e) => Math.max(max, e.seq), 0) + 1;
+      try {
+        saved = await BallEvent.create({
+          ...event,
+          ...ballByBall.nextPosition(prior, event.innings, event),
+          matchId: match._id,
+          seq,
+          createdBy: adminActor(req)
+        });
+      } catch (err) {
+        if (!(err && err.code === 11000)) throw err;
+      }
+    }
+    if (!saved) return res.status(409).json({ error: 'Could not append event, try again' });
+
+    const result = await applyEventLog(match, { actor: adminActor(req), note: `Ball event ${saved.seq}` });
+    io.to(`match_${String(match._id)}`).emit('ballEvent', { matchId: String(match._id), event: saved });
+    return res.json({ ok: true, event: saved, unknownPlayers: unknown, ...result });
+  } catch (err) {
+    console.error('append ball event error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to append event' });
+  }
+});
+
+// Undo the most recent live event (kept in the log, flagged undone)
+app.post('/api/admin/matches/:matchId/events/undo', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    if (match.completedAt) return res.status(400).json({ error: 'Match already completed' });
+
+    const last = await BallEvent.findOne({ matchId: match._id, undone: false }).sort({ seq: -1 }).lean();
+    if (!last) return res.status(404).json({ error: 'No events to undo' });
+    const undone = await BallEvent.findOneAndUpdate(
+      { _id: last._id, undone: false },
+      { $set: { undone: true, undoneAt: new Date(), undoneBy: adminActor(req) } },
+      { new: true }
+    ).lean();
+    if (!undone) return res.status(409).json({ error: 'Event already undone' });
+
+    const result = await applyEventLog(match, { actor: adminActor(req), note: `Undo of ball event ${undone.seq}` });
+    io.to(`match_${String(match._id)}`).emit('ballEventUndone', { matchId: String(match._id), seq: undone.seq });
+    return res.json({ ok: true, event: undone, ...result });
+  } catch (err) {
+    console.error('undo ball event error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to undo event' });
+  }
+});
+
+app.get('/api/matches/:matchId/events', async (req, res) => {
+  try {
+    const filter = { matchId: req.params.matchId };
+    if (req.query.includeUndone !== 'true') filter.undone = false;
+    const events = await BallEvent.find(filter).sort({ seq: 1 }).lean();
+    return res.json({ ok: true, events });
+  } catch (err) {
+    console.error('list ball events error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to list events' });
+  }
+});
+
+// Replay the log up to ?seq= (default: all) for auditing; nothing is written
+app.get('/api/admin/matches/:matchId/events/replay', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).select('stats scoringRulesetId').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const filter = { matchId: match._id, undone: false };
+    const uptoSeq = Number(req.query.seq);
+    if (uptoSeq > 0) filter.seq = { $lte: uptoSeq };
+    const events = await BallEvent.find(filter).sort({ seq: 1 }).lean();
+
+    const stats = ballByBall.deriveStats(events, { carry: match.stats });
+    const rules = await teamScoring.resolveScoringRules(match.scoringRulesetId);
+    const players = stats.map((s) => ({ ...s, points: scoring.computeBreakdown(s, rules) }));
+    // when replaying the full log, report any drift from the stored stats
+    const drift = uptoSeq > 0 ? null : livePolling.diffStats(match.stats, stats, rules).map((c) => ({ playerName: c.playerName, changed: c.changed }));
+    return res.json({ ok: true, eventsApplied: events.length, lastSeq: events.length ? events[events.length - 1].seq : 0, players, drift });
+  } catch (err) {
+    console.error('replay ball events error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to replay events' });
+  }
+});
+
+app.post('/api/admin/matches/:matchId/fetch-scorecard', permit('stats'), async (req, res) => {
   try {
     const { matchId } = req.params;
-    const provider = req.body.provider || 'example';
-    const result = await processMatchScorecard(matchId, { provider });
+    const provider = req.body.provider || DEFAULT_SCORE_PROVIDER;
+    const result = await processMatchScorecard(matchId, {
+      provider,
+      fixture: req.body.fixture,
+      actor: adminActor(req),
+      publish: !!req.body.publish,
+      force: !!req.body.force
+    });
+    noteRevision(res, result);
     return res.json({ ok: true, result });
   } catch (err) {
+    if (err && err._code === 'UNKNOWN_PROVIDER') return res.status(400).json({ ok: false, error: err.message });
+    if (err && err._code) return sendRevisionError(res, err, 'Failed to fetch scorecard');
     console.error('fetch-scorecard admin error:', err && err.message);
     return res.status(500).json({ ok: false, error: err.message || 'Failed' });
   }
 });
 
 // Upload scorecard JSON
-app.post('/api/admin/matches/:matchId/upload-scorecard', admin, express.json({ limit: '20mb' }), async (req, res) => {
+app.post('/api/admin/matches/:matchId/upload-scorecard', permit('stats'), express.json({ limit: '20mb' }), async (req, res) => {
   try {
     const { matchId } = req.params;
-    const provider = req.body.provider || 'example';
+    const provider = req.body.provider || DEFAULT_SCORE_PROVIDER;
     let raw = req.body.raw || null;
     if (!raw && Array.isArray(req.body.stats)) {
       raw = { stats: req.body.stats };
@@ -1131,51 +2909,17 @@ app.post('/api/admin/matches/:matchId/upload-scorecard', admin, express.json({ l
     const fileName = `scorecard_raw_${matchId}_${Date.now()}.json`;
     const fp = path.join(UPLOAD_DIR, fileName);
     try { fs.writeFileSync(fp, JSON.stringify({ provider, raw }, null, 2)); } catch (e) {}
+    const match = await Match.findById(matchId);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
     let stats = [];
     let normErr = null;
     try {
-      stats = normalizeScorecard(provider, raw) || [];
-      if (!Array.isArray(stats)) stats = [];
+      // uploads accept any shape: unknown provider names fall back to the generic normalizer
+      stats = providers.normalizeScorecard(providers.getProvider(provider, { fallback: true }), raw, match);
     } catch (e) {
       normErr = (e && e.message) || String(e);
       stats = [];
     }
-    if ((!stats || stats.length === 0) && raw && raw.parsedBatting && Array.isArray(raw.parsedBatting)) {
-      stats = raw.parsedBatting.map((p) => ({
-        playerName: p.playerName || p.player || '',
-        runs: Number(p.runs || p.r || 0),
-        fours: Number(p.fours || 0),
-        sixes: Number(p.sixes || 0),
-        wickets: Number(p.wickets || 0),
-        maidens: Number(p.maidens || 0),
-        catches: Number(p.catches || 0),
-        mvp: !!p.mvp
-      }));
-    }
-    if ((!stats || stats.length === 0) && raw && Array.isArray(raw.stats)) {
-      stats = raw.stats.map((p) => ({
-        playerName: p.playerName || p.name || '',
-        runs: Number(p.runs || 0),
-        fours: Number(p.fours || 0),
-        sixes: Number(p.sixes || 0),
-        wickets: Number(p.wickets || 0),
-        maidens: Number(p.maidens || 0),
-        catches: Number(p.catches || 0),
-        mvp: !!p.mvp
-      }));
-    }
-    if ((!stats || stats.length === 0) && Array.isArray(raw)) {
-      stats = raw.map((p) => ({
-        playerName: p.playerName || p.name || '',
-        runs: Number(p.runs || 0),
-        fours: Number(p.fours || 0),
-        sixes: Number(p.sixes || 0),
-        wickets: Number(p.wickets || 0),
-        maidens: Number(p.maidens || 0),
-        catches: Number(p.catches || 0),
-        mvp: !!p.mvp
-      }));
-    }
     if (!stats || stats.length === 0) {
       return res.json({
         ok: true,
@@ -1186,100 +2930,227 @@ app.post('/api/admin/matches/:matchId/upload-scorecard', admin, express.json({ l
         note: 'Try sending final stats array or raw.parsedBatting (OCR helper).'
       });
     }
-    const match = await Match.findById(matchId);
-    if (!match) return res.status(404).json({ error: 'Match not found' });
-    match.stats = stats;
-    await match.save({ validateBeforeSave: false });
-    const statMap = {};
-    stats.forEach((s) => { if (s.playerName) statMap[s.playerName.toUpperCase()] = s; });
-    const teams = await Team.find({ matchId: match._id });
-    for (const t of teams) {
-      let total = 0;
-      (t.players || []).forEach((p) => {
-        const name = getPlayerName(p).toUpperCase();
-        const st = statMap[name] || {};
-        total += computePoints(st, name === String(t.captain).toUpperCase(), name === String(t.vice).toUpperCase());
-      });
-      t.totalPoints = total;
-      await t.save({ validateBeforeSave: false });
-    }
-    io.to(`match_${String(match._id)}`).emit('matchStatsUpdate', { matchId: String(match._id), stats });
-    io.to(`match_${String(match._id)}`).emit('leaderboardUpdate', { matchId: String(match._id) });
-    return res.json({ ok: true, message: 'Scorecard processed', statsCount: stats.length });
+    const result = await stageStats(match, stats, {
+      source: 'upload',
+      actor: adminActor(req),
+      note: `Raw scorecard saved as /uploads/${fileName}`,
+      publish: !!req.body.publish,
+      force: !!req.body.force
+    });
+    noteRevision(res, result);
+    return res.json({ ok: true, message: result.revision.status === 'published' ? 'Scorecard published' : 'Scorecard staged as a draft revision', ...result });
   } catch (err) {
+    if (err && err._code) return sendRevisionError(res, err, 'Failed to upload/process scorecard');
     console.error('upload-scorecard error:', err && err.message);
     return res.status(500).json({ error: 'Failed to upload/process scorecard', details: err && err.message });
   }
 });
 
-// Upload screenshot & OCR.space
-app.post('/api/admin/matches/:matchId/upload-score-screenshot', admin, uploadScoreScreenshot.single('screenshot'), async (req, res) => {
+// Save an OCR job's text beside the image so it can be re-parsed offline
+function writeOcrMeta(job) {
+  const meta = { matchId: String(job.matchId), jobId: String(job._id), file: job.file, backend: job.backend, uploadedAt: job.createdAt, ocrText: job.ocrText };
+  try { fs.writeFileSync(path.join(SCORESCREEN_DIR, `${job.file}.meta.json`), JSON.stringify(meta, null, 2)); } catch (e) {}
+}
+
+// Start OCR for a job in the background and answer 202 with the running
+// job; clients poll GET /api/admin/ocr-jobs/:jobId for the text and draft.
+async function respondWithOcrJob(res, jobId, options) {
+  const job = await OcrJob.findById(jobId).lean();
+  const started = await ocrBackends.startJob(job._id, path.join(SCORESCREEN_DIR, job.file), options);
+  started.done
+    .then((finished) => { if (finished && finished.status === 'succeeded') writeOcrMeta(finished); })
+    .catch((err) => console.error('ocr job error:', err && err.message));
+  return res.status(202).json({ ok: true, path: `/uploads/score-screens/${job.file}`, file: job.file, job: started.job });
+}
+
+function sendOcrJobError(res, err, fallback) {
+  if (err && (err._code === 'UNKNOWN_OCR_BACKEND')) return res.status(400).json({ error: err.message });
+  if (err && err._code === 'JOB_BUSY') return res.status(409).json({ error: err.message });
+  console.error(`${fallback} error:`, err && err.message);
+  return res.status(500).json({ error: fallback });
+}
+
+// Field `screenshot`; optional `backend` (see GET /api/admin/ocr-backends)
+app.post('/api/admin/matches/:matchId/upload-score-screenshot', permit('stats'), uploads.single('scoreScreenshot', 'screenshot'), async (req, res) => {
   try {
     const { matchId } = req.params;
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    const ext = path.extname(req.file.originalname).toLowerCase() || '.png';
-    const fileName = `scoreshot_${matchId}_${Date.now()}${ext}`;
-    const dst = path.join(SCORESCREEN_DIR, fileName);
-    fs.renameSync(req.file.path, dst);
-    let ocrText = '';
-    const ocrKey = OCR_SPACE_API_KEY || '';
-    if (ocrKey) {
-      try {
-        const form = new FormData();
-        form.append('apikey', ocrKey);
-        form.append('language', 'eng');
-        form.append('OCREngine', '2');
-        form.append('file', fs.createReadStream(dst));
-        const response = await axios.post('https://api.ocr.space/parse/image', form, {
-          headers: Object.assign({}, form.getHeaders()),
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-          timeout: 60000
-        });
-        const data = response.data;
-        if (data && data.IsErroredOnProcessing) {
-          console.warn('OCR.space processing error:', data.ErrorMessage || data.ErrorDetails);
-          ocrText = '';
-        } else if (data && Array.isArray(data.ParsedResults) && data.ParsedResults.length > 0) {
-          ocrText = data.ParsedResults.map((p) => p.ParsedText || '').join('\n\n');
-        } else {
-          ocrText = '';
-        }
-      } catch (ocrErr) {
-        console.warn('OCR.space request failed:', ocrErr && ocrErr.message);
-        ocrText = '';
-      }
-    } else {
-      ocrText = '';
+    if (!(await Match.exists({ _id: matchId }))) return res.status(404).json({ error: 'Match not found' });
+    const backend = (req.body && req.body.backend) || ocrBackends.defaultBackend();
+    ocrBackends.getBackend(backend); // reject unknown names before storing anything
+    const saved = await uploads.saveImage(req.file, 'scoreScreenshot', { name: `scoreshot_${matchId}` });
+    const job = await OcrJob.create({ matchId, file: saved.fileName, backend, status: 'queued', createdBy: adminActor(req) });
+    return await respondWithOcrJob(res, job._id, { backend, by: adminActor(req) });
+  } catch (err) {
+    if (err && ['NO_FILE', 'INVALID_TYPE', 'INVALID_IMAGE', 'TOO_MANY_PIXELS'].includes(err._code)) return sendUploadError(res, err, 'Failed to upload screenshot');
+    return sendOcrJobError(res, err, 'Failed to upload screenshot');
+  }
+});
+
+app.get('/api/admin/ocr-backends', permit('stats'), (req, res) => {
+  return res.json({ ok: true, backends: ocrBackends.listBackends(), default: ocrBackends.defaultBackend() });
+});
+
+app.get('/api/admin/matches/:matchId/ocr-jobs', permit('stats'), async (req, res) => {
+  try {
+    const filter = { matchId: req.params.matchId };
+    if (req.query.status) filter.status = String(req.query.status);
+    const jobs = await OcrJob.find(filter).select('-ocrText').sort({ createdAt: -1 }).lean();
+    return res.json({ ok: true, jobs });
+  } catch (err) {
+    console.error('list ocr jobs error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to list OCR jobs' });
+  }
+});
+
+app.get('/api/admin/ocr-jobs/:jobId', permit('stats'), async (req, res) => {
+  try {
+    const job = await OcrJob.findById(req.params.jobId).lean();
+    if (!job) return res.status(404).json({ error: 'OCR job not found' });
+    let draft = null;
+    if (job.status === 'succeeded') {
+      const match = await Match.findById(job.matchId).select('players').lean();
+      draft = ocrScorecard.parseScorecardText(job.ocrText, match ? match.players : []);
+    }
+    return res.json({ ok: true, job, path: `/uploads/score-screens/${job.file}`, draft });
+  } catch (err) {
+    console.error('get ocr job error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to fetch OCR job' });
+  }
+});
+
+// Re-run OCR on the stored image, optionally with another backend
+app.post('/api/admin/ocr-jobs/:jobId/rerun', permit('stats'), async (req, res) => {
+  try {
+    const job = await OcrJob.findById(req.params.jobId).lean();
+    if (!job) return res.status(404).json({ error: 'OCR job not found' });
+    if (!fs.existsSync(path.join(SCORESCREEN_DIR, job.file))) return res.status(410).json({ error: 'Screenshot file no longer exists' });
+    const backend = (req.body && req.body.backend) || job.backend || ocrBackends.defaultBackend();
+    ocrBackends.getBackend(backend);
+    return await respondWithOcrJob(res, job._id, { backend, by: adminActor(req) });
+  } catch (err) {
+    return sendOcrJobError(res, err, 'Failed to re-run OCR');
+  }
+});
+
+// Parse OCR text into draft stats for review; nothing is saved. Body is
+// { text }, { jobId } or { file } naming a screenshot whose .meta.json is on disk.
+// Approved rows go back through POST /api/admin/matches/:matchId/stats.
+app.post('/api/admin/matches/:matchId/parse-ocr', permit('stats'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).select('players').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    let text = req.body && req.body.text;
+    if (!text && req.body && req.body.jobId) {
+      const job = await OcrJob.findOne({ _id: req.body.jobId, matchId: match._id }).select('ocrText').lean();
+      if (!job) return res.status(404).json({ error: 'OCR job not found' });
+      text = job.ocrText;
+    }
+    if (!text && req.body && req.body.file) {
+      const metaPath = path.join(SCORESCREEN_DIR, `${path.basename(String(req.body.file))}.meta.json`);
+      if (!fs.existsSync(metaPath)) return res.status(404).json({ error: 'No saved OCR for that file' });
+      const meta = safeJsonParse(fs.readFileSync(metaPath, 'utf8'));
+      text = meta && meta.ocrText;
+    }
+    if (!text || !String(text).trim()) return res.status(400).json({ error: 'text or file required' });
+    const draft = ocrScorecard.parseScorecardText(String(text), match.players);
+    return res.json({ ok: true, draft });
+  } catch (err) {
+    console.error('parse ocr error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to parse OCR text' });
+  }
+});
+
+// --- Cron: take lock snapshots once a match passes its lock time ---
+async function lockMatchNow(matchId) {
+  const result = await matchLock.snapshotMatch(matchId);
+  if (result.locked) {
+    io.to(`match_${String(matchId)}`).emit('matchLocked', { matchId: String(matchId) });
+    console.log('Locked match', String(matchId), 'teams:', result.teams, 'entries:', result.entries);
+  }
+  return result;
+}
+
+cron.schedule('* * * * *', async () => {
+  try {
+    const now = new Date();
+    // lock buffers are small; widen the window rather than computing per match in the query
+    const horizon = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    const candidates = await Match.find({ lockedAt: null, startTime: { $ne: null, $lte: horizon } })
+      .select('startTime lockBufferMinutes lockedAt')
+      .lean();
+    for (const m of candidates) {
+      if (matchLock.isMatchLocked(m, now)) await lockMatchNow(m._id);
     }
-    const meta = { matchId, file: fileName, uploadedAt: new Date(), ocrText };
-    try { fs.writeFileSync(path.join(SCORESCREEN_DIR, `${fileName}.meta.json`), JSON.stringify(meta, null, 2)); } catch (e) {}
-    return res.json({ ok: true, path: `/uploads/score-screens/${fileName}`, ocrText });
   } catch (err) {
-    console.error('upload-score-screenshot (OCR.space) error:', err && err.message);
-    try { if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path); } catch (e) {}
-    return res.status(500).json({ error: 'Failed to upload screenshot' });
+    console.error('Match lock cron error:', err && err.message);
+  }
+});
+
+// Daily sweep of avatars/logos whose user or team no longer exists
+cron.schedule('30 3 * * *', async () => {
+  try {
+    const result = await uploads.cleanupOrphans();
+    if (result.removed) console.log('Removed orphaned uploads:', result.removed);
+  } catch (err) {
+    console.error('Upload cleanup cron error:', err && err.message);
+  }
+});
+
+app.post('/api/admin/matches/:matchId/lock', permit('matches'), async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.matchId).select('_id').lean();
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    const result = await lockMatchNow(match._id);
+    audit.note(res, { after: result });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('lock match error:', err && err.message);
+    return res.status(500).json({ error: 'Failed to lock match' });
   }
 });
 
-// --- Cron: auto-close contests ---
+// open -> locked at closeTime / match start (cancelling under-filled
+// contests), locked -> live at match start, live -> completed once the
+// match is marked complete.
 cron.schedule('* * * * *', async () => {
   try {
     const now = new Date();
-    const candidates = await Contest.find({ archived: { $ne: true }, closed: { $ne: true } }).lean();
+    const candidates = await Contest.find({
+      $or: [
+        { status: { $in: ['open', 'locked', 'live'] } },
+        { status: { $exists: false }, archived: { $ne: true }, closed: { $ne: true } }
+      ]
+    }).lean();
     for (const c of candidates) {
-      const match = await Match.findById(c.matchId).lean();
-      const closeTime = c.closeTime ? new Date(c.closeTime) : null;
-      const matchStart = match && match.startTime ? new Date(match.startTime) : null;
-      const shouldClose = (closeTime && closeTime <= now) || (matchStart && matchStart <= now);
-      if (shouldClose) {
-        await Contest.updateOne({ _id: c._id }, { $set: { closed: true, archived: true } });
-        io.to(`match_${String(c.matchId)}`).emit('contestClosed', { contestId: String(c._id) });
-        console.log('Auto-closed contest', String(c._id));
+      try {
+        const match = await Match.findById(c.matchId).select('startTime completedAt lockBufferMinutes lockedAt').lean();
+        const status = contestLifecycle.effectiveStatus(c);
+        const closeTime = c.closeTime ? new Date(c.closeTime) : null;
+        const matchStart = match && match.startTime ? new Date(match.startTime) : null;
+        const started = !!(matchStart && matchStart <= now);
+
+        if (status === 'open' && ((closeTime && closeTime <= now) || matchLock.isMatchLocked(match, now))) {
+          const entryCount = await TeamEntry.countDocuments({ contestId: c._id });
+          if (c.minEntries && entryCount < c.minEntries) {
+            await moveContest(c._id, 'cancelled', { reason: `Under-filled: ${entryCount}/${c.minEntries} entries at lock` });
+            console.log('Auto-cancelled under-filled contest', String(c._id));
+            continue;
+          }
+          await moveContest(c._id, 'locked', { reason: 'Entry deadline reached' });
+          console.log('Auto-locked contest', String(c._id));
+        } else if (status === 'locked' && started) {
+          await moveContest(c._id, 'live', { reason: 'Match started' });
+        } else if (status === 'live' && match && match.completedAt) {
+          await moveContest(c._id, 'completed', { reason: 'Match completed' });
+        }
+      } catch (e) {
+        // CONFLICT means an admin moved it first; anything else is logged
+        if (!e || e._code !== 'CONFLICT') console.error('Contest lifecycle cron error:', String(c._id), e && e.message);
       }
     }
   } catch (err) {
-    console.error('Auto-close cron error:', err && err.message);
+    console.error('Contest lifecycle cron error:', err && err.message);
   }
 });
 
@@ -1368,7 +3239,12 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// re-arm live polling that was running before a restart
+Match.find({ 'liveScoring.enabled': true, completedAt: null }).select('liveScoring').lean()
+  .then((matches) => matches.forEach((m) => armLivePolling(m._id, m.liveScoring.intervalSeconds)))
+  .catch((err) => console.error('Live polling resume error:', err && err.message));
+
 server.listen(PORT, () => {
   console.log(`🚀 Server listening on http://localhost:${PORT} (PORT=${PORT})`);
-  console.log('Make sure your .env contains MONGO_URI, ADMIN_TOKEN, OCR_SPACE_API_KEY, GOOGLE_CLIENT_ID/SECRET');
+  console.log('Make sure your .env contains MONGO_URI, ADMIN_TOKEN, GOOGLE_CLIENT_ID/SECRET (and OCR_SPACE_API_KEY or OCR_BACKEND=tesseract)');
 });
\ No newline at end of file
@@ -0,0 +1,362 @@
+// services/abuse.js
+// Multi-accounting and spam defences. Detectors raise AbuseFlag rows for an
+// admin to review — nothing is banned automatically. `rateLimit` throttles
+// team and contest actions per IP and per user (counters live in
+// services/rateLimit); banUser/banTeam and their inverses carry a reason
+// and are what the review endpoints call.
+
+const AbuseFlag = require('../models/AbuseFlag');
+const AuthSession = require('../models/AuthSession');
+const Team = require('../models/Team');
+const TeamEntry = require('../models/TeamEntry');
+const User = require('../models/User');
+const sessions = require('./sessions');
+const { clientIp } = require('./audit');
+const { limiter } = require('./rateLimit');
+const { normalizePlayerKey } = require('./playerNames');
+const { codedError } = require('./errors');
+
+// accounts on one IP/device before it is flagged
+const CLUSTER_MIN_ACCOUNTS = Math.max(Number(process.env.ABUSE_CLUSTER_MIN_ACCOUNTS || 2), 2);
+// share of the XI two teams must have in common (with the same C and VC)
+const SIMILAR_TEAM_OVERLAP = Math.min(Math.max(Number(process.env.ABUSE_SIMILAR_TEAM_OVERLAP || 0.9), 0.5), 1);
+const SESSION_LOOKBACK_DAYS = 30;
+
+// per rule: requests allowed per window, counted per IP and per user
+const RATE_LIMITS = {
+  team: { windowMs: 10 * 60 * 1000, perUser: Number(process.env.ABUSE_TEAM_LIMIT || 20), perIp: Number(process.env.ABUSE_TEAM_IP_LIMIT || 60) },
+  join: { windowMs: 10 * 60 * 1000, perUser: Number(process.env.ABUSE_JOIN_LIMIT || 30), perIp: Number(process.env.ABUSE_JOIN_IP_LIMIT || 90) }
+};
+
+const FLAG_KINDS = ['shared_ip', 'shared_device', 'similar_teams', 'rate_limit'];
+const REVIEW_STATUSES = ['open', 'dismissed', 'actioned'];
+const BAN_FIELDS = 'banned bannedAt bannedBy banReason';
+
+function uniqueIds(list) {
+  return Array.from(new Set((list || []).filter(Boolean).map(String)));
+}
+
+// Device ids are random strings minted by public/js/app.js; anything else is ignored
+function deviceIdOf(req) {
+  const raw = String(req.headers['x-device-id'] || '');
+  return /^[A-Za-z0-9_-]{16,64}$/.test(raw) ? raw : '';
+}
+
+/**
+ * Create or grow the flag for (kind, key). A dismissed flag that gains a
+ * new account is reopened; actioned flags stay closed.
+ * @returns {Promise<boolean>} true when the flag is new
+ */
+async function raiseFlag(kind, key, { userIds = [], teamIds = [], matchIds = [], details = {} } = {}) {
+  const now = new Date();
+  const users = uniqueIds(userIds);
+  const update = {
+    $setOnInsert: { firstSeenAt: now },
+    $set: { lastSeenAt: now },
+    $inc: { hits: 1 },
+    $addToSet: { userIds: { $each: users }, teamIds: { $each: uniqueIds(teamIds) }, matchIds: { $each: uniqueIds(matchIds) } }
+  };
+  Object.entries(details).forEach(([k, v]) => { update.$set[`details.${k}`] = v; });
+
+  let before;
+  try {
+    before = await AbuseFlag.findOneAndUpdate({ kind, key }, update, { upsert: true, new: false }).lean();
+  } catch (err) {
+    // two detectors inserted the same flag at once; the retry updates it
+    if (!err || err.code !== 11000) throw err;
+    before = await AbuseFlag.findOneAndUpdate({ kind, key }, update, { new: false }).lean();
+  }
+  if (before && before.status === 'dismissed' && users.some((u) => !before.userIds.includes(u))) {
+    await AbuseFlag.updateOne({ _id: before._id }, { $set: { status: 'open' } });
+  }
+  return !before;
+}
+
+// Share of the larger XI that both teams picked
+function teamOverlap(a, b) {
+  const keys = new Set((b || []).map(normalizePlayerKey));
+  const shared = (a || []).filter((p) => keys.has(normalizePlayerKey(p))).length;
+  return shared / Math.max((a || []).length, (b || []).length, 1);
+}
+
+function byCreated(a, b) {
+  return (new Date(a.createdAt) - new Date(b.createdAt)) || String(a._id).localeCompare(String(b._id));
+}
+
+async function flagSimilarGroup(matchId, group, overlap) {
+  const sorted = group.slice().sort(byCreated);
+  return raiseFlag('similar_teams', `${matchId}:${sorted[0]._id}`, {
+    userIds: sorted.map((t) => t.viewerId),
+    teamIds: sorted.map((t) => t._id),
+    matchIds: [matchId],
+    details: { captain: sorted[0].captain, vice: sorted[0].vice, overlap: Math.round(overlap * 100) / 100 }
+  });
+}
+
+/**
+ * Run after a team is saved: flags its IP/device when other accounts in the
+ * same match used them, and near-identical XIs owned by other accounts.
+ * @returns {Promise<string[]>} kinds of flag raised or grown
+ */
+async function checkTeam(team) {
+  const viewerId = String(team.viewerId || '');
+  if (!viewerId) return [];
+  const matchId = String(team.matchId);
+  const raised = [];
+
+  for (const [kind, field] of [['shared_ip', 'ip'], ['shared_device', 'deviceId']]) {
+    if (!team[field]) continue;
+    const others = await Team.find({ matchId: team.matchId, [field]: team[field], viewerId: { $nin: [viewerId, ''] } })
+      .select('_id viewerId')
+      .limit(200)
+      .lean();
+    const accounts = uniqueIds([viewerId, ...others.map((t) => t.viewerId)]);
+    if (accounts.length < CLUSTER_MIN_ACCOUNTS) continue;
+    await raiseFlag(kind, team[field], { userIds: accounts, teamIds: [team._id, ...others.map((t) => t._id)], matchIds: [matchId] });
+    raised.push(kind);
+  }
+
+  if (team.players && team.players.length) {
+    const candidates = await Team.find({
+      matchId: team.matchId,
+      _id: { $ne: team._id },
+      captain: team.captain,
+      vice: team.vice,
+      viewerId: { $nin: [viewerId, ''] }
+    }).select('viewerId players captain vice createdAt').limit(500).lean();
+    const similar = candidates.filter((c) => teamOverlap(team.players, c.players) >= SIMILAR_TEAM_OVERLAP);
+    if (similar.length) {
+      const overlap = Math.min(...similar.map((c) => teamOverlap(team.players, c.players)));
+      await flagSimilarGroup(matchId, [team, ...similar], overlap);
+      raised.push('similar_teams');
+    }
+  }
+  return raised;
+}
+
+/**
+ * Run after a login: flags the IP/device when several accounts signed in
+ * from it within the lookback window.
+ * @returns {Promise<string[]>}
+ */
+async function checkLogin(userId, { ip = '', deviceId = '' } = {}) {
+  const since = new Date(Date.now() - SESSION_LOOKBACK_DAYS * 24 * 3600 * 1000);
+  const raised = [];
+  for (const [kind, field, value] of [['shared_ip', 'ip', ip], ['shared_device', 'deviceId', deviceId]]) {
+    if (!value) continue;
+    const seen = await AuthSession.distinct('userId', { [field]: value, createdAt: { $gte: since } });
+    const accounts = uniqueIds([userId, ...seen]);
+    if (accounts.length < CLUSTER_MIN_ACCOUNTS) continue;
+    await raiseFlag(kind, value, { userIds: accounts, details: { loginAccounts: accounts.length } });
+    raised.push(kind);
+  }
+  return raised;
+}
+
+/**
+ * Re-run the team detectors over a whole match, e.g. for teams saved
+ * before detection existed. Contest entries add the IPs they were made from.
+ * @returns {Promise<{ teams: number, flags: number }>}
+ */
+async function scanMatch(matchId) {
+  const teams = await Team.find({ matchId, viewerId: { $nin: ['', null] } })
+    .select('viewerId ip deviceId players captain vice createdAt')
+    .lean();
+  const entries = await TeamEntry.find({ matchId, viewerId: { $ne: null } }).select('teamId viewerId ip deviceId').lean();
+  let flags = 0;
+
+  for (const [kind, field] of [['shared_ip', 'ip'], ['shared_device', 'deviceId']]) {
+    const groups = new Map(); // value -> { users, teams }
+    const add = (value, userId, teamId) => {
+      if (!value) return;
+      const g = groups.get(value) || { users: new Set(), teams: new Set() };
+      g.users.add(String(userId));
+      g.teams.add(String(teamId));
+      groups.set(value, g);
+    };
+    teams.forEach((t) => add(t[field], t.viewerId, t._id));
+    entries.forEach((e) => add(e[field], e.viewerId, e.teamId));
+    for (const [value, g] of groups) {
+      if (g.users.size < CLUSTER_MIN_ACCOUNTS) continue;
+      await raiseFlag(kind, value, { userIds: [...g.users], teamIds: [...g.teams], matchIds: [String(matchId)] });
+      flags += 1;
+    }
+  }
+
+  // near-identical teams can only share a captain and vice
+  const buckets = new Map();
+  teams.forEach((t) => {
+    const key = `${t.captain}|${t.vice}`;
+    buckets.set(key, (buckets.get(key) || []).concat(t));
+  });
+  for (const bucket of buckets.values()) {
+    if (bucket.length < 2) continue;
+    bucket.sort(byCreated);
+    const grouped = new Set();
+    for (let i = 0; i < bucket.length; i++) {
+      const anchor = bucket[i];
+      if (grouped.has(String(anchor._id))) continue;
+      const group = [anchor];
+      let overlap = 1;
+      for (let j = i + 1; j < bucket.length; j++) {
+        const other = bucket[j];
+        if (grouped.has(String(other._id)) || String(other.viewerId) === String(anchor.viewerId)) continue;
+        const o = teamOverlap(anchor.players, other.players);
+        if (o < SIMILAR_TEAM_OVERLAP) continue;
+        group.push(other);
+        overlap = Math.min(overlap, o);
+      }
+      if (group.length < 2) continue;
+      group.forEach((t) => grouped.add(String(t._id)));
+      await flagSimilarGroup(String(matchId), group, overlap);
+      flags += 1;
+    }
+  }
+  return { teams: teams.length, flags };
+}
+
+/**
+ * Sweep recent login sessions for IPs/devices shared by several accounts.
+ * @returns {Promise<{ flags: number }>}
+ */
+async function scanSessions() {
+  const since = new Date(Date.now() - SESSION_LOOKBACK_DAYS * 24 * 3600 * 1000);
+  let flags = 0;
+  for (const [kind, field] of [['shared_ip', 'ip'], ['shared_device', 'deviceId']]) {
+    const clusters = await AuthSession.aggregate([
+      { $match: { createdAt: { $gte: since }, [field]: { $nin: ['', null] } } },
+      { $group: { _id: `$${field}`, users: { $addToSet: '$userId' } } },
+      { $match: { [`users.${CLUSTER_MIN_ACCOUNTS - 1}`]: { $exists: true } } }
+    ]);
+    for (const c of clusters) {
+      await raiseFlag(kind, c._id, { userIds: c.users, details: { loginAccounts: c.users.length } });
+      flags += 1;
+    }
+  }
+  return { flags };
+}
+
+// --- Rate limiting ---
+/**
+ * Route guard: rateLimit('team'). `userOf(req)` names the caller when the
+ * route does not run `auth` first. Going over a limit answers 429 with
+ * Retry-After (services/rateLimit) and raises one rate_limit flag per window.
+ */
+function rateLimit(rule, { userOf = (req) => req.user && req.user.id } = {}) {
+  const limits = RATE_LIMITS[rule];
+  if (!limits) throw new Error(`Unknown rate limit rule: ${rule}`);
+  return limiter({
+    name: rule,
+    windowMs: limits.windowMs,
+    perIp: limits.perIp,
+    perAccount: limits.perUser,
+    accountOf: userOf,
+    onLimit(req, over) {
+      const userId = userOf(req);
+      raiseFlag('rate_limit', `${rule}:${over.scope}:${over.id}`, {
+        userIds: userId ? [userId] : [],
+        details: { rule, scope: over.scope, ip: clientIp(req), limit: over.limit }
+      }).catch((err) => console.error('abuse flag error:', err && err.message));
+    }
+  });
+}
+
+// --- Review, bans ---
+async function reviewFlag(flagId, { status, note = '', actor }) {
+  if (!REVIEW_STATUSES.includes(status)) throw codedError('INVALID_STATUS', `status must be one of ${REVIEW_STATUSES.join(', ')}`);
+  const flag = await AbuseFlag.findByIdAndUpdate(
+    flagId,
+    { $set: { status, reviewNote: String(note).slice(0, 500), reviewedBy: actor || '', reviewedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!flag) throw codedError('NOT_FOUND', 'Flag not found');
+  return flag;
+}
+
+function banReasonOf(reason) {
+  const clean = String(reason || '').trim().slice(0, 500);
+  if (!clean) throw codedError('REASON_REQUIRED', 'A reason is required');
+  return clean;
+}
+
+async function banTeam(teamId, { reason, actor }) {
+  const banReason = banReasonOf(reason);
+  const team = await Team.findByIdAndUpdate(
+    teamId,
+    { $set: { banned: true, bannedAt: new Date(), bannedBy: actor || '', banReason, bannedWith: 'team' } },
+    { new: true }
+  ).select(`matchId name viewerId viewerName ${BAN_FIELDS}`).lean();
+  if (!team) throw codedError('NOT_FOUND', 'Team not found');
+  return team;
+}
+
+async function unbanTeam(teamId) {
+  const team = await Team.findByIdAndUpdate(
+    teamId,
+    { $set: { banned: false, bannedAt: null, bannedBy: '', banReason: '', bannedWith: '' } },
+    { new: true }
+  ).select(`matchId name viewerId viewerName ${BAN_FIELDS}`).lean();
+  if (!team) throw codedError('NOT_FOUND', 'Team not found');
+  return team;
+}
+
+/**
+ * Ban an account: it can no longer sign in, its sessions end now, and
+ * (unless withTeams is false) its teams leave the leaderboards with it.
+ * @returns {Promise<{ user: object, teamsBanned: number, sessionsRevoked: number }>}
+ */
+async function banUser(userId, { reason, actor, withTeams = true }) {
+  const banReason = banReasonOf(reason);
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { banned: true, bannedAt: new Date(), bannedBy: actor || '', banReason } },
+    { new: true }
+  ).select(`displayName email ${BAN_FIELDS}`).lean();
+  if (!user) throw codedError('NOT_FOUND', 'User not found');
+  const sessionsRevoked = await sessions.revokeUserSessions(user._id, { reason: 'banned' });
+  let teamsBanned = 0;
+  if (withTeams) {
+    const result = await Team.updateMany(
+      { viewerId: String(user._id), banned: { $ne: true } },
+      { $set: { banned: true, bannedAt: new Date(), bannedBy: actor || '', banReason, bannedWith: 'user' } }
+    );
+    teamsBanned = result.modifiedCount || 0;
+  }
+  return { user, teamsBanned, sessionsRevoked };
+}
+
+// Teams banned on their own stay banned
+async function unbanUser(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { banned: false, bannedAt: null, bannedBy: '', banReason: '' } },
+    { new: true }
+  ).select(`displayName email ${BAN_FIELDS}`).lean();
+  if (!user) throw codedError('NOT_FOUND', 'User not found');
+  const result = await Team.updateMany(
+    { viewerId: String(user._id), banned: true, bannedWith: 'user' },
+    { $set: { banned: false, bannedAt: null, bannedBy: '', banReason: '', bannedWith: '' } }
+  );
+  return { user, teamsRestored: result.modifiedCount || 0 };
+}
+
+module.exports = {
+  CLUSTER_MIN_ACCOUNTS,
+  SIMILAR_TEAM_OVERLAP,
+  RATE_LIMITS,
+  FLAG_KINDS,
+  REVIEW_STATUSES,
+  deviceIdOf,
+  raiseFlag,
+  teamOverlap,
+  checkTeam,
+  checkLogin,
+  scanMatch,
+  scanSessions,
+  rateLimit,
+  reviewFlag,
+  banTeam,
+  unbanTeam,
+  banUser,
+  unbanUser
+};
@@ -0,0 +1,149 @@
+// services/audit.js
+// Persistent audit trail for admin actions. `middleware` records every
+// mutating request that passed admin auth once the response is sent;
+// handlers add before/after summaries with `note(res, {...})`. Writing the
+// log never fails the request.
+
+const AuditLog = require('../models/AuditLog');
+
+const MUTATING = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Route -> action name. Unlisted routes are logged as "METHOD /route/path".
+const ACTIONS = {
+  'POST /api/admin/users/:userId/wallet/grant': 'wallet.grant',
+  'POST /api/admin/matches': 'match.create',
+  'PUT /api/admin/matches/:matchId/team-rules': 'match.teamRules',
+  'POST /api/admin/matches/:matchId/roster-csv': 'roster.upload',
+  'POST /api/admin/matches/:matchId/roster': 'roster.save',
+  'PATCH /api/admin/matches/:matchId/archive': 'match.archive',
+  'PATCH /api/admin/matches/:matchId/unarchive': 'match.unarchive',
+  'DELETE /api/admin/matches/:matchId': 'match.delete',
+  'POST /api/admin/matches/:matchId/complete': 'match.complete',
+  'POST /api/admin/matches/:matchId/lock': 'match.lock',
+  'PUT /api/admin/matches/:matchId/scoring-ruleset': 'match.scoringRuleset',
+  'POST /api/admin/matches/:matchId/stats': 'stats.stage',
+  'POST /api/admin/matches/:matchId/upload-scorecard': 'stats.upload',
+  'POST /api/admin/matches/:matchId/fetch-scorecard': 'stats.fetch',
+  'POST /api/admin/stats-revisions/:revisionId/publish': 'stats.publish',
+  'POST /api/admin/stats-revisions/:revisionId/restore': 'stats.restore',
+  'POST /api/admin/stats-revisions/:revisionId/discard': 'stats.discard',
+  'POST /api/admin/matches/:matchId/events': 'ball.append',
+  'POST /api/admin/matches/:matchId/events/undo': 'ball.undo',
+  'POST /api/admin/matches/:matchId/live/start': 'live.start',
+  'POST /api/admin/matches/:matchId/live/stop': 'live.stop',
+  'POST /api/admin/matches/:matchId/contests': 'contest.create',
+  'POST /api/admin/contests/:contestId/status': 'contest.status',
+  'POST /api/admin/contests/:contestId/cancel': 'contest.cancel',
+  'PUT /api/admin/contests/:contestId/prizes': 'contest.prizes',
+  'POST /api/admin/contests/:contestId/payouts/confirm': 'contest.payout',
+  'PUT /api/admin/contests/:contestId/scoring-ruleset': 'contest.scoringRuleset',
+  'POST /api/admin/scoring-rulesets': 'ruleset.create',
+  'POST /api/admin/players/seed': 'player.seed',
+  'POST /api/admin/players': 'player.create',
+  'POST /api/admin/players/:playerId/aliases': 'player.alias',
+  'POST /api/admin/players/unmatched/:itemId/resolve': 'player.review',
+  'PUT /api/matches/:matchId/teams/:teamId': 'team.edit',
+  'DELETE /api/matches/:matchId/teams/:teamId': 'team.delete',
+  'POST /api/admin/matches/:matchId/upload-score-screenshot': 'ocr.upload',
+  'POST /api/admin/ocr-jobs/:jobId/rerun': 'ocr.rerun',
+  'PUT /api/admin/users/:userId/roles': 'user.roles',
+  'POST /api/admin/api-keys': 'apikey.create',
+  'DELETE /api/admin/api-keys/:keyId': 'apikey.revoke',
+  'POST /api/admin/abuse/scan': 'abuse.scan',
+  'POST /api/admin/abuse/flags/:flagId/review': 'abuse.review',
+  'POST /api/admin/teams/:teamId/ban': 'team.ban',
+  'POST /api/admin/teams/:teamId/unban': 'team.unban',
+  'POST /api/admin/users/:userId/ban': 'user.ban',
+  'POST /api/admin/users/:userId/unban': 'user.unban'
+};
+
+// Actions that only read/compute and are not worth an audit row
+const SKIP = new Set(['POST /api/admin/matches/:matchId/parse-ocr']);
+
+function clientIp(req) {
+  // trust proxy decides whether req.ip reflects X-Forwarded-For
+  return String(req.ip || (req.socket && req.socket.remoteAddress) || '');
+}
+
+/**
+ * Who is acting. Set by the permission middleware as req.adminVia.
+ * @returns {{ actor: string, actorType: 'token'|'jwt'|'apikey', actorName: string }|null}
+ */
+function actorOf(req) {
+  if (req.adminVia === 'apikey' && req.user && req.apiKey) {
+    return { actor: String(req.user.id), actorType: 'apikey', actorName: `${req.user.displayName || ''} (key ${req.apiKey.prefix})`.trim() };
+  }
+  if (req.adminVia === 'jwt' && req.user) {
+    return { actor: String(req.user.id), actorType: 'jwt', actorName: req.user.displayName || req.user.email || '' };
+  }
+  if (req.adminVia === 'token') return { actor: 'admin-token', actorType: 'token', actorName: '' };
+  return null;
+}
+
+function flattenTargets(targets) {
+  return Object.values(targets || {})
+    .flatMap((v) => (Array.isArray(v) ? v : [v]))
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .map(String);
+}
+
+// Attach before/after summaries or extra targets to the pending audit row
+function note(res, { action, targets, before, after } = {}) {
+  const a = res.locals.audit || (res.locals.audit = {});
+  if (action) a.action = action;
+  if (targets) a.targets = Object.assign(a.targets || {}, targets);
+  if (before !== undefined) a.before = before;
+  if (after !== undefined) a.after = after;
+}
+
+async function record(entry) {
+  try {
+    const targets = entry.targets || {};
+    await AuditLog.create({ ...entry, targets, targetIds: flattenTargets(targets) });
+  } catch (err) {
+    console.error('audit log write error:', err && err.message);
+  }
+}
+
+// Mount before the admin routes: records on 'finish' so the status is known
+function middleware(req, res, next) {
+  if (!MUTATING.includes(req.method)) return next();
+  res.on('finish', () => {
+    const who = actorOf(req);
+    if (!who || !req.route) return; // rejected by auth, or no route matched
+    const routeKey = `${req.method} ${req.baseUrl || ''}${req.route.path}`;
+    if (SKIP.has(routeKey)) return;
+    const extra = res.locals.audit || {};
+    record({
+      ...who,
+      action: extra.action || ACTIONS[routeKey] || routeKey,
+      method: req.method,
+      path: `${req.baseUrl || ''}${req.path}`,
+      targets: Object.assign({}, req.params, extra.targets || {}),
+      before: extra.before === undefined ? null : extra.before,
+      after: extra.after === undefined ? null : extra.after,
+      status: res.statusCode,
+      ip: clientIp(req),
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+    });
+  });
+  return next();
+}
+
+// Keep only the listed fields of a doc for a before/after summary
+function pick(doc, fields) {
+  if (!doc) return null;
+  const out = {};
+  fields.forEach((f) => { if (doc[f] !== undefined) out[f] = doc[f]; });
+  return out;
+}
+
+module.exports = {
+  ACTIONS,
+  actorOf,
+  clientIp,
+  note,
+  record,
+  middleware,
+  pick
+};
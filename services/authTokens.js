@@ -0,0 +1,102 @@
+// services/authTokens.js
+// Expiring single-use tokens for email verification and password reset,
+// and the emails that carry them.
+
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const mail = require('./mail');
+const { codedError } = require('./errors');
+
+const TTL_MINUTES = {
+  verify_email: Math.max(Number(process.env.VERIFY_EMAIL_TTL_MINUTES || 24 * 60), 5),
+  reset_password: Math.max(Number(process.env.RESET_PASSWORD_TTL_MINUTES || 60), 5)
+};
+// minimum gap between two emails of the same kind to one user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function appBaseUrl() {
+  return String(process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, '');
+}
+
+// Returns an error string, or null when the password is acceptable
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 200) return 'Password is too long';
+  return null;
+}
+
+/**
+ * Issue a fresh token; any unused token of the same purpose is spent so
+ * only the latest email works.
+ * @returns {Promise<string>} the raw token (only ever returned here)
+ */
+async function issueToken(userId, purpose, { email = '' } = {}) {
+  const last = await AuthToken.findOne({ userId, purpose }).sort({ createdAt: -1 }).select('createdAt').lean();
+  if (last && Date.now() - new Date(last.createdAt).getTime() < RESEND_COOLDOWN_MS) {
+    throw codedError('TOO_SOON', 'Please wait a minute before requesting another email');
+  }
+  const now = new Date();
+  await AuthToken.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: now } });
+  const raw = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({
+    userId,
+    purpose,
+    email: String(email || ''),
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(now.getTime() + TTL_MINUTES[purpose] * 60 * 1000)
+  });
+  return raw;
+}
+
+/**
+ * Spend a token. Compare-and-set on usedAt so it works exactly once.
+ * @returns {Promise<object>} the token doc (userId, email)
+ */
+async function consumeToken(raw, purpose) {
+  if (!raw) throw codedError('INVALID_TOKEN', 'Token is required');
+  const doc = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(raw), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!doc) throw codedError('INVALID_TOKEN', 'This link is invalid or has expired');
+  return doc;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user._id, 'verify_email', { email: user.email });
+  const link = `${appBaseUrl()}/verify-email.html?token=${encodeURIComponent(token)}`;
+  return mail.sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.displayName || 'there'},\n\nConfirm your email address for Community Cup by opening this link:\n${link}\n\n` +
+      `The link expires in ${Math.round(TTL_MINUTES.verify_email / 60)} hours. If you did not sign up, ignore this email.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueToken(user._id, 'reset_password', { email: user.email });
+  const link = `${appBaseUrl()}/reset-password.html?token=${encodeURIComponent(token)}`;
+  return mail.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.displayName || 'there'},\n\nSomeone asked to reset the password for your Community Cup account. To choose a new one, open:\n${link}\n\n` +
+      `The link expires in ${TTL_MINUTES.reset_password} minutes and works once. If this was not you, ignore this email; your password has not changed.`
+  });
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  checkPassword,
+  issueToken,
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
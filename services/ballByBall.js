@@ -0,0 +1,166 @@
+// services/ballByBall.js
+// Derives Match.stats from a ball-by-ball event log. Pure functions: feed
+// events in seq order (undone ones are skipped) and get aggregate stat rows.
+
+const { sanitizeStat } = require('./scoring');
+const { normalizePlayerKey } = require('./playerNames');
+
+const EXTRA_TYPES = ['', 'wide', 'noball', 'bye', 'legbye', 'penalty'];
+const WICKET_KINDS = ['', 'bowled', 'caught', 'caughtandbowled', 'lbw', 'stumped', 'runout', 'hitwicket', 'retired', 'obstructing'];
+// dismissals credited to the bowler
+const BOWLER_WICKETS = ['bowled', 'caught', 'caughtandbowled', 'lbw', 'stumped', 'hitwicket'];
+
+function isLegal(ev) {
+  const t = ev.extras && ev.extras.type;
+  return t !== 'wide' && t !== 'noball' && t !== 'penalty';
+}
+
+// Coerce a request body into BallEvent fields, mapping player names onto
+// the roster spelling. Names not in the roster are kept and reported.
+function normalizeEvent(body = {}, roster = []) {
+  const byKey = new Map();
+  (roster || []).forEach((p) => {
+    const k = normalizePlayerKey(p.playerName);
+    if (k) byKey.set(k, p.playerName);
+  });
+  const unknown = [];
+  const name = (v) => {
+    const raw = String(v || '').trim();
+    if (!raw) return '';
+    const hit = byKey.get(normalizePlayerKey(raw));
+    if (!hit && !unknown.includes(raw)) unknown.push(raw);
+    return hit || raw;
+  };
+  const extras = body.extras || {};
+  const wicket = body.wicket || {};
+  const event = {
+    innings: Math.max(Number(body.innings) || 1, 1),
+    batter: name(body.batter),
+    nonStriker: name(body.nonStriker),
+    bowler: name(body.bowler),
+    runs: Number(body.runs || 0),
+    boundary: body.boundary === undefined || body.boundary === null ? null : !!body.boundary,
+    extras: { type: String(extras.type || ''), runs: Number(extras.runs || 0) },
+    wicket: {
+      kind: String(wicket.kind || ''),
+      playerOut: wicket.kind ? name(wicket.playerOut || body.batter) : '',
+      fielder: name(wicket.fielder)
+    }
+  };
+  // a wide or no-ball always carries at least the one-run penalty
+  if ((event.extras.type === 'wide' || event.extras.type === 'noball') && event.extras.runs < 1) event.extras.runs = 1;
+  return { event, unknown };
+}
+
+function ballsToOvers(balls) {
+  return Math.floor(balls / 6) + (balls % 6) / 10;
+}
+
+// Validate an event body before it is stored. Returns list of error strings.
+function checkEvent(ev) {
+  const errors = [];
+  const extrasType = (ev.extras && ev.extras.type) || '';
+  const kind = (ev.wicket && ev.wicket.kind) || '';
+  if (!EXTRA_TYPES.includes(extrasType)) errors.push(`extras.type must be one of ${EXTRA_TYPES.filter(Boolean).join(', ')}`);
+  if (!WICKET_KINDS.includes(kind)) errors.push(`wicket.kind must be one of ${WICKET_KINDS.filter(Boolean).join(', ')}`);
+  if (extrasType !== 'penalty') {
+    if (!ev.batter) errors.push('batter required');
+    if (!ev.bowler) errors.push('bowler required');
+  }
+  const runs = Number(ev.runs || 0);
+  if (!Number.isInteger(runs) || runs < 0 || runs > 7) errors.push('runs must be a whole number 0-7');
+  const extraRuns = Number((ev.extras && ev.extras.runs) || 0);
+  if (!Number.isInteger(extraRuns) || extraRuns < 0) errors.push('extras.runs must be a non-negative whole number');
+  if ((extrasType === 'bye' || extrasType === 'legbye') && runs > 0) errors.push('byes/leg-byes cannot also score runs off the bat');
+  if (kind && ['caught', 'stumped', 'runout'].includes(kind) && !(ev.wicket && ev.wicket.fielder)) errors.push(`${kind} needs wicket.fielder`);
+  if (kind === 'stumped' && extrasType === 'noball') errors.push('cannot be stumped off a no-ball');
+  return errors;
+}
+
+/**
+ * Over/ball position for the next event of an innings.
+ * @param {Array} prior  earlier live events of the match
+ */
+function nextPosition(prior, innings, ev) {
+  const legal = prior.filter((e) => !e.undone && e.innings === innings && isLegal(e)).length;
+  return { over: Math.floor(legal / 6), ball: (legal % 6) + (isLegal(ev) ? 1 : 0) };
+}
+
+/**
+ * Aggregate events into Match.stats rows. `carry` supplies fields the log
+ * cannot express (mvp) from the previous stats.
+ */
+function deriveStats(events, { carry = [] } = {}) {
+  const rows = new Map();
+  const row = (name) => {
+    const key = normalizePlayerKey(name);
+    if (!key) return null;
+    if (!rows.has(key)) rows.set(key, { ...sanitizeStat({ playerName: String(name).trim() }), ballsBowled: 0 });
+    return rows.get(key);
+  };
+  const overs = new Map(); // innings|over|bowler -> { legal, conceded }
+
+  events.filter((e) => !e.undone).sort((a, b) => a.seq - b.seq).forEach((ev) => {
+    const extrasType = (ev.extras && ev.extras.type) || '';
+    const extraRuns = Number((ev.extras && ev.extras.runs) || 0);
+    const runs = Number(ev.runs || 0);
+    const legal = isLegal(ev);
+
+    const batter = extrasType === 'penalty' ? null : row(ev.batter);
+    if (batter) {
+      batter.runs += runs;
+      if (extrasType !== 'wide') batter.balls += 1;
+      const boundary = ev.boundary === null || ev.boundary === undefined ? (runs === 4 || runs === 6) : !!ev.boundary;
+      if (boundary && runs === 4) batter.fours += 1;
+      if (boundary && runs === 6) batter.sixes += 1;
+    }
+
+    const bowler = extrasType === 'penalty' ? null : row(ev.bowler);
+    if (bowler) {
+      // byes and leg-byes are not charged to the bowler
+      const conceded = runs + (extrasType === 'wide' || extrasType === 'noball' ? extraRuns : 0);
+      bowler.runsConceded += conceded;
+      if (legal) bowler.ballsBowled += 1;
+      const overKey = `${ev.innings}|${ev.over}|${normalizePlayerKey(ev.bowler)}`;
+      const o = overs.get(overKey) || { legal: 0, conceded: 0, bowler };
+      o.legal += legal ? 1 : 0;
+      o.conceded += conceded;
+      overs.set(overKey, o);
+    }
+
+    const kind = ev.wicket && ev.wicket.kind;
+    if (kind) {
+      const out = row(ev.wicket.playerOut || ev.batter);
+      if (out && kind !== 'retired') out.out = true;
+      if (bowler && BOWLER_WICKETS.includes(kind)) bowler.wickets += 1;
+      const fielder = kind === 'caughtandbowled' ? bowler : row(ev.wicket.fielder);
+      if (fielder) {
+        if (kind === 'caught' || kind === 'caughtandbowled') fielder.catches += 1;
+        if (kind === 'stumped') fielder.stumpings += 1;
+        if (kind === 'runout') fielder.runOuts += 1;
+      }
+    }
+  });
+
+  overs.forEach((o) => {
+    if (o.legal === 6 && o.conceded === 0) o.bowler.maidens += 1;
+  });
+
+  const mvp = new Set((carry || []).filter((s) => s.mvp).map((s) => normalizePlayerKey(s.playerName)));
+  return Array.from(rows.entries()).map(([key, r]) => {
+    const { ballsBowled, ...stat } = r;
+    stat.overs = ballsToOvers(ballsBowled);
+    stat.mvp = mvp.has(key);
+    return stat;
+  });
+}
+
+module.exports = {
+  EXTRA_TYPES,
+  WICKET_KINDS,
+  isLegal,
+  checkEvent,
+  normalizeEvent,
+  nextPosition,
+  deriveStats
+};
@@ -0,0 +1,95 @@
+// services/contestLifecycle.js
+// Contest state machine: draft -> open -> locked -> live -> completed,
+// with cancelled reachable from every non-final state. Transitions are
+// compare-and-set on the current status so cron and admins cannot race.
+
+const mongoose = require('mongoose');
+const Contest = require('../models/Contest');
+const TeamEntry = require('../models/TeamEntry');
+const wallet = require('./wallet');
+const { codedError } = require('./errors');
+
+const STATES = ['draft', 'open', 'locked', 'live', 'completed', 'cancelled'];
+
+const TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['locked', 'cancelled'],
+  locked: ['live', 'cancelled'],
+  live: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const TIMESTAMP_FIELD = {
+  open: 'openedAt',
+  locked: 'lockedAt',
+  live: 'liveAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Contests created before `status` existed only carry the old flags
+function effectiveStatus(c) {
+  if (!c) return null;
+  if (c.status) return c.status;
+  if (c.cancelledAt) return 'cancelled';
+  if (c.closed || c.archived) return 'locked';
+  return 'open';
+}
+
+function canTransition(from, to) {
+  return !!(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+/**
+ * Move a contest to `to`. Cancelling refunds every paid entry inside the
+ * same transaction.
+ * @returns {Promise<{ contest: object, from: string, to: string, refunded: number }>}
+ */
+async function transitionContest(contestId, to, { actor = 'system', reason = '' } = {}) {
+  if (!STATES.includes(to)) throw codedError('INVALID_STATE', `Unknown status: ${to}`);
+
+  const session = await mongoose.startSession();
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      const current = await Contest.findById(contestId).session(session).lean();
+      if (!current) throw codedError('NOT_FOUND', 'Contest not found');
+      const from = effectiveStatus(current);
+      if (!canTransition(from, to)) throw codedError('INVALID_TRANSITION', `Cannot move contest from ${from} to ${to}`);
+
+      const now = new Date();
+      const set = { status: to, [TIMESTAMP_FIELD[to]]: now };
+      if (to === 'cancelled') {
+        set.archived = true;
+        set.cancelReason = reason || '';
+      }
+      // legacy docs have no status; match on what we read to stay compare-and-set
+      const statusFilter = current.status ? current.status : { $exists: false };
+      const updated = await Contest.findOneAndUpdate(
+        { _id: contestId, status: statusFilter },
+        { $set: set, $push: { statusHistory: { from, to, at: now, by: actor, reason: reason || '' } } },
+        { new: true, session }
+      ).lean();
+      if (!updated) throw codedError('CONFLICT', 'Contest status changed concurrently');
+
+      let refunded = 0;
+      if (to === 'cancelled') {
+        const entryIds = (await TeamEntry.find({ contestId }).select('_id').session(session).lean()).map((e) => e._id);
+        refunded = await wallet.refundEntries(entryIds, { note: `Refund: ${updated.title} cancelled`, createdBy: actor }, session);
+      }
+      result = { contest: updated, from, to, refunded };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  effectiveStatus,
+  canTransition,
+  transitionContest
+};
@@ -0,0 +1,149 @@
+// services/displayNames.js
+// Display-name rules. Names are unique ignoring case and spacing
+// (User.displayNameKey); the name a user sees is kept as typed. Renames
+// are rate-limited and copied onto the user's teams and entries, whose
+// `viewerName` is only a label — grouping is by viewerId.
+
+const User = require('../models/User');
+const Team = require('../models/Team');
+const TeamEntry = require('../models/TeamEntry');
+const { codedError } = require('./errors');
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 24;
+const RENAME_COOLDOWN_DAYS = Math.max(Number(process.env.DISPLAY_NAME_COOLDOWN_DAYS || 30), 0);
+const RESERVED = new Set(['admin', 'administrator', 'moderator', 'mod', 'system', 'support', 'staff', 'scorer', 'community cup', 'anonymous', 'null', 'undefined']);
+
+function cleanDisplayName(name) {
+  return String(name || '').normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+// Comparison key: "Rahul  K" and "rahul k" are the same name
+function displayNameKey(name) {
+  return cleanDisplayName(name).toLowerCase();
+}
+
+// Returns an error string, or null when the name may be used
+function checkDisplayName(name) {
+  const clean = cleanDisplayName(name);
+  if (clean.length < MIN_LENGTH || clean.length > MAX_LENGTH) {
+    return `Display name must be ${MIN_LENGTH}-${MAX_LENGTH} characters`;
+  }
+  if (!/^[\p{L}\p{N} _.'-]+$/u.test(clean)) return 'Display name may only use letters, numbers, spaces and _ . \' -';
+  if (!/\p{L}/u.test(clean)) return 'Display name must contain a letter';
+  if (RESERVED.has(displayNameKey(clean))) return 'That display name is reserved';
+  return null;
+}
+
+async function isTaken(name, exceptUserId = null) {
+  const filter = { displayNameKey: displayNameKey(name) };
+  if (exceptUserId) filter._id = { $ne: exceptUserId };
+  return !!(await User.exists(filter));
+}
+
+/**
+ * A free name based on `base` ("Rahul", "Rahul 2", ...) for sign-ups that
+ * cannot pick one themselves (Google).
+ */
+async function uniqueDisplayName(base) {
+  let clean = cleanDisplayName(base).replace(/[^\p{L}\p{N} _.'-]/gu, '').slice(0, MAX_LENGTH - 4).trim();
+  if (checkDisplayName(clean)) clean = 'Player';
+  if (!(await isTaken(clean))) return clean;
+  for (let i = 2; i < 1000; i++) {
+    const candidate = `${clean} ${i}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+  return `${clean} ${Date.now().toString(36).slice(-4)}`;
+}
+
+function nextRenameAt(user) {
+  if (!user.displayNameChangedAt || user.displayNameConflict) return null;
+  const at = new Date(new Date(user.displayNameChangedAt).getTime() + RENAME_COOLDOWN_DAYS * 24 * 3600 * 1000);
+  return at > new Date() ? at : null;
+}
+
+/**
+ * Rename a user (a mongoose doc). Users flagged displayNameConflict by the
+ * backfill skip the cooldown once.
+ * @returns {Promise<{ user: object, previous: string, teamsUpdated: number, entriesUpdated: number }>}
+ */
+async function renameUser(user, name) {
+  const error = checkDisplayName(name);
+  if (error) throw codedError('INVALID_NAME', error);
+  const clean = cleanDisplayName(name);
+  const previous = user.displayName || '';
+  if (clean === previous && !user.displayNameConflict) return { user, previous, teamsUpdated: 0, entriesUpdated: 0 };
+
+  const waitUntil = nextRenameAt(user);
+  // only changing the capitalisation of the same name is always allowed
+  if (waitUntil && displayNameKey(clean) !== user.displayNameKey) {
+    const e = codedError('COOLDOWN', `You can change your display name again after ${waitUntil.toISOString().slice(0, 10)}`);
+    e.retryAt = waitUntil;
+    throw e;
+  }
+  if (await isTaken(clean, user._id)) throw codedError('NAME_TAKEN', 'That display name is already taken');
+
+  if (previous) user.previousDisplayNames = [...(user.previousDisplayNames || []), { name: previous, until: new Date() }].slice(-10);
+  user.displayName = clean;
+  user.displayNameKey = displayNameKey(clean);
+  user.displayNameChangedAt = new Date();
+  user.displayNameConflict = false;
+  try {
+    await user.save();
+  } catch (err) {
+    if (err && err.code === 11000) throw codedError('NAME_TAKEN', 'That display name is already taken');
+    throw err;
+  }
+
+  const viewerId = String(user._id);
+  const [teams, entries] = await Promise.all([
+    Team.updateMany({ viewerId }, { $set: { viewerName: clean } }),
+    TeamEntry.updateMany({ viewerId }, { $set: { viewerName: clean } })
+  ]);
+  return { user, previous, teamsUpdated: teams.modifiedCount || 0, entriesUpdated: entries.modifiedCount || 0 };
+}
+
+/**
+ * Give existing users their displayNameKey. When several share a name the
+ * oldest account keeps it; the others are flagged displayNameConflict and
+ * asked to pick a new one (without a cooldown). Idempotent.
+ * @returns {Promise<{ keyed: number, conflicts: number }>}
+ */
+async function backfillDisplayNameKeys() {
+  const users = await User.find({ displayNameKey: { $exists: false }, displayNameConflict: { $ne: true }, displayName: { $nin: [null, ''] } })
+    .select('displayName createdAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  let keyed = 0;
+  let conflicts = 0;
+  for (const u of users) {
+    const key = displayNameKey(u.displayName);
+    const holder = await User.exists({ displayNameKey: key });
+    if (!holder) {
+      try {
+        await User.updateOne({ _id: u._id }, { $set: { displayNameKey: key } });
+        keyed += 1;
+        continue;
+      } catch (err) {
+        if (!err || err.code !== 11000) throw err;
+      }
+    }
+    await User.updateOne({ _id: u._id }, { $set: { displayNameConflict: true } });
+    conflicts += 1;
+  }
+  return { keyed, conflicts };
+}
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  RENAME_COOLDOWN_DAYS,
+  cleanDisplayName,
+  displayNameKey,
+  checkDisplayName,
+  isTaken,
+  uniqueDisplayName,
+  nextRenameAt,
+  renameUser,
+  backfillDisplayNameKeys
+};
@@ -0,0 +1,11 @@
+// services/errors.js
+// Errors services throw for routes to map to HTTP statuses: a plain Error
+// whose `_code` names the failure (server.js send*Error helpers switch on it).
+
+function codedError(code, message) {
+  const e = new Error(message);
+  e._code = code;
+  return e;
+}
+
+module.exports = { codedError };
@@ -0,0 +1,256 @@
+// services/leaderboard.js
+// Contest standings: TeamEntry rows ranked with tie handling. Leaderboard
+// pages sort and page on the stored TeamEntry.points in the database (with
+// an opaque cursor) and take ranks from count queries; settlement scores
+// the whole contest fresh via buildContestStandings.
+
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const TeamEntry = require('../models/TeamEntry');
+const teamScoring = require('./teamScoring');
+
+const RANK_MODES = ['standard', 'dense'];
+
+// Sort: points desc, earliest entry first, then id for a stable total order
+function compareRows(a, b) {
+  if (b.points !== a.points) return b.points - a.points;
+  const ta = new Date(a.createdAt).getTime() || 0;
+  const tb = new Date(b.createdAt).getTime() || 0;
+  if (ta !== tb) return ta - tb;
+  return String(a.entryId).localeCompare(String(b.entryId));
+}
+
+/**
+ * Assign ranks in place to rows already sorted by compareRows.
+ * standard: 1,2,2,4   dense: 1,2,2,3
+ */
+function assignRanks(rows, mode = 'standard') {
+  let rank = 0;
+  let prevPoints = null;
+  rows.forEach((row, i) => {
+    if (prevPoints === null || row.points !== prevPoints) {
+      rank = mode === 'dense' ? rank + 1 : i + 1;
+      prevPoints = row.points;
+    }
+    row.rank = rank;
+    row.tied = false;
+  });
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].rank === rows[i - 1].rank) {
+      rows[i].tied = true;
+      rows[i - 1].tied = true;
+    }
+  }
+  return rows;
+}
+
+function encodeCursor(row) {
+  const payload = { p: row.points, t: new Date(row.createdAt).getTime() || 0, id: String(row.entryId) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof c.p !== 'number' || typeof c.id !== 'string' || !/^[a-f0-9]{24}$/i.test(c.id)) return null;
+    return { points: c.p, createdAt: new Date(c.t), entryId: c.id };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Full ranked standings for a contest, for settlement. When the contest
+ * carries its own scoring ruleset the entry snapshots are scored with it;
+ * otherwise the stored Team.totalPoints (match ruleset) is used.
+ * @returns {Promise<Array<object>>} sorted, ranked rows
+ */
+async function buildContestStandings(contest, { mode = 'standard' } = {}) {
+  const entries = await TeamEntry.find({ contestId: contest._id })
+    .select('teamId viewerId viewerName players captain vice lockSnapshot createdAt')
+    .lean();
+  const teamIds = entries.map((e) => e.teamId);
+  const teams = await Team.find({ _id: { $in: teamIds }, banned: { $ne: true } })
+    .select('name totalPoints viewerId')
+    .lean();
+  const teamById = new Map(teams.map((t) => [String(t._id), t]));
+
+  let scorer = null;
+  if (contest.scoringRulesetId) {
+    const match = await Match.findById(contest.matchId).select('stats').lean();
+    const rules = await teamScoring.resolveScoringRules(contest.scoringRulesetId);
+    scorer = teamScoring.createScorer(match ? match.stats : [], rules);
+  }
+
+  const rows = [];
+  entries.forEach((e) => {
+    const team = teamById.get(String(e.teamId));
+    if (!team) return; // deleted or banned team
+    const points = scorer ? scorer.scoreTeam(e).totalPoints : Number(team.totalPoints || 0);
+    rows.push({
+      entryId: e._id,
+      teamId: e.teamId,
+      teamName: team.name,
+      viewerId: e.viewerId || team.viewerId || null,
+      viewerName: e.viewerName,
+      points,
+      createdAt: e.createdAt
+    });
+  });
+
+  rows.sort(compareRows);
+  return assignRanks(rows, RANK_MODES.includes(mode) ? mode : 'standard');
+}
+
+// Entries that count towards a contest's standings (banned teams drop out)
+async function standingsFilter(contest) {
+  const banned = await Team.distinct('_id', { matchId: contest.matchId, banned: true });
+  return { contestId: contest._id, teamId: { $nin: banned } };
+}
+
+// Entries written before TeamEntry.points existed get it on first read
+async function ensureEntryPoints(contest) {
+  if (!(await TeamEntry.exists({ contestId: contest._id, points: null }))) return;
+  const match = await Match.findById(contest.matchId).select('stats').lean();
+  if (match) await teamScoring.recomputeMatchEntries(match);
+}
+
+// Entries sorted the way compareRows orders rows
+const ENTRY_SORT = { points: -1, createdAt: 1, _id: 1 };
+
+// Everything after the cursor position in ENTRY_SORT order
+function afterCursor(after) {
+  return {
+    $or: [
+      { points: { $lt: after.points } },
+      { points: after.points, createdAt: { $gt: after.createdAt } },
+      { points: after.points, createdAt: after.createdAt, _id: { $gt: after.entryId } }
+    ]
+  };
+}
+
+async function toRows(entries) {
+  const teams = await Team.find({ _id: { $in: entries.map((e) => e.teamId) } }).select('name viewerId').lean();
+  const teamById = new Map(teams.map((t) => [String(t._id), t]));
+  return entries.map((e) => {
+    const team = teamById.get(String(e.teamId)) || {};
+    return {
+      entryId: e._id,
+      teamId: e.teamId,
+      teamName: team.name,
+      viewerId: e.viewerId || team.viewerId || null,
+      viewerName: e.viewerName,
+      points: Number(e.points || 0),
+      createdAt: e.createdAt
+    };
+  });
+}
+
+/**
+ * Rank rows sorted by compareRows without loading the rest of the contest:
+ * the entries (standard) or distinct scores (dense) above each score come
+ * from counting the gap between consecutive scores, and `tied` from the
+ * number of entries on the same score.
+ */
+async function rankRows(filter, rows, mode) {
+  if (!rows.length) return rows;
+  const values = [];
+  rows.forEach((r) => { if (values[values.length - 1] !== r.points) values.push(r.points); });
+
+  const onValue = await TeamEntry.aggregate([
+    { $match: { ...filter, points: { $in: values } } },
+    { $group: { _id: '$points', n: { $sum: 1 } } }
+  ]);
+  const countOf = new Map(onValue.map((v) => [v._id, v.n]));
+
+  const rankOf = new Map();
+  let above = 0;
+  let valuesAbove = 0;
+  let prev = null;
+  for (const v of values) {
+    const [gap] = await TeamEntry.aggregate([
+      { $match: { ...filter, points: prev === null ? { $gt: v } : { $gt: v, $lt: prev } } },
+      { $group: { _id: '$points', n: { $sum: 1 } } },
+      { $group: { _id: null, entries: { $sum: '$n' }, values: { $sum: 1 } } }
+    ]);
+    if (prev !== null) {
+      above += countOf.get(prev) || 0;
+      valuesAbove += 1;
+    }
+    above += gap ? gap.entries : 0;
+    valuesAbove += gap ? gap.values : 0;
+    rankOf.set(v, mode === 'dense' ? valuesAbove + 1 : above + 1);
+    prev = v;
+  }
+
+  rows.forEach((r) => {
+    r.rank = rankOf.get(r.points);
+    r.tied = (countOf.get(r.points) || 0) > 1;
+  });
+  return rows;
+}
+
+/**
+ * One leaderboard page, sorted and paged in the database.
+ * @param {object} contest
+ * @param {object} opts  { mode, cursor, limit }
+ * @returns {Promise<{ total: number, items: Array<object>, nextCursor: string|null }>}
+ */
+async function contestStandingsPage(contest, { mode = 'standard', cursor = null, limit = 50 } = {}) {
+  await ensureEntryPoints(contest);
+  const filter = await standingsFilter(contest);
+  const after = decodeCursor(cursor);
+  const query = after ? { ...filter, ...afterCursor(after) } : filter;
+
+  const [total, entries] = await Promise.all([
+    TeamEntry.countDocuments(filter),
+    TeamEntry.find(query)
+      .select('teamId viewerId viewerName points createdAt')
+      .sort(ENTRY_SORT)
+      .limit(limit + 1)
+      .lean()
+  ]);
+  const hasMore = entries.length > limit;
+  const items = await rankRows(filter, await toRows(entries.slice(0, limit)), RANK_MODES.includes(mode) ? mode : 'standard');
+  return {
+    total,
+    items,
+    nextCursor: hasMore && items.length ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+/**
+ * Ranked rows of one account's entries in a contest. Older entries predate
+ * viewerId and can only be matched by name.
+ * @param {object} contest
+ * @param {object} user  { _id, displayName }
+ * @returns {Promise<{ total: number, entries: Array<object> }>}
+ */
+async function viewerStandings(contest, user, { mode = 'standard' } = {}) {
+  await ensureEntryPoints(contest);
+  const filter = await standingsFilter(contest);
+  const owners = [{ viewerId: String(user._id) }];
+  if (user.displayName) owners.push({ viewerId: null, viewerName: user.displayName });
+
+  const [total, entries] = await Promise.all([
+    TeamEntry.countDocuments(filter),
+    TeamEntry.find({ ...filter, $or: owners })
+      .select('teamId viewerId viewerName points createdAt')
+      .sort(ENTRY_SORT)
+      .lean()
+  ]);
+  const rows = await rankRows(filter, await toRows(entries), RANK_MODES.includes(mode) ? mode : 'standard');
+  return { total, entries: rows };
+}
+
+module.exports = {
+  RANK_MODES,
+  compareRows,
+  assignRanks,
+  encodeCursor,
+  decodeCursor,
+  contestStandingsPage,
+  viewerStandings,
+  buildContestStandings
+};
@@ -0,0 +1,97 @@
+// services/livePolling.js
+// In-process scheduler for live scorecard polling plus the stat diff used
+// to build delta events. Timers live in this process only; the server
+// re-arms them on boot from Match.liveScoring.
+
+const scoring = require('./scoring');
+const { normalizePlayerKey } = require('./playerNames');
+
+const STAT_FIELDS = ['runs', 'balls', 'fours', 'sixes', 'out', 'overs', 'runsConceded', 'wickets', 'maidens', 'catches', 'stumpings', 'runOuts', 'mvp'];
+
+const timers = new Map(); // matchId -> { timer, intervalSeconds, running }
+
+/**
+ * Compare two stat arrays player by player.
+ * @returns {Array<{ playerName, changed: string[], before, after, pointsBefore, pointsAfter, delta }>}
+ */
+function diffStats(oldStats, newStats, rules) {
+  const before = new Map();
+  (oldStats || []).forEach((s) => before.set(normalizePlayerKey(s.playerName), scoring.sanitizeStat(s)));
+  const seen = new Set();
+  const changes = [];
+
+  const compare = (prev, next) => {
+    // a player appearing or disappearing is compared against an empty line
+    const blank = scoring.sanitizeStat({ playerName: (next || prev).playerName });
+    const a = prev || blank;
+    const b = next || blank;
+    const changed = STAT_FIELDS.filter((f) => a[f] !== b[f]);
+    if (!changed.length) return;
+    const pointsBefore = prev ? scoring.computeBreakdown(prev, rules).base : 0;
+    const pointsAfter = next ? scoring.computeBreakdown(next, rules).base : 0;
+    changes.push({
+      playerName: (next || prev).playerName,
+      changed,
+      before: prev || null,
+      after: next || null,
+      pointsBefore,
+      pointsAfter,
+      delta: pointsAfter - pointsBefore
+    });
+  };
+
+  (newStats || []).forEach((s) => {
+    const next = scoring.sanitizeStat(s);
+    const key = normalizePlayerKey(next.playerName);
+    seen.add(key);
+    compare(before.get(key), next);
+  });
+  before.forEach((prev, key) => {
+    if (!seen.has(key)) compare(prev, null);
+  });
+  return changes;
+}
+
+/**
+ * Run `tick(matchId)` every intervalSeconds. Ticks never overlap; a tick
+ * returning { stop: true } ends polling for the match.
+ */
+function startPolling(matchId, intervalSeconds, tick) {
+  const id = String(matchId);
+  stopPolling(id);
+  const state = { intervalSeconds, running: false, timer: null };
+  state.timer = setInterval(async () => {
+    if (state.running) return;
+    state.running = true;
+    try {
+      const result = await tick(id);
+      if (result && result.stop) stopPolling(id);
+    } catch (err) {
+      console.error('Live poll tick error:', id, err && err.message);
+    } finally {
+      state.running = false;
+    }
+  }, intervalSeconds * 1000);
+  timers.set(id, state);
+}
+
+function stopPolling(matchId) {
+  const id = String(matchId);
+  const state = timers.get(id);
+  if (!state) return false;
+  clearInterval(state.timer);
+  timers.delete(id);
+  return true;
+}
+
+function isPolling(matchId) {
+  return timers.has(String(matchId));
+}
+
+module.exports = {
+  STAT_FIELDS,
+  diffStats,
+  startPolling,
+  stopPolling,
+  isPolling
+};
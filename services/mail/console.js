@@ -0,0 +1,14 @@
+// services/mail/console.js
+// Development transport: prints the message to stdout.
+
+module.exports = {
+  name: 'console',
+  devOnly: true,
+  available() {
+    return true;
+  },
+  async send(message) {
+    console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+    return { id: '' };
+  }
+};
@@ -0,0 +1,26 @@
+// services/mail/file.js
+// Writes each message as JSON into MAIL_OUTBOX_DIR (default ./mail-outbox)
+// so tests and local setups can read the links back out.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function outboxDir() {
+  return process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+}
+
+module.exports = {
+  name: 'file',
+  devOnly: true,
+  available() {
+    return true;
+  },
+  async send(message) {
+    const dir = outboxDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, sentAt: new Date(), ...message }, null, 2));
+    return { id };
+  }
+};
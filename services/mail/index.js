@@ -0,0 +1,86 @@
+// services/mail/index.js
+// Outgoing mail transport registry. A transport is:
+//   name          registry key
+//   available()   whether it is configured
+//   send(message) message = { from, to, subject, text, html }; throws (with _code) on failure
+//   devOnly       set on transports that keep mail local (console, file)
+// MAIL_TRANSPORT picks one; development defaults to `console`. Production
+// has no default and never sends through a devOnly transport, since those
+// would leave reset links in logs and outboxes instead of inboxes.
+
+const { codedError } = require('../errors');
+
+const registry = new Map();
+
+function registerTransport(transport) {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Mail transport needs name and send');
+  }
+  registry.set(transport.name, transport);
+  return transport;
+}
+
+function getTransport(name) {
+  const transport = registry.get(name);
+  if (!transport) throw codedError('UNKNOWN_MAIL_TRANSPORT', 'Unknown mail transport: ' + name);
+  return transport;
+}
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+function listTransports() {
+  return Array.from(registry.values()).map((t) => ({
+    name: t.name,
+    available: typeof t.available === 'function' ? !!t.available() : true,
+    devOnly: !!t.devOnly
+  }));
+}
+
+function defaultTransport() {
+  return process.env.MAIL_TRANSPORT || (isProduction() ? '' : 'console');
+}
+
+// Why the configured transport cannot deliver real mail here, or null
+function transportProblem(name = defaultTransport()) {
+  if (!name) return 'MAIL_TRANSPORT must be set in production';
+  const t = registry.get(name);
+  if (!t) return `Unknown mail transport: ${name}`;
+  if (t.devOnly && isProduction()) return `Mail transport ${name} is for development only`;
+  if (typeof t.available === 'function' && !t.available()) return `Mail transport ${name} is not configured`;
+  return null;
+}
+
+/**
+ * Send one message through the configured transport.
+ * @returns {Promise<{ transport: string, id: string }>}
+ */
+async function sendMail({ to, subject, text, html = '' }, { transport } = {}) {
+  if (!to) throw codedError('MAIL_NO_RECIPIENT', 'No recipient');
+  const name = transport || defaultTransport();
+  if (!name) throw codedError('MAIL_TRANSPORT_UNAVAILABLE', 'MAIL_TRANSPORT must be set in production');
+  const t = getTransport(name);
+  if (t.devOnly && isProduction()) {
+    throw codedError('MAIL_TRANSPORT_UNAVAILABLE', `Mail transport ${name} is for development only`);
+  }
+  if (typeof t.available === 'function' && !t.available()) {
+    throw codedError('MAIL_TRANSPORT_UNAVAILABLE', `Mail transport ${name} is not configured`);
+  }
+  const message = { from: process.env.MAIL_FROM || 'Community Cup <no-reply@localhost>', to, subject, text, html };
+  const result = await t.send(message);
+  return { transport: name, id: (result && result.id) || '' };
+}
+
+registerTransport(require('./console'));
+registerTransport(require('./file'));
+registerTransport(require('./webhook'));
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  listTransports,
+  defaultTransport,
+  transportProblem,
+  sendMail
+};
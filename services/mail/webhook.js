@@ -0,0 +1,24 @@
+// services/mail/webhook.js
+// Posts the message as JSON to MAIL_WEBHOOK_URL, for mail APIs or a relay
+// that speaks SMTP. MAIL_WEBHOOK_TOKEN is sent as a Bearer token if set.
+
+const axios = require('axios');
+const { codedError } = require('../errors');
+
+module.exports = {
+  name: 'webhook',
+  available() {
+    return !!process.env.MAIL_WEBHOOK_URL;
+  },
+  async send(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.MAIL_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}`;
+    try {
+      const response = await axios.post(process.env.MAIL_WEBHOOK_URL, message, { headers, timeout: 15000 });
+      return { id: String((response.data && response.data.id) || '') };
+    } catch (err) {
+      const status = err.response && err.response.status;
+      throw codedError('MAIL_SEND_FAILED', `Mail webhook failed${status ? ` (${status})` : ''}: ${err.message}`);
+    }
+  }
+};
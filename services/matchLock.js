@@ -0,0 +1,62 @@
+// services/matchLock.js
+// Match lock: teams and entries freeze at startTime minus the match's lock
+// buffer. At lock each Team / TeamEntry gets a write-once lockSnapshot and
+// the roster is copied, and scoring and stat alignment read the snapshots
+// from then on.
+
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const TeamEntry = require('../models/TeamEntry');
+
+function lockTimeOf(match) {
+  if (!match || !match.startTime) return null;
+  const buffer = Number(match.lockBufferMinutes || 0);
+  return new Date(new Date(match.startTime).getTime() - buffer * 60 * 1000);
+}
+
+function isMatchLocked(match, now = new Date()) {
+  if (!match) return false;
+  if (match.lockedAt) return true;
+  const lockTime = lockTimeOf(match);
+  return !!(lockTime && lockTime <= now);
+}
+
+// The XI to score: frozen snapshot once locked, live fields before that
+function scoringSource(doc) {
+  return (doc && doc.lockSnapshot && Array.isArray(doc.lockSnapshot.players)) ? doc.lockSnapshot : doc;
+}
+
+// The roster to align stats and picks against: the copy taken at lock once
+// the match is locked, so roster edits after lock change nothing scored
+function rosterOf(match) {
+  if (!match) return [];
+  if (match.lockedAt && Array.isArray(match.rosterSnapshot)) return match.rosterSnapshot;
+  return match.players || [];
+}
+
+/**
+ * Take the lock snapshot for a match. Safe to call repeatedly: only docs
+ * without a snapshot are written, and match.lockedAt is set once.
+ * @returns {Promise<{ locked: boolean, teams: number, entries: number }>}
+ */
+async function snapshotMatch(matchId, now = new Date()) {
+  const match = await Match.findOneAndUpdate(
+    { _id: matchId, lockedAt: null },
+    [{ $set: { lockedAt: now, rosterSnapshot: '$players' } }],
+    { new: true }
+  ).lean();
+
+  const snapshot = { players: '$players', captain: '$captain', vice: '$vice', lockedAt: now };
+  const teams = await Team.updateMany({ matchId, lockSnapshot: null }, [{ $set: { lockSnapshot: snapshot } }]);
+  const entries = await TeamEntry.updateMany({ matchId, lockSnapshot: null }, [{ $set: { lockSnapshot: snapshot } }]);
+
+  return { locked: !!match, teams: teams.modifiedCount || 0, entries: entries.modifiedCount || 0 };
+}
+
+module.exports = {
+  lockTimeOf,
+  isMatchLocked,
+  scoringSource,
+  rosterOf,
+  snapshotMatch
+};
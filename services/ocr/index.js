@@ -0,0 +1,135 @@
+// services/ocr/index.js
+// OCR backend registry + job runner for score screenshots. A backend is:
+//   name             registry key
+//   local            true when it runs in-process (no network for the image)
+//   available()      whether it is configured / installed
+//   recognize(path)  -> plain text; throws (with _code) on failure
+
+const OcrJob = require('../../models/OcrJob');
+const { codedError } = require('../errors');
+
+const registry = new Map();
+
+// a job still `running` this long after it was claimed is taken to be
+// abandoned (process died mid-run) and may be claimed again
+const STALE_RUNNING_MS = Math.max(Number(process.env.OCR_JOB_STALE_MINUTES || 10), 1) * 60 * 1000;
+
+function registerBackend(backend) {
+  if (!backend || !backend.name || typeof backend.recognize !== 'function') {
+    throw new Error('OCR backend needs name and recognize');
+  }
+  registry.set(backend.name, backend);
+  return backend;
+}
+
+function getBackend(name) {
+  const backend = registry.get(name);
+  if (!backend) throw codedError('UNKNOWN_OCR_BACKEND', 'Unknown OCR backend: ' + name);
+  return backend;
+}
+
+function listBackends() {
+  return Array.from(registry.values()).map((b) => ({
+    name: b.name,
+    local: !!b.local,
+    available: typeof b.available === 'function' ? !!b.available() : true
+  }));
+}
+
+// OCR_BACKEND wins; otherwise OCR.space when keyed, else the local engine
+function defaultBackend() {
+  if (process.env.OCR_BACKEND) return process.env.OCR_BACKEND;
+  return process.env.OCR_SPACE_API_KEY ? 'ocrspace' : 'tesseract';
+}
+
+// compare-and-set so two re-runs of one job cannot overlap; updatedAt
+// doubles as the claim, so a stale run cannot overwrite its successor
+async function claimJob(jobId, name, startedAt) {
+  const claimed = await OcrJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: { $ne: 'running' } },
+        { updatedAt: { $lt: new Date(startedAt.getTime() - STALE_RUNNING_MS) } }
+      ]
+    },
+    { $set: { status: 'running', backend: name, error: '', errorCode: '', updatedAt: startedAt } },
+    { new: true }
+  ).lean();
+  if (!claimed) throw codedError('JOB_BUSY', 'OCR job is already running or does not exist');
+  return claimed;
+}
+
+// OCR a claimed job and record the outcome; never throws for OCR failures
+async function completeJob(jobId, filePath, name, startedAt, by) {
+  let text = '';
+  let failure = null;
+  try {
+    const engine = getBackend(name);
+    if (typeof engine.available === 'function' && !engine.available()) {
+      throw codedError('OCR_BACKEND_UNAVAILABLE', `OCR backend ${name} is not configured`);
+    }
+    text = await engine.recognize(filePath);
+    if (!String(text || '').trim()) throw codedError('OCR_EMPTY', 'OCR produced no text');
+  } catch (err) {
+    failure = err;
+  }
+
+  const finishedAt = new Date();
+  const attempt = {
+    backend: name,
+    status: failure ? 'failed' : 'succeeded',
+    error: failure ? failure.message || String(failure) : '',
+    startedAt,
+    finishedAt,
+    by
+  };
+  const set = failure
+    ? { status: 'failed', error: attempt.error, errorCode: failure._code || 'OCR_FAILED', updatedAt: finishedAt }
+    : { status: 'succeeded', ocrText: String(text), error: '', errorCode: '', updatedAt: finishedAt };
+  const done = await OcrJob.findOneAndUpdate(
+    { _id: jobId, status: 'running', updatedAt: startedAt },
+    { $set: set, $push: { attempts: attempt } },
+    { new: true }
+  ).lean();
+  // reclaimed as stale while this run was still going; the newer run owns the job
+  return done || OcrJob.findById(jobId).lean();
+}
+
+/**
+ * Run (or re-run) OCR for a stored job and wait for it. Never throws for
+ * OCR failures: the job ends up `failed` with the error recorded, and is
+ * returned either way.
+ * @returns {Promise<object>} the updated job (lean)
+ */
+async function runJob(jobId, filePath, { backend, by = '' } = {}) {
+  const name = backend || defaultBackend();
+  const startedAt = new Date();
+  await claimJob(jobId, name, startedAt);
+  return completeJob(jobId, filePath, name, startedAt, by);
+}
+
+/**
+ * Claim a job and run its OCR in the background. Throws JOB_BUSY like
+ * runJob; callers answer with the `running` job and clients poll it.
+ * @returns {Promise<{ job: object, done: Promise<object> }>} claimed job, and the finished job once OCR ends
+ */
+async function startJob(jobId, filePath, { backend, by = '' } = {}) {
+  const name = backend || defaultBackend();
+  const startedAt = new Date();
+  const job = await claimJob(jobId, name, startedAt);
+  const done = completeJob(jobId, filePath, name, startedAt, by);
+  return { job, done };
+}
+
+registerBackend(require('./ocrspace'));
+registerBackend(require('./tesseract'));
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  listBackends,
+  defaultBackend,
+  runJob,
+  startJob
+};
@@ -0,0 +1,39 @@
+// services/ocr/ocrspace.js
+// OCR.space HTTP backend (needs OCR_SPACE_API_KEY).
+
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+const { codedError } = require('../errors');
+
+module.exports = {
+  name: 'ocrspace',
+  local: false,
+  available() {
+    return !!process.env.OCR_SPACE_API_KEY;
+  },
+  async recognize(filePath) {
+    const apiKey = process.env.OCR_SPACE_API_KEY || '';
+    if (!apiKey) throw codedError('OCR_BACKEND_UNAVAILABLE', 'No OCR_SPACE_API_KEY configured');
+    const form = new FormData();
+    form.append('apikey', apiKey);
+    form.append('language', 'eng');
+    form.append('OCREngine', '2');
+    form.append('file', fs.createReadStream(filePath));
+    const response = await axios.post('https://api.ocr.space/parse/image', form, {
+      headers: Object.assign({}, form.getHeaders()),
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: 60000
+    });
+    const data = response.data;
+    if (data && data.IsErroredOnProcessing) {
+      const detail = [].concat(data.ErrorMessage || data.ErrorDetails || 'processing error').join('; ');
+      throw codedError('OCR_FAILED', `OCR.space: ${detail}`);
+    }
+    if (!data || !Array.isArray(data.ParsedResults) || !data.ParsedResults.length) {
+      throw codedError('OCR_FAILED', 'OCR.space returned no results');
+    }
+    return data.ParsedResults.map((p) => p.ParsedText || '').join('\n\n');
+  }
+};
@@ -0,0 +1,51 @@
+// services/ocr/tesseract.js
+// Local OCR with tesseract.js (WASM). Language data is fetched on first use
+// unless OCR_LANG_PATH points at a directory holding eng.traineddata.
+
+const { codedError } = require('../errors');
+
+const TIMEOUT_MS = Math.max(Number(process.env.OCR_TIMEOUT_SECONDS || 120), 10) * 1000;
+
+function loadTesseract() {
+  try {
+    return require('tesseract.js');
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'tesseract',
+  local: true,
+  available() {
+    return !!loadTesseract();
+  },
+  async recognize(filePath) {
+    const tesseract = loadTesseract();
+    if (!tesseract) throw codedError('OCR_BACKEND_UNAVAILABLE', 'tesseract.js is not installed');
+    // tesseract.js reports worker failures (e.g. language data it cannot
+    // download) through errorHandler only: without one it throws outside
+    // any promise and takes the server down, with one createWorker never
+    // settles. Route them into a rejection we can race against.
+    let fail;
+    const failed = new Promise((resolve, reject) => { fail = reject; });
+    failed.catch(() => {}); // a late failure after the races below must not go unhandled
+    const options = { errorHandler: (data) => fail(codedError('OCR_FAILED', `tesseract: ${data}`)) };
+    if (process.env.OCR_LANG_PATH) options.langPath = process.env.OCR_LANG_PATH;
+    if (process.env.OCR_CACHE_PATH) options.cachePath = process.env.OCR_CACHE_PATH;
+    const timeout = setTimeout(() => fail(codedError('OCR_FAILED', 'tesseract: timed out')), TIMEOUT_MS);
+    // kept so a worker that comes up after a timeout or error is still terminated
+    const creating = tesseract.createWorker(process.env.OCR_LANG || 'eng', 1, options);
+    try {
+      const worker = await Promise.race([creating, failed]);
+      // uniform-block segmentation keeps table rows on one line more often
+      await Promise.race([worker.setParameters({ tessedit_pageseg_mode: '6', preserve_interword_spaces: '1' }), failed]);
+      const { data } = await Promise.race([worker.recognize(filePath), failed]);
+      return (data && data.text) || '';
+    } finally {
+      clearTimeout(timeout);
+      // not awaited: createWorker never settles when the worker errored
+      creating.then((worker) => worker.terminate()).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,215 @@
+// services/ocrScorecard.js
+// Turns OCR text of a scorecard screenshot into a draft Match.stats array.
+// Pure: no network or DB, so saved `.meta.json` OCR text can be re-parsed.
+//
+// Two layouts are recognised:
+//   rows    - one player per line: "Name  c X b Y  45 (32) 4 1 140.62" or
+//             bowling "Name  4 0 28 2 7.00"
+//   columns - OCR.space often returns each table column as its own block:
+//             all names, then all dismissals, then each numeric column
+// Every draft row carries a confidence level and flags for the admin.
+
+const { sanitizeStat, oversToBalls } = require('./scoring');
+const { matchRosterName, normalizePlayerKey } = require('./playerNames');
+
+const DISMISSAL_RE = /^(not out|retired|run out|lbw\b|ibw\b|st\.?\s|c\.?\s|b\.?\s|c\s*&\s*b|hit wicket|absent|obstructing)/i;
+const BOWLING_HEADER_RE = /\b(bowling|bowler)\b|\bO\s+M\s+R\s+W\b/i;
+const BATTING_HEADER_RE = /\b(batting|batter|batsman|batsmen)\b|\bR\s+B\s+4s\s+6s\b/i;
+const NOISE_RE = /^(extras|total|fall of wickets?|did not bat|yet to bat|match summary|back|change scorecard|runs|balls|overs?|sr|econ|[>•.\s-]+)\b/i;
+
+// Common OCR confusions inside numbers: O->0, l/I->1, S->5
+function fixNumericToken(tok) {
+  const t = String(tok).replace(/^\(|\)$/g, '');
+  if (t === 'O' || t === 'o') return '0';
+  if (!/^[0-9OolIS.]+$/.test(t) || !/[0-9]/.test(t)) return null;
+  const fixed = t.replace(/[Oo]/g, '0').replace(/[lI]/g, '1').replace(/S/g, '5');
+  return /^\d+(\.\d+)?$/.test(fixed) ? fixed : null;
+}
+
+function splitTrailingNumbers(line) {
+  const tokens = line.trim().split(/\s+/);
+  const nums = [];
+  while (tokens.length) {
+    const n = fixNumericToken(tokens[tokens.length - 1]);
+    if (n === null) break;
+    nums.unshift(n);
+    tokens.pop();
+  }
+  return { text: tokens.join(' '), nums };
+}
+
+// Split "de Kock (wk) c Rahul b Arshdeep" into name + dismissal
+function splitDismissal(text) {
+  const words = text.split(/\s+/);
+  for (let i = 1; i < words.length; i++) {
+    const rest = words.slice(i).join(' ');
+    if (DISMISSAL_RE.test(rest)) return { name: words.slice(0, i).join(' '), dismissal: rest };
+  }
+  return { name: text, dismissal: '' };
+}
+
+function isOut(dismissal) {
+  if (!dismissal) return null; // unknown
+  return !/^(not out|retired|absent)/i.test(dismissal.trim());
+}
+
+function near(a, b, tolerance) {
+  return Math.abs(a - b) <= tolerance;
+}
+
+function parseBattingNums(nums) {
+  const ints = nums.filter((n) => !n.includes('.')).map(Number);
+  const sr = nums.find((n) => n.includes('.'));
+  const [runs = 0, balls = 0, fours = 0, sixes = 0] = ints;
+  const flags = [];
+  if (ints.length < 2) flags.push('MISSING_BALLS');
+  if (ints.length < 4) flags.push('MISSING_BOUNDARIES');
+  if (sr !== undefined && balls > 0 && !near((runs / balls) * 100, Number(sr), 1)) flags.push('STRIKE_RATE_MISMATCH');
+  if (fours * 4 + sixes * 6 > runs) flags.push('BOUNDARIES_EXCEED_RUNS');
+  return { stat: { runs, balls, fours, sixes }, flags };
+}
+
+function parseBowlingNums(nums) {
+  const [overs = '0', maidens = '0', runsConceded = '0', wickets = '0', econ] = nums;
+  const flags = [];
+  if (nums.length < 4) flags.push('MISSING_BOWLING_FIGURES');
+  const balls = oversToBalls(overs);
+  if (econ !== undefined && balls > 0 && !near(Number(runsConceded) / (balls / 6), Number(econ), 0.1)) flags.push('ECONOMY_MISMATCH');
+  if (Number(wickets) > 10) flags.push('WICKETS_OUT_OF_RANGE');
+  return {
+    stat: { overs: Number(overs), maidens: Number(maidens), runsConceded: Number(runsConceded), wickets: Number(wickets) },
+    flags
+  };
+}
+
+function looksLikeBowling(nums) {
+  // overs come first and are usually written with a decimal ("4.0", "3.2")
+  return nums.length >= 4 && nums.length <= 6 && nums[0].includes('.') && Number(nums[0]) <= 50;
+}
+
+function parseRows(lines) {
+  const rows = [];
+  let section = 'batting';
+  lines.forEach((line) => {
+    if (BOWLING_HEADER_RE.test(line)) { section = 'bowling'; return; }
+    if (BATTING_HEADER_RE.test(line)) { section = 'batting'; return; }
+    if (NOISE_RE.test(line)) return;
+    const { text, nums } = splitTrailingNumbers(line);
+    if (!text || !/[a-z]/i.test(text) || nums.length < 2) return;
+    if (section === 'bowling' || looksLikeBowling(nums)) {
+      const { stat, flags } = parseBowlingNums(nums);
+      rows.push({ kind: 'bowling', rawName: text, stat, flags, source: line });
+    } else {
+      const { name, dismissal } = splitDismissal(text);
+      const { stat, flags } = parseBattingNums(nums);
+      rows.push({ kind: 'batting', rawName: name, dismissal, stat, flags, source: line });
+    }
+  });
+  return rows;
+}
+
+function parseColumns(lines, roster) {
+  const names = [];
+  const dismissals = [];
+  const ints = [];
+  const rates = [];
+  lines.forEach((line) => {
+    if (NOISE_RE.test(line) || BATTING_HEADER_RE.test(line) || BOWLING_HEADER_RE.test(line)) return;
+    const tokens = line.split(/\s+/).map(fixNumericToken);
+    if (tokens.every((t) => t !== null)) {
+      // decimals are strike rates; used to cross-check runs/balls per row
+      tokens.forEach((t) => (t.includes('.') ? rates : ints).push(Number(t)));
+      return;
+    }
+    if (DISMISSAL_RE.test(line)) { dismissals.push(line); return; }
+    if (!/^[a-z][a-z .'’()†*-]+$/i.test(line)) return;
+    // headings above the table look like names; unknown names only count
+    // once the list has started with a roster player
+    const known = !!matchRosterName(line, roster).player;
+    if (known || ((names.length || !roster.length) && names.length < 11)) names.push(line);
+  });
+  if (!names.length) return [];
+
+  const n = names.length;
+  const flags = ['COLUMN_LAYOUT'];
+  // extras/totals often leak into the number stream; only full columns are trusted
+  if (ints.length < n * 2) flags.push('MISSING_BALLS');
+  if (dismissals.length && dismissals.length !== n) flags.push('DISMISSAL_COUNT_MISMATCH');
+  return names.map((rawName, i) => {
+    const col = (c) => (ints.length >= (c + 1) * n ? ints[c * n + i] : 0);
+    const stat = { runs: col(0), balls: col(1), fours: col(2), sixes: col(3) };
+    const rowFlags = flags.slice();
+    if (ints.length < n * 4) rowFlags.push('MISSING_BOUNDARIES');
+    if (stat.fours * 4 + stat.sixes * 6 > stat.runs) rowFlags.push('BOUNDARIES_EXCEED_RUNS');
+    if (rates.length === n && stat.balls > 0 && !near((stat.runs / stat.balls) * 100, rates[i], 1)) rowFlags.push('STRIKE_RATE_MISMATCH');
+    return { kind: 'batting', rawName, dismissal: dismissals.length === n ? dismissals[i] : '', stat, flags: rowFlags, source: rawName };
+  });
+}
+
+function confidenceOf(score, flags) {
+  const serious = flags.filter((f) => f !== 'MISSING_BOUNDARIES' && f !== 'COLUMN_LAYOUT');
+  if (score >= 0.9 && !serious.length && !flags.includes('COLUMN_LAYOUT')) return 'high';
+  if (flags.includes('COLUMN_LAYOUT')) return score >= 0.75 && !serious.length ? 'medium' : 'low';
+  if (score >= 0.75 && serious.length <= 1) return 'medium';
+  return 'low';
+}
+
+/**
+ * Parse OCR text into draft stats.
+ * @param {string} text    OCR output
+ * @param {Array} roster   Match.players
+ * @returns {{ layout: 'rows'|'columns'|'none', stats: Array<object>, unparsedLines: number }}
+ *   each stat is a full Match.stats row plus { rawName, matchScore, confidence, flags }
+ */
+function parseScorecardText(text, roster = []) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\t/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  let layout = 'rows';
+  let parsed = parseRows(lines);
+  if (!parsed.length) {
+    parsed = parseColumns(lines, roster);
+    layout = parsed.length ? 'columns' : 'none';
+  }
+
+  // batting and bowling lines for one player merge into a single stat row
+  const byKey = new Map();
+  parsed.forEach((row) => {
+    const m = matchRosterName(row.rawName, roster);
+    const playerName = m.player ? m.player.playerName : row.rawName.replace(/\((c|wk|vc)\)/gi, '').trim();
+    const key = normalizePlayerKey(playerName);
+    const flags = row.flags.slice();
+    if (!m.player) flags.push('NAME_UNMATCHED');
+    if (m.ambiguous) flags.push('NAME_AMBIGUOUS');
+
+    let draft = byKey.get(key);
+    if (!draft) {
+      draft = { ...sanitizeStat({ playerName }), rawName: row.rawName, matchScore: m.score, flags: [], sources: [] };
+      byKey.set(key, draft);
+    } else if (row.kind === 'batting' && draft.sources.some((s) => s.kind === 'batting')) {
+      flags.push('DUPLICATE_PLAYER');
+    }
+    Object.assign(draft, row.stat);
+    if (row.kind === 'batting') {
+      const out = isOut(row.dismissal);
+      if (out === null) flags.push('DISMISSAL_UNKNOWN');
+      draft.out = !!out;
+      draft.dismissal = row.dismissal || '';
+    }
+    draft.matchScore = Math.min(draft.matchScore, m.score);
+    flags.forEach((f) => { if (!draft.flags.includes(f)) draft.flags.push(f); });
+    draft.sources.push({ kind: row.kind, line: row.source });
+  });
+
+  const stats = Array.from(byKey.values()).map((d) => ({ ...d, confidence: confidenceOf(d.matchScore, d.flags) }));
+  const used = new Set(parsed.map((r) => r.source));
+  return { layout, stats, unparsedLines: lines.filter((l) => !used.has(l)).length };
+}
+
+module.exports = {
+  parseScorecardText,
+  splitTrailingNumbers,
+  splitDismissal
+};
@@ -0,0 +1,127 @@
+// services/payouts.js
+// Prize pool + payout distribution for contests. Prize structures are
+// rank bands paying either a fixed amount or a percentage of the pool;
+// tied entries pool the prizes of the positions they occupy and split them.
+
+const crypto = require('crypto');
+const TeamEntry = require('../models/TeamEntry');
+const leaderboard = require('./leaderboard');
+
+const PRIZE_TYPES = ['fixed', 'percentage'];
+
+function round2(n) {
+  return Math.floor(Number(n || 0) * 100 + 1e-6) / 100;
+}
+
+// Validate an admin-supplied prize structure. Returns list of error strings.
+function checkPrizeStructure(ps) {
+  const errors = [];
+  if (!ps || typeof ps !== 'object') return ['prizeStructure must be an object'];
+  if (!PRIZE_TYPES.includes(ps.type)) errors.push(`type must be one of ${PRIZE_TYPES.join(', ')}`);
+  if (ps.rakePercent != null && (isNaN(Number(ps.rakePercent)) || ps.rakePercent < 0 || ps.rakePercent >= 100)) {
+    errors.push('rakePercent must be between 0 and 100');
+  }
+  if (ps.guaranteedPool != null && (isNaN(Number(ps.guaranteedPool)) || ps.guaranteedPool < 0)) {
+    errors.push('guaranteedPool cannot be negative');
+  }
+  if (!Array.isArray(ps.bands) || !ps.bands.length) {
+    errors.push('bands must be a non-empty array');
+    return errors;
+  }
+  let lastTo = 0;
+  let percentSum = 0;
+  ps.bands.forEach((b, i) => {
+    const from = Number(b.fromRank);
+    const to = Number(b.toRank != null ? b.toRank : b.fromRank);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+      errors.push(`bands[${i}] needs integer fromRank <= toRank starting at 1`);
+      return;
+    }
+    if (from <= lastTo) errors.push(`bands[${i}] overlaps the previous band`);
+    lastTo = to;
+    if (ps.type === 'fixed') {
+      if (isNaN(Number(b.amount)) || b.amount < 0) errors.push(`bands[${i}].amount must be a non-negative number`);
+    } else {
+      if (isNaN(Number(b.percent)) || b.percent < 0) errors.push(`bands[${i}].percent must be a non-negative number`);
+      percentSum += Number(b.percent || 0) * (to - from + 1);
+    }
+  });
+  if (ps.type === 'percentage' && percentSum > 100 + 1e-9) errors.push('percentages add up to more than 100');
+  return errors;
+}
+
+/**
+ * Pool paid out for a contest: collected fees minus rake, or the guaranteed
+ * pool when that is larger. Fixed structures pay their amounts regardless.
+ */
+function computePrizePool(contest, entryCount) {
+  const ps = contest.prizeStructure || {};
+  const collected = Number(contest.entryFee || 0) * Number(entryCount || 0);
+  const afterRake = collected * (1 - Number(ps.rakePercent || 0) / 100);
+  return round2(Math.max(afterRake, Number(ps.guaranteedPool || 0)));
+}
+
+// Prize for each finishing position 1..n (0 outside every band)
+function prizesByPosition(ps, pool, n) {
+  const out = new Array(n).fill(0);
+  (ps.bands || []).forEach((b) => {
+    const from = Number(b.fromRank);
+    const to = Number(b.toRank != null ? b.toRank : b.fromRank);
+    for (let pos = from; pos <= Math.min(to, n); pos++) {
+      out[pos - 1] = ps.type === 'fixed' ? Number(b.amount || 0) : (pool * Number(b.percent || 0)) / 100;
+    }
+  });
+  return out;
+}
+
+/**
+ * Attach `amount` to each ranked row. Rows sharing a rank split the sum of
+ * the prizes for the positions they cover.
+ * @param {Array} rows  standings sorted + ranked ('standard' mode)
+ */
+function distribute(rows, ps, pool) {
+  const prizes = prizesByPosition(ps, pool, rows.length);
+  let i = 0;
+  while (i < rows.length) {
+    let j = i;
+    while (j + 1 < rows.length && rows[j + 1].points === rows[i].points) j++;
+    let sum = 0;
+    for (let k = i; k <= j; k++) sum += prizes[k];
+    const share = round2(sum / (j - i + 1));
+    for (let k = i; k <= j; k++) rows[k].amount = share;
+    i = j + 1;
+  }
+  return rows;
+}
+
+function hashDistribution(contestId, rows) {
+  const h = crypto.createHash('sha256');
+  h.update(String(contestId));
+  rows.forEach((r) => h.update(`|${r.entryId}:${r.rank}:${r.points}:${r.amount}`));
+  return h.digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute (but do not persist) the payout for a contest.
+ * @returns {Promise<{ pool: number, totalPaid: number, entries: Array, previewHash: string }>}
+ */
+async function previewContestPayout(contest) {
+  const rows = await leaderboard.buildContestStandings(contest, { mode: 'standard' });
+  const ps = contest.prizeStructure || { type: 'fixed', bands: [] };
+  // banned teams drop out of the standings, but the fees they paid stay in
+  // the pool (entries of deleted teams are refunded and gone)
+  const paidEntries = await TeamEntry.countDocuments({ contestId: contest._id });
+  const pool = computePrizePool(contest, paidEntries);
+  distribute(rows, ps, pool);
+  const totalPaid = round2(rows.reduce((s, r) => s + (r.amount || 0), 0));
+  return { pool, totalPaid, entries: rows, previewHash: hashDistribution(contest._id, rows) };
+}
+
+module.exports = {
+  PRIZE_TYPES,
+  checkPrizeStructure,
+  computePrizePool,
+  prizesByPosition,
+  distribute,
+  previewContestPayout
+};
@@ -0,0 +1,144 @@
+// services/permissions.js
+// Admin roles and what they may do. Routes ask for a permission, never a
+// role, so roles can be reshaped here without touching server.js. Also
+// issues and checks per-user admin API keys.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const AdminApiKey = require('../models/AdminApiKey');
+const { codedError } = require('./errors');
+
+const PERMISSIONS = {
+  stats: 'Enter and publish match stats, ball-by-ball, live scoring and OCR',
+  roster: 'Edit match rosters, team rules and the player registry',
+  contests: 'Create contests, change their status, prizes and scoring',
+  payouts: 'Confirm contest payouts',
+  matches: 'Create, lock, complete, archive and delete matches',
+  teams: "Edit, delete and enter other users' teams",
+  wallet: 'Grant wallet credit',
+  audit: 'Read the audit log',
+  abuse: 'Review abuse flags and ban or unban users and teams',
+  users: "Assign admin roles and manage other users' API keys"
+};
+
+const ROLES = {
+  scorer: ['stats'],
+  'roster-manager': ['roster'],
+  'contest-manager': ['contests', 'payouts'],
+  moderator: ['teams', 'audit', 'abuse'],
+  'super-admin': ['*']
+};
+
+const API_KEY_PREFIX = 'ccf_';
+
+// Effective roles; the legacy User.role 'admin' is a super-admin
+function rolesOf(user) {
+  if (!user) return [];
+  const roles = (user.roles || []).filter((r) => ROLES[r]);
+  if (user.role === 'admin' && !roles.includes('super-admin')) roles.push('super-admin');
+  return roles;
+}
+
+function permissionsFor(roles) {
+  const out = new Set();
+  (roles || []).forEach((r) => (ROLES[r] || []).forEach((p) => out.add(p)));
+  return out.has('*') ? ['*'] : Array.from(out);
+}
+
+function can(permissions, permission) {
+  if (!permissions || !permissions.length) return false;
+  if (permissions.includes('*')) return true;
+  return !permission || permissions.includes(permission);
+}
+
+// Returns an error string for unknown roles, or null
+function checkRoles(roles) {
+  if (!Array.isArray(roles)) return 'roles must be an array';
+  const unknown = roles.filter((r) => !ROLES[r]);
+  return unknown.length ? `Unknown role(s): ${unknown.join(', ')}` : null;
+}
+
+async function loadUser(userId) {
+  if (!userId) return null;
+  return User.findById(userId).select('displayName email role roles banned').lean();
+}
+
+function hashKey(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+/**
+ * Issue a key for a user. The raw key is only ever returned here.
+ * `roles` narrows the key below the user's own roles (empty = all of them).
+ * @returns {Promise<{ key: string, apiKey: object }>}
+ */
+async function createApiKey(user, { name, roles = [], expiresInDays, createdBy }) {
+  const own = rolesOf(user);
+  if (!own.length) throw codedError('NO_ROLES', 'User has no admin roles to delegate');
+  const roleError = checkRoles(roles);
+  if (roleError) throw codedError('INVALID_ROLES', roleError);
+  const beyond = roles.filter((r) => !own.includes(r) && !own.includes('super-admin'));
+  if (beyond.length) throw codedError('INVALID_ROLES', `User does not hold: ${beyond.join(', ')}`);
+
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${secret}`;
+  const days = Number(expiresInDays);
+  const apiKey = await AdminApiKey.create({
+    userId: user._id,
+    name: String(name || '').trim() || 'API key',
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    roles,
+    createdBy: createdBy || String(user._id),
+    expiresAt: days > 0 ? new Date(Date.now() + days * 86400000) : null
+  });
+  const out = apiKey.toObject();
+  delete out.keyHash;
+  return { key, apiKey: out };
+}
+
+/**
+ * Resolve a raw key to its user and effective roles. Revoked, expired and
+ * orphaned keys resolve to null.
+ * @returns {Promise<{ apiKey: object, user: object, roles: string[] }|null>}
+ */
+async function findApiKey(raw) {
+  if (!raw || !String(raw).startsWith(API_KEY_PREFIX)) return null;
+  const apiKey = await AdminApiKey.findOne({ keyHash: hashKey(raw), revokedAt: null }).lean();
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+  const user = await loadUser(apiKey.userId);
+  if (!user || user.banned) return null;
+  // a key never outlives the roles of the user it belongs to
+  const own = rolesOf(user);
+  const roles = apiKey.roles && apiKey.roles.length
+    ? apiKey.roles.filter((r) => own.includes(r) || own.includes('super-admin'))
+    : own;
+  // lastUsedAt is informational; at most one write per minute per key
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > 60000) {
+    AdminApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  }
+  return { apiKey, user, roles };
+}
+
+async function revokeApiKey(keyId, { actor }) {
+  const apiKey = await AdminApiKey.findOneAndUpdate(
+    { _id: keyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: actor || '' } },
+    { new: true }
+  ).select('-keyHash').lean();
+  if (!apiKey) throw codedError('NOT_FOUND', 'API key not found or already revoked');
+  return apiKey;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  rolesOf,
+  permissionsFor,
+  can,
+  checkRoles,
+  loadUser,
+  createApiKey,
+  findApiKey,
+  revokeApiKey
+};
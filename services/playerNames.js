@@ -0,0 +1,121 @@
+// services/playerNames.js
+// Shared player-name helpers so every join between rosters, teams and stats
+// uses the same key.
+
+// Safe player name resolver: accepts a plain name or a roster/stat object
+function getPlayerName(p) {
+  if (!p) return '';
+  if (typeof p === 'string') return p.trim();
+  if (typeof p === 'object') {
+    if (p.playerName) return String(p.playerName).trim();
+    if (p.name) return String(p.name).trim();
+  }
+  return '';
+}
+
+function normalizePlayerKey(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Looser key for fuzzy comparison: drops role markers like (c) / (wk) / †,
+// punctuation and case.
+// Spelling variants scorecards use interchangeably for the same name
+const NAME_VARIANTS = {
+  md: 'mohammad',
+  mohd: 'mohammad',
+  mohammed: 'mohammad',
+  muhammad: 'mohammad',
+  muhammed: 'mohammad',
+  mohamed: 'mohammad',
+  mohamad: 'mohammad'
+};
+
+function looseKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\((c|wk|vc|c\s*&\s*wk)\)/g, ' ')
+    .replace(/[†*.'’,-]/g, ' ')
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((t) => NAME_VARIANTS[t] || t)
+    .join(' ');
+}
+
+function editDistance(a, b) {
+  const prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function ratio(a, b) {
+  if (!a && !b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Similarity 0..1 between two player names. Handles surname-only and
+ * initial-plus-surname forms ("Rickelton", "Q de Kock") against full names.
+ */
+function nameSimilarity(a, b) {
+  const x = looseKey(a);
+  const y = looseKey(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  let best = ratio(x, y);
+
+  const xt = x.split(' ');
+  const yt = y.split(' ');
+  const [short, long] = xt.length <= yt.length ? [xt, yt] : [yt, xt];
+  // every token of the shorter name must line up with a token of the longer
+  // one, in order; single letters only need to match an initial
+  let pos = 0;
+  let sum = 0;
+  let words = 0;
+  for (const t of short) {
+    let hit = -1;
+    let hitScore = 0;
+    for (let k = pos; k < long.length; k++) {
+      const score = t.length === 1 ? (long[k][0] === t ? 1 : 0) : ratio(t, long[k]);
+      if (score >= 0.75) { hit = k; hitScore = score; break; }
+    }
+    if (hit === -1) { sum = -1; break; }
+    pos = hit + 1;
+    if (t.length > 1) { sum += hitScore; words += 1; }
+  }
+  if (sum >= 0 && words > 0) {
+    const surnameHit = short[short.length - 1].length > 1 && ratio(short[short.length - 1], long[long.length - 1]) >= 0.75;
+    // partial names are good evidence but never as good as the full name
+    best = Math.max(best, (sum / words) * (surnameHit ? 0.95 : 0.85));
+  }
+  return Math.round(best * 1000) / 1000;
+}
+
+/**
+ * Best roster match for a free-text name.
+ * @returns {{ player: object|null, score: number, ambiguous: boolean }}
+ */
+function matchRosterName(raw, roster, { minScore = 0.6 } = {}) {
+  const scored = (roster || [])
+    .map((p) => ({ player: p, score: nameSimilarity(raw, getPlayerName(p)) }))
+    .sort((a, b) => b.score - a.score);
+  const top = scored[0];
+  if (!top || top.score < minScore) return { player: null, score: top ? top.score : 0, ambiguous: false };
+  const ambiguous = scored.length > 1 && top.score - scored[1].score < 0.05;
+  return { player: top.player, score: top.score, ambiguous };
+}
+
+module.exports = { getPlayerName, normalizePlayerKey, looseKey, nameSimilarity, matchRosterName };
@@ -0,0 +1,295 @@
+// services/playerRegistry.js
+// Canonical player registry: resolves free-text names (roster imports,
+// scorecards, team picks) to Player docs by exact key, alias, then fuzzy
+// match. Anything not resolved with confidence goes to the review queue
+// (UnmatchedPlayerName) rather than being dropped.
+
+const Player = require('../models/Player');
+const UnmatchedPlayerName = require('../models/UnmatchedPlayerName');
+const LeagueTeam = require('../models/LeagueTeam');
+const Match = require('../models/Match');
+const { getPlayerName, normalizePlayerKey, nameSimilarity } = require('./playerNames');
+const { rosterOf } = require('./matchLock');
+const { codedError } = require('./errors');
+
+const AUTO_ACCEPT_SCORE = 0.9; // fuzzy matches at or above this resolve on their own
+const SUGGEST_SCORE = 0.6;     // ... and these are offered to the reviewer
+const CACHE_MS = 60 * 1000;
+
+let cache = null;
+let cacheAt = 0;
+
+function invalidateCache() {
+  cache = null;
+}
+
+async function loadRegistry() {
+  if (cache && Date.now() - cacheAt < CACHE_MS) return cache;
+  cache = await Player.find().select('name key aliases aliasKeys role realTeam').lean();
+  cacheAt = Date.now();
+  return cache;
+}
+
+/**
+ * Resolve one name against a loaded registry.
+ * @returns {{ player: object|null, score: number, via: string, suggestions: Array }}
+ */
+function resolveAgainst(raw, players, { realTeam = '' } = {}) {
+  const key = normalizePlayerKey(raw);
+  if (!key) return { player: null, score: 0, via: 'none', suggestions: [] };
+  const exact = players.find((p) => p.key === key);
+  if (exact) return { player: exact, score: 1, via: 'exact', suggestions: [] };
+  const alias = players.find((p) => (p.aliasKeys || []).includes(key));
+  if (alias) return { player: alias, score: 1, via: 'alias', suggestions: [] };
+
+  const scored = players
+    .map((p) => ({
+      player: p,
+      score: Math.max(nameSimilarity(raw, p.name), ...(p.aliases || []).map((a) => nameSimilarity(raw, a)))
+    }))
+    .filter((s) => s.score >= SUGGEST_SCORE)
+    .sort((a, b) => b.score - a.score);
+  const suggestions = scored.slice(0, 3).map((s) => ({ playerId: s.player._id, name: s.player.name, score: s.score }));
+  const top = scored[0];
+  if (!top) return { player: null, score: 0, via: 'none', suggestions };
+  const clear = !scored[1] || top.score - scored[1].score >= 0.05;
+  // a surname shared across real teams is not enough on its own
+  const teamOk = !realTeam || !top.player.realTeam || top.player.realTeam === realTeam;
+  if (top.score >= AUTO_ACCEPT_SCORE && clear && teamOk) return { player: top.player, score: top.score, via: 'fuzzy', suggestions };
+  return { player: null, score: top.score, via: 'none', suggestions };
+}
+
+async function queueUnmatched(rawName, context, { matchId = null, suggestions = [] } = {}) {
+  const key = normalizePlayerKey(rawName);
+  if (!key) return;
+  const now = new Date();
+  try {
+    await UnmatchedPlayerName.updateOne(
+      { key, context, matchId },
+      {
+        $setOnInsert: { rawName: String(rawName).trim(), status: 'pending', firstSeenAt: now },
+        $set: { lastSeenAt: now, suggestions },
+        $inc: { occurrences: 1 }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // two upserts racing on the unique key; the other one recorded it
+    if (!(err && err.code === 11000)) throw err;
+  }
+}
+
+async function createPlayer({ name, aliases = [], role = '', realTeam = '', source = 'admin' }) {
+  const clean = String(name || '').trim();
+  const key = normalizePlayerKey(clean);
+  if (!key) throw codedError('INVALID_NAME', 'name required');
+  const taken = await Player.findOne({ $or: [{ key }, { aliasKeys: key }] }).lean();
+  if (taken) throw codedError('NAME_TAKEN', `${clean} is already registered as ${taken.name}`);
+  const aliasList = aliases.map((a) => String(a).trim()).filter((a) => a && normalizePlayerKey(a) !== key);
+  const player = await Player.create({
+    name: clean,
+    key,
+    aliases: aliasList,
+    aliasKeys: aliasList.map(normalizePlayerKey),
+    role,
+    realTeam,
+    sources: source ? [source] : []
+  });
+  invalidateCache();
+  return player.toObject();
+}
+
+async function addAlias(playerId, alias) {
+  const clean = String(alias || '').trim();
+  const key = normalizePlayerKey(clean);
+  if (!key) throw codedError('INVALID_NAME', 'alias required');
+  const owner = await Player.findOne({ $or: [{ key }, { aliasKeys: key }] }).select('_id name').lean();
+  if (owner && String(owner._id) !== String(playerId)) throw codedError('ALIAS_TAKEN', `${clean} already belongs to ${owner.name}`);
+  const player = await Player.findByIdAndUpdate(
+    playerId,
+    { $addToSet: { aliases: clean, aliasKeys: key }, $set: { updatedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!player) throw codedError('NOT_FOUND', 'Player not found');
+  invalidateCache();
+  return player;
+}
+
+const LEAGUE_ROLE = { BAT: 'BAT', BWL: 'BOWL', ALL: 'AR', WK: 'WK' };
+
+/**
+ * Build/extend the registry from LeagueTeam.players and every match roster.
+ * Exact and confident fuzzy hits become sources/aliases of an existing
+ * player; everything else creates a new one. Safe to run repeatedly.
+ */
+async function seedRegistry() {
+  const candidates = [];
+  (await LeagueTeam.find().select('name shortName players').lean()).forEach((t) => {
+    (t.players || []).forEach((p) => candidates.push({
+      name: p.playerName,
+      role: LEAGUE_ROLE[p.role] || '',
+      realTeam: t.shortName || t.name || '',
+      source: `league:${t._id}`
+    }));
+  });
+  (await Match.find().select('players').lean()).forEach((m) => {
+    (m.players || []).forEach((p) => candidates.push({ name: p.playerName, role: p.role || '', realTeam: p.realTeam || '', source: `match:${m._id}` }));
+  });
+
+  const players = (await Player.find().lean()).slice();
+  const result = { created: 0, aliased: 0, existing: 0 };
+  for (const c of candidates) {
+    if (!normalizePlayerKey(c.name)) continue;
+    const hit = resolveAgainst(c.name, players, { realTeam: c.realTeam });
+    if (hit.player) {
+      const update = { $addToSet: { sources: c.source } };
+      if (hit.via === 'fuzzy') {
+        update.$addToSet.aliases = String(c.name).trim();
+        update.$addToSet.aliasKeys = normalizePlayerKey(c.name);
+        hit.player.aliases = (hit.player.aliases || []).concat(String(c.name).trim());
+        hit.player.aliasKeys = (hit.player.aliasKeys || []).concat(normalizePlayerKey(c.name));
+        result.aliased += 1;
+      } else {
+        result.existing += 1;
+      }
+      if (!hit.player.realTeam && c.realTeam) update.$set = { realTeam: c.realTeam };
+      await Player.updateOne({ _id: hit.player._id }, update);
+      continue;
+    }
+    const created = await Player.create({
+      name: String(c.name).trim(),
+      key: normalizePlayerKey(c.name),
+      role: c.role,
+      realTeam: c.realTeam,
+      sources: [c.source]
+    });
+    players.push(created.toObject());
+    result.created += 1;
+  }
+  invalidateCache();
+  return result;
+}
+
+/**
+ * Resolve roster rows through the registry before they are saved. Confident
+ * matches get `registryId` and the canonical spelling; the rest keep their
+ * name and are queued for review.
+ */
+async function resolveRoster(rows, { matchId = null } = {}) {
+  const players = await loadRegistry();
+  const unmatched = [];
+  const out = [];
+  for (const row of rows) {
+    const hit = resolveAgainst(row.playerName, players, { realTeam: row.realTeam || '' });
+    if (hit.player) {
+      out.push({ ...row, registryId: hit.player._id, playerName: hit.via === 'fuzzy' ? hit.player.name : row.playerName });
+    } else {
+      unmatched.push(row.playerName);
+      await queueUnmatched(row.playerName, 'roster', { matchId, suggestions: hit.suggestions });
+      out.push({ ...row, registryId: null });
+    }
+  }
+  return { players: out, unmatched };
+}
+
+// Roster entry a name refers to: roster spelling, then via the registry
+// (the lock-time roster once the match is locked)
+function rosterLookup(match, players) {
+  const roster = rosterOf(match);
+  const byKey = new Map(roster.map((p) => [normalizePlayerKey(p.playerName), p]));
+  const byRegistryId = new Map(roster.filter((p) => p.registryId).map((p) => [String(p.registryId), p]));
+
+  return (raw) => {
+    const key = normalizePlayerKey(raw);
+    if (!key) return { rosterPlayer: null, suggestions: [] };
+    if (byKey.has(key)) return { rosterPlayer: byKey.get(key), suggestions: [] };
+    const hit = resolveAgainst(raw, players);
+    if (hit.player) {
+      const viaId = byRegistryId.get(String(hit.player._id));
+      if (viaId) return { rosterPlayer: viaId, suggestions: [] };
+      const names = [hit.player.key].concat(hit.player.aliasKeys || []);
+      const viaName = names.map((k) => byKey.get(k)).find(Boolean);
+      if (viaName) return { rosterPlayer: viaName, suggestions: [] };
+    }
+    // not in the registry (yet): fall back to fuzzy against the roster itself
+    const scored = roster
+      .map((p) => ({ p, score: nameSimilarity(raw, p.playerName) }))
+      .sort((a, b) => b.score - a.score);
+    if (scored[0] && scored[0].score >= AUTO_ACCEPT_SCORE && (!scored[1] || scored[0].score - scored[1].score >= 0.05)) {
+      return { rosterPlayer: scored[0].p, suggestions: [] };
+    }
+    return { rosterPlayer: null, suggestions: hit.suggestions };
+  };
+}
+
+/**
+ * Rename stat rows to the roster spelling they refer to so scoring joins
+ * line up. Rows that match nothing are kept as-is and queued.
+ * @returns {Promise<{ stats: Array, renamed: Array<{from: string, to: string}>, unmatched: Array<string> }>}
+ */
+async function alignStats(stats, match) {
+  const lookup = rosterLookup(match, await loadRegistry());
+  const taken = new Set((stats || []).map((s) => normalizePlayerKey(s.playerName)));
+  const renamed = [];
+  const unmatched = [];
+  const out = [];
+  for (const s of stats || []) {
+    const key = normalizePlayerKey(s.playerName);
+    const { rosterPlayer, suggestions } = lookup(s.playerName);
+    if (rosterPlayer) {
+      const rosterKey = normalizePlayerKey(rosterPlayer.playerName);
+      // never let an alias overwrite a row that already uses the roster name
+      if (rosterKey === key || !taken.has(rosterKey)) {
+        if (rosterKey !== key) {
+          renamed.push({ from: s.playerName, to: rosterPlayer.playerName });
+          taken.add(rosterKey);
+        }
+        out.push({ ...s, playerName: rosterPlayer.playerName });
+        continue;
+      }
+    }
+    unmatched.push(s.playerName);
+    await queueUnmatched(s.playerName, 'scorecard', { matchId: match && match._id, suggestions });
+    out.push(s);
+  }
+  return { stats: out, renamed, unmatched };
+}
+
+/**
+ * Map a team submission's names onto roster spellings. Names that resolve
+ * nowhere are left for validateTeam to reject and queued for review.
+ */
+async function resolveTeamPicks(match, { players, captain, vice }) {
+  const lookup = rosterLookup(match, await loadRegistry());
+  const cache = new Map();
+  const resolve = async (p) => {
+    const raw = getPlayerName(p);
+    if (!raw) return raw;
+    if (cache.has(raw)) return cache.get(raw);
+    const { rosterPlayer, suggestions } = lookup(raw);
+    if (!rosterPlayer) await queueUnmatched(raw, 'team', { matchId: match && match._id, suggestions });
+    const name = rosterPlayer ? rosterPlayer.playerName : raw;
+    cache.set(raw, name);
+    return name;
+  };
+  const out = { players: players, captain: await resolve(captain), vice: await resolve(vice) };
+  if (Array.isArray(players)) {
+    out.players = [];
+    for (const p of players) out.players.push(await resolve(p));
+  }
+  return out;
+}
+
+module.exports = {
+  AUTO_ACCEPT_SCORE,
+  loadRegistry,
+  invalidateCache,
+  resolveAgainst,
+  queueUnmatched,
+  createPlayer,
+  addAlias,
+  seedRegistry,
+  resolveRoster,
+  alignStats,
+  resolveTeamPicks
+};
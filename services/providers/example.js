@@ -0,0 +1,89 @@
+// services/providers/example.js
+// HTTP adapter for the examplecricket.com scorecard API. Its payload is
+// innings[] with batting (r, b, fours, sixes, dismissal), bowling (o, m, r, w)
+// and fielding (catches, stumpings, run_outs) rows, each keyed by the API's
+// numeric player id `pid`; fixtures/scorecards/sample.json is a recording.
+
+const axios = require('axios');
+const { sanitizeStat } = require('../scoring');
+const generic = require('./generic');
+
+// roster ids for this API are stored as "<pid>" or, on rosters shared with
+// other providers, "example:<pid>"
+const ID_PREFIX = 'example:';
+
+function isOut(dismissal) {
+  const d = String(dismissal || '');
+  return !!(d && !/not out|did not bat|retired/i.test(d));
+}
+
+function normalize(raw) {
+  const data = (raw && raw.data) || raw || {};
+  const byId = new Map();
+  const entryFor = (row) => {
+    const name = String((row && row.name) || '').trim();
+    if (!name) return null;
+    const key = row.pid != null ? String(row.pid) : name;
+    const entry = byId.get(key) || { ...sanitizeStat({ playerName: name }), playerId: row.pid != null ? String(row.pid) : '' };
+    byId.set(key, entry);
+    return entry;
+  };
+
+  (data.innings || []).forEach((inn) => {
+    (inn.batting || []).forEach((b) => {
+      const e = entryFor(b);
+      if (!e) return;
+      e.runs = Number(b.r || 0);
+      e.balls = Number(b.b || 0);
+      e.fours = Number(b.fours || 0);
+      e.sixes = Number(b.sixes || 0);
+      e.out = isOut(b.dismissal);
+    });
+    (inn.bowling || []).forEach((b) => {
+      const e = entryFor(b);
+      if (!e) return;
+      e.overs = Number(b.o || 0);
+      e.maidens = Number(b.m || 0);
+      e.runsConceded = Number(b.r || 0);
+      e.wickets = Number(b.w || 0);
+    });
+    (inn.fielding || []).forEach((f) => {
+      const e = entryFor(f);
+      if (!e) return;
+      e.catches += Number(f.catches || 0);
+      e.stumpings += Number(f.stumpings || 0);
+      e.runOuts += Number(f.run_outs || 0);
+    });
+  });
+
+  const pom = data.player_of_match;
+  if (pom) {
+    const hit = byId.get(pom.pid != null ? String(pom.pid) : String(pom.name || ''));
+    if (hit) hit.mvp = true;
+  }
+  // scorecards recorded under this provider before it had its own parser
+  return byId.size ? Array.from(byId.values()) : generic.normalize(raw);
+}
+
+// API pid -> roster name via Match.players[].playerId
+function mapPlayerId(row, match) {
+  if (!row || !row.playerId) return null;
+  const ids = [String(row.playerId), ID_PREFIX + row.playerId];
+  const hit = ((match && match.players) || []).find((p) => p.playerId && ids.includes(String(p.playerId)));
+  return hit ? hit.playerName : null;
+}
+
+module.exports = {
+  name: 'example',
+  canFetch: true,
+  async fetchScorecard(match) {
+    const apiKey = process.env.SCORE_API_KEY || '';
+    if (!apiKey) throw new Error('No SCORE_API_KEY configured');
+    const externalId = match.externalId || match._id;
+    const url = `https://api.examplecricket.com/match/${externalId}/scorecard?api_key=${apiKey}`;
+    const r = await axios.get(url, { timeout: 15000 });
+    return r.data;
+  },
+  normalize,
+  mapPlayerId
+};
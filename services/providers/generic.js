@@ -0,0 +1,94 @@
+// services/providers/generic.js
+// Shape-guessing normalizer for hand-uploaded scorecard JSON. It understands
+// innings[].batting/bowling/fielding, top-level batting/players, OCR helper
+// output (parsedBatting) and plain stat arrays. Cannot fetch.
+
+const { sanitizeStat } = require('../scoring');
+
+function nameOf(o) {
+  return String((o && (o.player || o.playerName || o.name)) || '').trim();
+}
+
+function isOut(b) {
+  if (b.out !== undefined) return !!b.out;
+  const d = b.dismissal || b.status || '';
+  return !!(d && !/not out|did not bat|dnb|retired/i.test(d));
+}
+
+function normalize(raw) {
+  const map = new Map();
+  const entryFor = (src) => {
+    const name = nameOf(src);
+    if (!name) return null;
+    const entry = map.get(name) || { ...sanitizeStat({ playerName: name }), playerId: '' };
+    if (src.playerId && !entry.playerId) entry.playerId = String(src.playerId);
+    map.set(name, entry);
+    return entry;
+  };
+  const batting = (b) => {
+    const entry = entryFor(b);
+    if (!entry) return;
+    entry.runs = Number(b.runs || b.r || 0);
+    entry.balls = Number(b.balls || b.b || 0);
+    entry.fours = Number(b.fours || 0);
+    entry.sixes = Number(b.sixes || 0);
+    entry.out = isOut(b);
+  };
+  const bowling = (b) => {
+    const entry = entryFor(b);
+    if (!entry) return;
+    entry.wickets = Number(b.wickets || 0);
+    entry.maidens = Number(b.maidens || 0);
+    entry.overs = Number(b.overs || 0);
+    entry.runsConceded = Number(b.runsConceded || b.runs || 0);
+  };
+  const fielding = (f) => {
+    const entry = entryFor(f);
+    if (!entry) return;
+    entry.catches = Number(f.catches || 0);
+    entry.stumpings = Number(f.stumpings || 0);
+    entry.runOuts = Number(f.runOuts || f.runouts || 0);
+  };
+
+  if (raw && Array.isArray(raw.innings)) {
+    raw.innings.forEach((inn) => {
+      (inn.batting || []).forEach(batting);
+      (inn.bowling || inn.bowlingAgainst || []).forEach(bowling);
+      (inn.fielding || []).forEach(fielding);
+    });
+  }
+  if (raw && Array.isArray(raw.batting)) raw.batting.forEach(batting);
+  if (raw && Array.isArray(raw.bowling)) raw.bowling.forEach(bowling);
+  if (raw && Array.isArray(raw.players)) {
+    raw.players.forEach((p) => {
+      const entry = entryFor(p);
+      if (!entry) return;
+      entry.runs = Number(p.runs || p.r || 0);
+      entry.wickets = Number(p.wickets || 0);
+    });
+  }
+
+  let arr = Array.from(map.values());
+  // already-normalized shapes: OCR helper output, { stats: [...] } or a bare array
+  if (!arr.length && raw && Array.isArray(raw.parsedBatting)) arr = raw.parsedBatting.map((p) => ({ ...p, runs: p.runs || p.r }));
+  if (!arr.length && raw && Array.isArray(raw.stats)) arr = raw.stats.slice();
+  if (!arr.length && Array.isArray(raw)) arr = raw.slice();
+
+  const mvpCandidate = raw && (raw.mvpPlayer || raw.manOfTheMatch || raw.playerOfTheMatch ||
+    (raw.match && raw.match.playerOfMatch) || (raw.topPerformers && raw.topPerformers.manOfTheMatch));
+  if (mvpCandidate) {
+    const key = typeof mvpCandidate === 'string' ? mvpCandidate : (mvpCandidate.name || '');
+    const found = arr.find((a) => nameOf(a) === key);
+    if (found) found.mvp = true;
+  }
+  return arr;
+}
+
+module.exports = {
+  name: 'generic',
+  canFetch: false,
+  async fetchScorecard() {
+    throw new Error('generic provider cannot fetch; upload the scorecard instead');
+  },
+  normalize
+};
@@ -0,0 +1,77 @@
+// services/providers/index.js
+// Scorecard provider registry. An adapter is an object:
+//   name            registry key
+//   canFetch        whether fetchScorecard can pull from a remote/fixture
+//   fetchScorecard(match, opts) -> raw provider payload
+//   normalize(raw, { match })  -> stat-like rows (may carry provider playerId)
+//   mapPlayerId(row, match)    -> roster playerName or null (optional)
+
+const { sanitizeStat } = require('../scoring');
+const { normalizePlayerKey } = require('../playerNames');
+
+const registry = new Map();
+
+function registerProvider(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.normalize !== 'function' || typeof adapter.fetchScorecard !== 'function') {
+    throw new Error('Provider adapter needs name, fetchScorecard and normalize');
+  }
+  registry.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getProvider(name, { fallback = false } = {}) {
+  const adapter = registry.get(name);
+  if (adapter) return adapter;
+  if (fallback) return registry.get('generic');
+  const e = new Error('Unknown provider: ' + name);
+  e._code = 'UNKNOWN_PROVIDER';
+  throw e;
+}
+
+function listProviders() {
+  return Array.from(registry.values()).map((a) => ({ name: a.name, canFetch: !!a.canFetch }));
+}
+
+// Provider playerId -> roster name via Match.players[].playerId
+function defaultMapPlayerId(row, match) {
+  if (!row || !row.playerId) return null;
+  const hit = ((match && match.players) || []).find((p) => p.playerId && String(p.playerId) === String(row.playerId));
+  return hit ? hit.playerName : null;
+}
+
+/**
+ * Run an adapter's normalize + player mapping and return Match.stats rows.
+ * Rows that map onto the same roster player are merged (last one wins).
+ */
+function normalizeScorecard(adapter, raw, match) {
+  const rows = adapter.normalize(raw, { match }) || [];
+  if (!Array.isArray(rows)) throw new Error(`${adapter.name} normalize did not return an array`);
+  const mapId = adapter.mapPlayerId || defaultMapPlayerId;
+  const byKey = new Map();
+  rows.forEach((row) => {
+    const mapped = mapId(row, match);
+    const stat = sanitizeStat(mapped ? { ...row, playerName: mapped } : row);
+    if (!stat.playerName) return;
+    byKey.set(normalizePlayerKey(stat.playerName), stat);
+  });
+  return Array.from(byKey.values());
+}
+
+async function fetchScorecard(name, match, opts = {}) {
+  const adapter = getProvider(name);
+  if (!adapter.canFetch) throw new Error(`Provider ${name} cannot fetch scorecards`);
+  const raw = await adapter.fetchScorecard(match, opts);
+  return { raw, stats: normalizeScorecard(adapter, raw, match) };
+}
+
+registerProvider(require('./generic'));
+registerProvider(require('./example'));
+registerProvider(require('./mock'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  normalizeScorecard,
+  fetchScorecard
+};
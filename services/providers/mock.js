@@ -0,0 +1,56 @@
+// services/providers/mock.js
+// Offline adapter serving recorded scorecard JSON, so /fetch-scorecard can
+// be exercised without a network. Lookup in SCORE_FIXTURE_DIR (default
+// fixtures/scorecards, outside public/): opts.fixture, then
+// <externalId>.json, <matchId>.json; then the newest
+// scorecard_raw_<matchId>_*.json saved by /upload-scorecard; then the
+// bundled sample.json.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'fixtures', 'scorecards');
+const UPLOAD_DIR = path.join(__dirname, '..', '..', 'uploads');
+const SAMPLE = 'sample.json';
+
+function fixtureDir() {
+  return process.env.SCORE_FIXTURE_DIR || DEFAULT_DIR;
+}
+
+function findFixture(match, fixture) {
+  const dir = fixtureDir();
+  const candidates = [];
+  if (fixture) candidates.push(path.basename(String(fixture)));
+  if (match.externalId) candidates.push(`${path.basename(String(match.externalId))}.json`);
+  candidates.push(`${match._id}.json`);
+  for (const c of candidates) {
+    const fp = path.join(dir, c);
+    if (fs.existsSync(fp)) return fp;
+  }
+  const prefix = `scorecard_raw_${match._id}_`;
+  const recorded = (fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR) : [])
+    .filter((f) => f.startsWith(prefix) && f.endsWith('.json'))
+    .sort();
+  if (recorded.length) return path.join(UPLOAD_DIR, recorded[recorded.length - 1]);
+  const sample = path.join(dir, SAMPLE);
+  return fs.existsSync(sample) ? sample : null;
+}
+
+module.exports = {
+  name: 'mock',
+  canFetch: true,
+  async fetchScorecard(match, opts = {}) {
+    const fp = findFixture(match, opts.fixture);
+    if (!fp) throw new Error(`No scorecard fixture for match ${match._id} in ${fixtureDir()}`);
+    return JSON.parse(fs.readFileSync(fp, 'utf8'));
+  },
+  // recordings are wrapped as { provider, raw }; the recorded provider
+  // parses them and maps its own player ids
+  normalize(raw, ctx = {}) {
+    const providers = require('./index');
+    if (raw && raw.raw !== undefined && typeof raw.provider === 'string' && raw.provider !== 'mock') {
+      return providers.normalizeScorecard(providers.getProvider(raw.provider, { fallback: true }), raw.raw, ctx.match);
+    }
+    return providers.getProvider('generic').normalize(raw, ctx);
+  }
+};
@@ -0,0 +1,177 @@
+// services/rateLimit/index.js
+// Request throttling and brute-force lockouts over a pluggable counter
+// store. A store is:
+//   name                        registry key
+//   available()                 whether it can be used right now
+//   increment(key, windowMs)    -> { count, resetAt } of the current fixed window
+//   get(key)                    -> { count, resetAt } | null
+//   set(key, count, ttlMs)
+//   reset(key)
+// RATE_LIMIT_STORE picks one (default `memory`); `mongo` shares counters
+// between server instances. While the chosen store is unavailable the
+// memory store stands in, and a failing store never fails the request.
+
+const { clientIp } = require('../audit');
+const { codedError } = require('../errors');
+
+const registry = new Map();
+
+function registerStore(store) {
+  if (!store || !store.name || typeof store.increment !== 'function') {
+    throw new Error('Rate limit store needs name and increment');
+  }
+  registry.set(store.name, store);
+  return store;
+}
+
+function getStore(name) {
+  const store = registry.get(name);
+  if (!store) throw codedError('UNKNOWN_RATE_LIMIT_STORE', 'Unknown rate limit store: ' + name);
+  return store;
+}
+
+function listStores() {
+  return Array.from(registry.values()).map((s) => ({
+    name: s.name,
+    available: typeof s.available === 'function' ? !!s.available() : true
+  }));
+}
+
+function defaultStore() {
+  return process.env.RATE_LIMIT_STORE || 'memory';
+}
+
+function activeStore() {
+  const store = registry.get(defaultStore()) || registry.get('memory');
+  if (typeof store.available === 'function' && !store.available()) return registry.get('memory');
+  return store;
+}
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+}
+
+// The one 429 shape every limiter answers with
+function tooMany(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message || 'Too many requests, please slow down', code: 'RATE_LIMITED', retryAfter });
+}
+
+// [['ip', '1.2.3.4'], ['account', 'someone@example.com']]
+function scopesOf(req, { accountOf } = {}) {
+  const out = [];
+  const ip = clientIp(req);
+  if (ip) out.push(['ip', ip]);
+  const account = accountOf ? accountOf(req) : null;
+  if (account) out.push(['account', String(account).trim().toLowerCase()]);
+  return out;
+}
+
+/**
+ * Count one request against a rule:
+ *   { name, windowMs, perIp, perAccount, accountOf(req) }
+ * A missing or 0 limit leaves that scope unlimited.
+ * @returns {Promise<{ scope: string, id: string, count: number, limit: number, retryAfter: number, firstOver: boolean }|null>}
+ *   null while the request is under every limit
+ */
+async function consume(rule, req) {
+  const store = activeStore();
+  const limits = { ip: rule.perIp, account: rule.perAccount };
+  for (const [scope, id] of scopesOf(req, rule)) {
+    const max = limits[scope];
+    if (!max) continue;
+    const w = await store.increment(`${rule.name}:${scope}:${id}`, rule.windowMs);
+    if (w.count > max) {
+      return { scope, id, count: w.count, limit: max, retryAfter: secondsUntil(w.resetAt), firstOver: w.count === max + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Route guard for a consume() rule. `rule.onLimit(req, over)` runs the
+ * first time a window goes over; `rule.message` is the 429 error text.
+ */
+function limiter(rule) {
+  return async (req, res, next) => {
+    let over;
+    try {
+      over = await consume(rule, req);
+    } catch (err) {
+      console.error('rate limit error:', err && err.message);
+      return next();
+    }
+    if (!over) return next();
+    if (over.firstOver && rule.onLimit) rule.onLimit(req, over);
+    return tooMany(res, over.retryAfter, rule.message);
+  };
+}
+
+/**
+ * Progressive lockout around a credential check:
+ *   { name, freeAttempts, windowMs, baseLockMs, maxLockMs, accountOf(req) }
+ * Once an IP/account has more than `freeAttempts` failures inside
+ * `windowMs`, each further failure locks it for baseLockMs, doubling up to
+ * maxLockMs. Success clears the account's failures; an IP's only age out.
+ * Routes call locked() before checking credentials, then fail() or succeed().
+ */
+function lockout(rule) {
+  const key = (kind, scope, id) => `${rule.name}:${kind}:${scope}:${id}`;
+
+  async function safely(fn) {
+    try {
+      return await fn(activeStore());
+    } catch (err) {
+      console.error('lockout store error:', err && err.message);
+      return null;
+    }
+  }
+
+  return {
+    // { scope, retryAfter } while any scope of the request is locked
+    locked(req) {
+      return safely(async (store) => {
+        for (const [scope, id] of scopesOf(req, rule)) {
+          const lock = await store.get(key('lock', scope, id));
+          if (lock) return { scope, retryAfter: secondsUntil(lock.resetAt) };
+        }
+        return null;
+      });
+    },
+    // records a failure; returns { scope, retryAfter } when it locked something
+    fail(req) {
+      return safely(async (store) => {
+        let longest = null;
+        for (const [scope, id] of scopesOf(req, rule)) {
+          const { count } = await store.increment(key('fail', scope, id), rule.windowMs);
+          if (count <= rule.freeAttempts) continue;
+          const ms = Math.min(rule.baseLockMs * 2 ** (count - rule.freeAttempts - 1), rule.maxLockMs);
+          await store.set(key('lock', scope, id), count, ms);
+          if (!longest || ms > longest.ms) longest = { scope, ms, retryAfter: Math.ceil(ms / 1000) };
+        }
+        return longest;
+      });
+    },
+    succeed(req) {
+      return safely(async (store) => {
+        for (const [scope, id] of scopesOf(req, rule)) {
+          if (scope === 'account') await store.reset(key('fail', scope, id));
+        }
+      });
+    }
+  };
+}
+
+registerStore(require('./memory'));
+registerStore(require('./mongo'));
+
+module.exports = {
+  registerStore,
+  getStore,
+  listStores,
+  defaultStore,
+  tooMany,
+  consume,
+  limiter,
+  lockout
+};
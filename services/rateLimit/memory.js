@@ -0,0 +1,46 @@
+// services/rateLimit/memory.js
+// Default store: counters live in this process, so each server instance
+// limits on its own and everything resets on restart.
+
+const counters = new Map(); // key -> { count, resetAt (ms) }
+
+function live(key) {
+  const c = counters.get(key);
+  if (!c) return null;
+  if (c.resetAt <= Date.now()) {
+    counters.delete(key);
+    return null;
+  }
+  return c;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  counters.forEach((c, key) => { if (c.resetAt <= now) counters.delete(key); });
+}, 60 * 1000).unref();
+
+module.exports = {
+  name: 'memory',
+  available() {
+    return true;
+  },
+  async increment(key, windowMs) {
+    let c = live(key);
+    if (!c) {
+      c = { count: 0, resetAt: Date.now() + windowMs };
+      counters.set(key, c);
+    }
+    c.count += 1;
+    return { count: c.count, resetAt: new Date(c.resetAt) };
+  },
+  async get(key) {
+    const c = live(key);
+    return c ? { count: c.count, resetAt: new Date(c.resetAt) } : null;
+  },
+  async set(key, count, ttlMs) {
+    counters.set(key, { count, resetAt: Date.now() + ttlMs });
+  },
+  async reset(key) {
+    counters.delete(key);
+  }
+};
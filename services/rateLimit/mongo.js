@@ -0,0 +1,53 @@
+// services/rateLimit/mongo.js
+// Shared store: counters in the app's MongoDB so every server instance
+// sees the same counts. Each increment is one atomic update.
+
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+async function bump(key, windowMs) {
+  const now = new Date();
+  const open = { $gt: ['$resetAt', now] }; // false for a missing or lapsed counter
+  return RateLimitCounter.findOneAndUpdate(
+    { _id: key },
+    [{
+      $set: {
+        count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [open, '$resetAt', new Date(now.getTime() + windowMs)] }
+      }
+    }],
+    { upsert: true, new: true }
+  ).lean();
+}
+
+module.exports = {
+  name: 'mongo',
+  available() {
+    return mongoose.connection.readyState === 1;
+  },
+  async increment(key, windowMs) {
+    let doc;
+    try {
+      doc = await bump(key, windowMs);
+    } catch (err) {
+      // two first hits upserted the same key; the second one retries as an update
+      if (!err || err.code !== 11000) throw err;
+      doc = await bump(key, windowMs);
+    }
+    return { count: doc.count, resetAt: doc.resetAt };
+  },
+  async get(key) {
+    const doc = await RateLimitCounter.findOne({ _id: key, resetAt: { $gt: new Date() } }).lean();
+    return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+  },
+  async set(key, count, ttlMs) {
+    await RateLimitCounter.updateOne(
+      { _id: key },
+      { $set: { count, resetAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ _id: key });
+  }
+};
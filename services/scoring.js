@@ -0,0 +1,189 @@
+// services/scoring.js
+// Fantasy points engine. All weights come from a scoring ruleset (see
+// models/ScoringRuleset.js); DEFAULT_RULES reproduces the original
+// hard-coded computePoints weights.
+
+const DEFAULT_RULES = {
+  batting: {
+    run: 1,
+    four: 1,
+    six: 2,
+    duck: 0,
+    // highest reached milestone only, e.g. [{ runs: 30, bonus: 4 }, { runs: 50, bonus: 8 }]
+    milestones: [],
+    // applied when balls >= minBalls; first matching band wins (min inclusive, max exclusive)
+    strikeRate: { minBalls: 10, bands: [] }
+  },
+  bowling: {
+    wicket: 25,
+    maiden: 10,
+    // highest reached milestone only
+    milestones: [{ wickets: 3, bonus: 10 }],
+    // runs per over, applied when overs bowled >= minOvers
+    economy: { minOvers: 2, bands: [] }
+  },
+  fielding: {
+    catch: 8,
+    stumping: 0,
+    runOut: 0
+  },
+  mvp: 15,
+  captainMultiplier: 2,
+  viceMultiplier: 1.5
+};
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return isNaN(n) ? fallback : n;
+}
+
+function mergeRules(base, over) {
+  if (!over || typeof over !== 'object' || Array.isArray(over)) return base;
+  const out = Array.isArray(base) ? base.slice() : Object.assign({}, base);
+  Object.keys(over).forEach((k) => {
+    const b = base ? base[k] : undefined;
+    const o = over[k];
+    if (o === undefined || o === null) return;
+    if (b && typeof b === 'object' && !Array.isArray(b) && typeof o === 'object' && !Array.isArray(o)) {
+      out[k] = mergeRules(b, o);
+    } else {
+      out[k] = o;
+    }
+  });
+  return out;
+}
+
+// Fill any missing weights from the defaults so partial rulesets are valid
+function normalizeRules(rules) {
+  return mergeRules(DEFAULT_RULES, rules || {});
+}
+
+// Sanity-check a ruleset before it is stored. Returns list of error strings.
+function checkRules(rules) {
+  const errors = [];
+  const r = normalizeRules(rules);
+  const bands = (list, label) => {
+    if (!Array.isArray(list)) { errors.push(`${label} must be an array`); return; }
+    list.forEach((b, i) => {
+      if (!b || typeof b !== 'object') { errors.push(`${label}[${i}] must be an object`); return; }
+      if (isNaN(Number(b.points))) errors.push(`${label}[${i}].points must be a number`);
+      if (b.min != null && b.max != null && Number(b.min) >= Number(b.max)) errors.push(`${label}[${i}] min must be below max`);
+    });
+  };
+  ['run', 'four', 'six', 'duck'].forEach((k) => { if (isNaN(Number(r.batting[k]))) errors.push(`batting.${k} must be a number`); });
+  ['wicket', 'maiden'].forEach((k) => { if (isNaN(Number(r.bowling[k]))) errors.push(`bowling.${k} must be a number`); });
+  ['catch', 'stumping', 'runOut'].forEach((k) => { if (isNaN(Number(r.fielding[k]))) errors.push(`fielding.${k} must be a number`); });
+  ['mvp', 'captainMultiplier', 'viceMultiplier'].forEach((k) => { if (isNaN(Number(r[k]))) errors.push(`${k} must be a number`); });
+  if (!Array.isArray(r.batting.milestones)) errors.push('batting.milestones must be an array');
+  if (!Array.isArray(r.bowling.milestones)) errors.push('bowling.milestones must be an array');
+  bands(r.batting.strikeRate.bands, 'batting.strikeRate.bands');
+  bands(r.bowling.economy.bands, 'bowling.economy.bands');
+  return errors;
+}
+
+// Cricket overs notation (3.4 = 3 overs 4 balls) to legal deliveries
+function oversToBalls(overs) {
+  const o = num(overs);
+  const whole = Math.floor(o);
+  const part = Math.round((o - whole) * 10);
+  return whole * 6 + Math.min(part, 5);
+}
+
+function pickBand(bands, value) {
+  if (!Array.isArray(bands)) return null;
+  return bands.find((b) => (b.min == null || value >= Number(b.min)) && (b.max == null || value < Number(b.max))) || null;
+}
+
+function pickMilestone(list, value, field) {
+  if (!Array.isArray(list)) return null;
+  let best = null;
+  list.forEach((m) => {
+    const threshold = num(m[field], Infinity);
+    if (value >= threshold && (!best || threshold > num(best[field]))) best = m;
+  });
+  return best;
+}
+
+// Coerce any stat-like object into the full Match.stats shape
+function sanitizeStat(s = {}) {
+  return {
+    playerName: String(s.playerName || s.name || s.player || '').trim(),
+    runs: num(s.runs),
+    balls: num(s.balls),
+    fours: num(s.fours),
+    sixes: num(s.sixes),
+    out: !!s.out,
+    overs: num(s.overs),
+    runsConceded: num(s.runsConceded),
+    wickets: num(s.wickets),
+    maidens: num(s.maidens),
+    catches: num(s.catches),
+    stumpings: num(s.stumpings),
+    runOuts: num(s.runOuts),
+    mvp: !!s.mvp
+  };
+}
+
+/**
+ * Points per category for a single stat line, before captain/vice multipliers.
+ * @returns {{ categories: Object<string, number>, base: number }}
+ */
+function computeBreakdown(stat = {}, rules) {
+  const r = normalizeRules(rules);
+  const s = sanitizeStat(stat);
+  const c = {};
+  const add = (k, v) => { if (v) c[k] = (c[k] || 0) + v; };
+
+  add('runs', s.runs * num(r.batting.run));
+  add('fours', s.fours * num(r.batting.four));
+  add('sixes', s.sixes * num(r.batting.six));
+  if (s.out && s.runs === 0) add('duck', num(r.batting.duck));
+  const runMilestone = pickMilestone(r.batting.milestones, s.runs, 'runs');
+  if (runMilestone) add('battingMilestone', num(runMilestone.bonus));
+  if (s.balls > 0 && s.balls >= num(r.batting.strikeRate.minBalls)) {
+    const band = pickBand(r.batting.strikeRate.bands, (s.runs / s.balls) * 100);
+    if (band) add('strikeRate', num(band.points));
+  }
+
+  add('wickets', s.wickets * num(r.bowling.wicket));
+  add('maidens', s.maidens * num(r.bowling.maiden));
+  const wicketMilestone = pickMilestone(r.bowling.milestones, s.wickets, 'wickets');
+  if (wicketMilestone) add('bowlingMilestone', num(wicketMilestone.bonus));
+  const ballsBowled = oversToBalls(s.overs);
+  if (ballsBowled > 0 && ballsBowled >= num(r.bowling.economy.minOvers) * 6) {
+    const band = pickBand(r.bowling.economy.bands, s.runsConceded / (ballsBowled / 6));
+    if (band) add('economy', num(band.points));
+  }
+
+  add('catches', s.catches * num(r.fielding.catch));
+  add('stumpings', s.stumpings * num(r.fielding.stumping));
+  add('runOuts', s.runOuts * num(r.fielding.runOut));
+  if (s.mvp) add('mvp', num(r.mvp));
+
+  const base = Object.keys(c).reduce((sum, k) => sum + c[k], 0);
+  return { categories: c, base };
+}
+
+function applyMultiplier(base, isCaptain, isVice, rules) {
+  const r = normalizeRules(rules);
+  let pts = base;
+  if (isCaptain) pts *= num(r.captainMultiplier, 1);
+  if (isVice) pts = Math.round(pts * num(r.viceMultiplier, 1));
+  return Math.round(pts);
+}
+
+function computePoints(stat = {}, isCaptain = false, isVice = false, rules) {
+  const r = normalizeRules(rules);
+  return applyMultiplier(computeBreakdown(stat, r).base, isCaptain, isVice, r);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  normalizeRules,
+  checkRules,
+  sanitizeStat,
+  oversToBalls,
+  computeBreakdown,
+  applyMultiplier,
+  computePoints
+};
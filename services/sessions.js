@@ -0,0 +1,154 @@
+// services/sessions.js
+// Per-device login sessions behind the short-lived access JWTs. Refresh
+// tokens ("<sessionId>.<secret>") rotate on every use; presenting an
+// already-rotated token revokes the whole session.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const { codedError } = require('./errors');
+
+const REFRESH_TOKEN_DAYS = Math.max(Number(process.env.REFRESH_TOKEN_DAYS || 30), 1);
+// two tabs refreshing at once both present the same token; the loser
+// gets REFRESH_RACE instead of having the session revoked
+const ROTATION_GRACE_MS = 15 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function expiryFromNow() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000);
+}
+
+// "Firefox on Windows" from a user agent; good enough to tell devices apart
+function deviceLabel(userAgent) {
+  const ua = String(userAgent || '');
+  const browser = (/Edg\//.test(ua) && 'Edge') || (/OPR\//.test(ua) && 'Opera') || (/Chrome\//.test(ua) && 'Chrome') ||
+    (/Firefox\//.test(ua) && 'Firefox') || (/Safari\//.test(ua) && 'Safari') || '';
+  const os = (/Android/.test(ua) && 'Android') || (/iPhone|iPad/.test(ua) && 'iOS') || (/Windows/.test(ua) && 'Windows') ||
+    (/Mac OS X/.test(ua) && 'macOS') || (/Linux/.test(ua) && 'Linux') || '';
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+/**
+ * Start a session for a fresh login.
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+async function createSession(userId, { userAgent = '', ip = '', device, deviceId = '' } = {}) {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    userId,
+    refreshHash: hashSecret(secret),
+    device: String(device || '').trim().slice(0, 80) || deviceLabel(userAgent),
+    userAgent: String(userAgent).slice(0, 300),
+    ip,
+    deviceId,
+    expiresAt: expiryFromNow()
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+}
+
+/**
+ * Swap a refresh token for a new one. The update is compare-and-set on the
+ * current hash so two refreshes cannot both win.
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+async function rotateRefreshToken(raw, { ip = '' } = {}) {
+  const [sessionId, secret] = String(raw || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) throw codedError('INVALID_REFRESH', 'Invalid refresh token');
+  const session = await AuthSession.findById(sessionId).lean();
+  if (!session || session.revokedAt) throw codedError('INVALID_REFRESH', 'Session has ended');
+  if (session.expiresAt <= new Date()) throw codedError('INVALID_REFRESH', 'Session expired');
+
+  const presented = hashSecret(secret);
+  if (sameHash(presented, session.previousHash)) {
+    if (session.rotatedAt && Date.now() - new Date(session.rotatedAt).getTime() < ROTATION_GRACE_MS) {
+      throw codedError('REFRESH_RACE', 'Refresh token was just rotated');
+    }
+    await revokeSession(session._id, { reason: 'refresh_reuse' });
+    throw codedError('REFRESH_REUSED', 'Refresh token reused; session revoked');
+  }
+  if (!sameHash(presented, session.refreshHash)) throw codedError('INVALID_REFRESH', 'Invalid refresh token');
+
+  const next = newSecret();
+  const now = new Date();
+  const updated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshHash: session.refreshHash, revokedAt: null },
+    { $set: { refreshHash: hashSecret(next), previousHash: session.refreshHash, rotatedAt: now, lastUsedAt: now, expiresAt: expiryFromNow(), ip: ip || session.ip } },
+    { new: true }
+  ).lean();
+  if (!updated) throw codedError('REFRESH_RACE', 'Refresh token was just rotated');
+  return { session: updated, refreshToken: `${updated._id}.${next}` };
+}
+
+// Access tokens are only honoured while their session is live
+async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+  return !!(await AuthSession.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+async function listSessions(userId) {
+  return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+/**
+ * End one session. Pass userId to make sure it belongs to that user.
+ * @returns {Promise<object>} the revoked session
+ */
+async function revokeSession(sessionId, { userId, reason = 'logout' } = {}) {
+  if (!mongoose.isValidObjectId(sessionId)) throw codedError('NOT_FOUND', 'Session not found');
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  const session = await AuthSession.findOneAndUpdate(filter, { $set: { revokedAt: new Date(), revokedReason: reason } }, { new: true })
+    .select('device createdAt revokedAt revokedReason')
+    .lean();
+  if (!session) throw codedError('NOT_FOUND', 'Session not found');
+  return session;
+}
+
+// Logout with just the refresh token (the access token may have lapsed)
+async function revokeByRefreshToken(raw, { reason = 'logout' } = {}) {
+  const [sessionId, secret] = String(raw || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) throw codedError('INVALID_REFRESH', 'Invalid refresh token');
+  const session = await AuthSession.findById(sessionId).select('refreshHash previousHash revokedAt').lean();
+  const presented = hashSecret(secret);
+  if (!session || !(sameHash(presented, session.refreshHash) || sameHash(presented, session.previousHash))) {
+    throw codedError('INVALID_REFRESH', 'Invalid refresh token');
+  }
+  if (session.revokedAt) return session;
+  return revokeSession(sessionId, { reason });
+}
+
+// End every session of a user (logout everywhere, password change)
+async function revokeUserSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await AuthSession.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  deviceLabel,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,260 @@
+// services/statsRevisions.js
+// Draft -> publish workflow for Match.stats. Every upload path stores a
+// draft revision; an admin previews the projected leaderboard, then
+// publishes. Restoring copies an old revision into a new one and publishes
+// that, so history only ever grows.
+
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const Contest = require('../models/Contest');
+const StatsRevision = require('../models/StatsRevision');
+const scoring = require('./scoring');
+const teamScoring = require('./teamScoring');
+const leaderboard = require('./leaderboard');
+const livePolling = require('./livePolling');
+const { codedError } = require('./errors');
+
+/**
+ * Store a draft revision. Numbers are per match; a concurrent insert on
+ * the same number is retried.
+ */
+async function createRevision(matchId, stats, { source = 'manual', createdBy = '', note = '', unmatched = [], restoredFrom = null, status = 'draft', publishedAt = null } = {}, session = null) {
+  const clean = (stats || []).map((s) => scoring.sanitizeStat(s)).filter((s) => s.playerName);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await StatsRevision.findOne({ matchId }).sort({ number: -1 }).select('number').session(session).lean();
+    try {
+      const [rev] = await StatsRevision.create([{
+        matchId,
+        number: last ? last.number + 1 : 1,
+        status,
+        source,
+        stats: clean,
+        note,
+        unmatched,
+        restoredFrom,
+        createdBy,
+        publishedBy: publishedAt ? createdBy : '',
+        publishedAt
+      }], { session });
+      return rev.toObject();
+    } catch (err) {
+      // inside a transaction the write aborted it; let the caller retry
+      if (!(err && err.code === 11000) || session) throw err;
+    }
+  }
+  throw codedError('CONFLICT', 'Could not allocate a revision number, try again');
+}
+
+function sameStats(a, b) {
+  const canon = (list) => JSON.stringify((list || []).map((s) => scoring.sanitizeStat(s)).sort((x, y) => x.playerName.localeCompare(y.playerName)));
+  return canon(a) === canon(b);
+}
+
+// Matches may predate revisions, or carry stats nothing recorded. Before
+// anything replaces such stats, record them as a published revision (inside
+// the caller's transaction) so they can be restored.
+async function snapshotUnrecordedStats(match, actor, session) {
+  if (!(match.stats || []).length) return null;
+  const current = match.statsRevisionId ? await StatsRevision.findById(match.statsRevisionId).select('stats').session(session).lean() : null;
+  if (current && sameStats(current.stats, match.stats)) return null;
+  const now = new Date();
+  const rev = await createRevision(match._id, match.stats, {
+    source: current ? 'live' : 'baseline',
+    createdBy: actor,
+    note: current ? 'Stats changed outside a revision since the last publish' : 'Stats live before revisions were recorded',
+    status: 'published',
+    publishedAt: now
+  }, session);
+  if (current) {
+    await StatsRevision.updateOne({ _id: current._id, status: 'published' }, { $set: { status: 'superseded', supersededAt: now, supersededBy: rev._id } }).session(session);
+  }
+  return rev;
+}
+
+async function assertUnsettled(matchId, session) {
+  if (await Contest.exists({ matchId, payoutStatus: 'settled' }).session(session)) {
+    throw codedError('SETTLED', 'A contest on this match has been paid out; pass force to publish anyway');
+  }
+}
+
+/**
+ * Projected effect of publishing a revision: per-player stat/point changes
+ * and the match leaderboard before vs after.
+ */
+async function previewRevision(revision, { limit = 50 } = {}) {
+  const match = await Match.findById(revision.matchId).select('stats scoringRulesetId').lean();
+  if (!match) throw codedError('NOT_FOUND', 'Match not found');
+  const rules = await teamScoring.resolveScoringRules(match.scoringRulesetId);
+  const scorer = teamScoring.createScorer(revision.stats, rules);
+
+  const teams = await Team.find({ matchId: match._id, banned: { $ne: true } })
+    .select('name viewerName viewerId totalPoints players captain vice lockSnapshot createdAt')
+    .lean();
+  const before = teams.map((t) => ({ entryId: t._id, points: Number(t.totalPoints || 0), createdAt: t.createdAt }));
+  const after = teams.map((t) => ({ entryId: t._id, points: scorer.scoreTeam(t).totalPoints, createdAt: t.createdAt }));
+  [before, after].forEach((rows) => leaderboard.assignRanks(rows.sort(leaderboard.compareRows), 'standard'));
+  const rankBefore = new Map(before.map((r) => [String(r.entryId), r]));
+
+  const rows = after.map((r) => {
+    const t = teams.find((x) => String(x._id) === String(r.entryId));
+    const b = rankBefore.get(String(r.entryId));
+    return {
+      teamId: t._id,
+      teamName: t.name,
+      viewerName: t.viewerName,
+      pointsBefore: b.points,
+      pointsAfter: r.points,
+      delta: r.points - b.points,
+      rankBefore: b.rank,
+      rankAfter: r.rank
+    };
+  });
+
+  const playerChanges = livePolling.diffStats(match.stats, revision.stats, rules).map((c) => ({
+    playerName: c.playerName,
+    changed: c.changed,
+    before: c.before,
+    after: c.after,
+    pointsBefore: c.pointsBefore,
+    pointsAfter: c.pointsAfter,
+    delta: c.delta
+  }));
+
+  return {
+    revision: { _id: revision._id, number: revision.number, status: revision.status, source: revision.source },
+    playerChanges,
+    teamsChanged: rows.filter((r) => r.delta !== 0).length,
+    rankChanges: rows.filter((r) => r.rankBefore !== r.rankAfter).length,
+    leaderboard: rows.slice(0, Math.max(Number(limit) || 50, 1))
+  };
+}
+
+/**
+ * Make a draft live: supersede the current revision and copy the stats
+ * into Match.stats. Caller rescores (it owns socket notifications).
+ * Refuses when a contest on the match has already paid out, unless forced.
+ * @returns {Promise<{ revision: object, previous: object|null, match: object }>}
+ */
+async function publishRevision(revisionId, { actor = '', force = false } = {}) {
+  const session = await mongoose.startSession();
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      const rev = await StatsRevision.findById(revisionId).session(session).lean();
+      if (!rev) throw codedError('NOT_FOUND', 'Revision not found');
+      if (rev.status !== 'draft') throw codedError('INVALID_STATE', `Revision is ${rev.status}, only drafts can be published`);
+      if (!force) await assertUnsettled(rev.matchId, session);
+      const current = await Match.findById(rev.matchId).select('stats statsRevisionId').session(session).lean();
+      if (current) await snapshotUnrecordedStats(current, actor, session);
+
+      const now = new Date();
+      const published = await StatsRevision.findOneAndUpdate(
+        { _id: rev._id, status: 'draft' },
+        { $set: { status: 'published', publishedBy: actor, publishedAt: now } },
+        { new: true, session }
+      ).lean();
+      if (!published) throw codedError('CONFLICT', 'Revision changed concurrently');
+      const previous = await StatsRevision.findOneAndUpdate(
+        { matchId: rev.matchId, status: 'published', _id: { $ne: rev._id } },
+        { $set: { status: 'superseded', supersededAt: now, supersededBy: rev._id } },
+        { new: true, session }
+      ).lean();
+      const match = await Match.findByIdAndUpdate(
+        rev.matchId,
+        { $set: { stats: rev.stats, statsRevisionId: rev._id } },
+        { new: true, session }
+      );
+      if (!match) throw codedError('NOT_FOUND', 'Match not found');
+      result = { revision: published, previous, match };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Live polling and ball-by-ball scoring: the stats they score go live at
+ * once. The first write after a publish opens a `live` revision; later
+ * writes update that same revision (stats, last writer and time, count),
+ * so one scoring session is one entry in the history however many balls
+ * it covers.
+ * @returns {Promise<{ revision: object, match: object }>}
+ */
+async function publishLiveStats(matchId, stats, { actor = '', note = '' } = {}) {
+  const clean = (stats || []).map((s) => scoring.sanitizeStat(s)).filter((s) => s.playerName);
+  const session = await mongoose.startSession();
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      await assertUnsettled(matchId, session);
+      const match = await Match.findById(matchId).select('stats statsRevisionId').session(session).lean();
+      if (!match) throw codedError('NOT_FOUND', 'Match not found');
+      const current = match.statsRevisionId
+        ? await StatsRevision.findById(match.statsRevisionId).select('status source').session(session).lean()
+        : null;
+
+      const now = new Date();
+      let revision;
+      if (current && current.status === 'published' && current.source === 'live') {
+        revision = await StatsRevision.findOneAndUpdate(
+          { _id: current._id, status: 'published' },
+          { $set: { stats: clean, note, publishedBy: actor, publishedAt: now }, $inc: { liveUpdates: 1 } },
+          { new: true, session }
+        ).lean();
+        if (!revision) throw codedError('CONFLICT', 'Revision changed concurrently');
+      } else {
+        await snapshotUnrecordedStats(match, actor, session);
+        revision = await createRevision(matchId, clean, { source: 'live', createdBy: actor, note, status: 'published', publishedAt: now }, session);
+        await StatsRevision.updateMany(
+          { matchId, status: 'published', _id: { $ne: revision._id } },
+          { $set: { status: 'superseded', supersededAt: now, supersededBy: revision._id } }
+        ).session(session);
+      }
+      const updated = await Match.findByIdAndUpdate(
+        matchId,
+        { $set: { stats: clean, statsRevisionId: revision._id } },
+        { new: true, session }
+      );
+      result = { revision, match: updated };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Copy an earlier revision into a fresh draft and publish it
+async function restoreRevision(revisionId, { actor = '', force = false, note = '' } = {}) {
+  const old = await StatsRevision.findById(revisionId).lean();
+  if (!old) throw codedError('NOT_FOUND', 'Revision not found');
+  if (old.status === 'published') throw codedError('INVALID_STATE', 'Revision is already live');
+  const copy = await createRevision(old.matchId, old.stats, {
+    source: 'restore',
+    createdBy: actor,
+    note: note || `Restore of revision ${old.number}`,
+    unmatched: old.unmatched,
+    restoredFrom: old._id
+  });
+  return publishRevision(copy._id, { actor, force });
+}
+
+async function discardRevision(revisionId, { actor = '' } = {}) {
+  const rev = await StatsRevision.findOneAndUpdate(
+    { _id: revisionId, status: 'draft' },
+    { $set: { status: 'discarded', discardedBy: actor, discardedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!rev) throw codedError('INVALID_STATE', 'Only drafts can be discarded');
+  return rev;
+}
+
+module.exports = {
+  createRevision,
+  previewRevision,
+  publishRevision,
+  publishLiveStats,
+  restoreRevision,
+  discardRevision
+};
@@ -0,0 +1,158 @@
+// services/teamRules.js
+// Team-rules engine: validates a submitted XI against the match roster,
+// the credit budget and the role / real-team composition rules. Roster,
+// size and captain checks always apply; the credit cap, role limits and
+// per-real-team cap only once an admin has configured rules for the match,
+// since older rosters carry no roles or credits (everyone defaults to BAT).
+
+const { getPlayerName, normalizePlayerKey } = require('./playerNames');
+const { rosterOf } = require('./matchLock');
+
+const ROLES = ['WK', 'BAT', 'AR', 'BOWL'];
+
+const DEFAULT_TEAM_RULES = {
+  teamSize: 11,
+  maxTeamsPerUser: 1,
+  creditCap: 100,
+  maxPerRealTeam: 7,
+  roleLimits: {
+    WK: { min: 1, max: 4 },
+    BAT: { min: 3, max: 6 },
+    AR: { min: 1, max: 4 },
+    BOWL: { min: 3, max: 6 }
+  }
+};
+
+function numOr(v, fallback) {
+  return (v === null || v === undefined || v === '' || isNaN(Number(v))) ? fallback : Number(v);
+}
+
+// Merge stored per-match rules over the defaults (missing fields fall back)
+function resolveTeamRules(stored) {
+  const s = stored || {};
+  const limits = s.roleLimits || {};
+  const roleLimits = {};
+  ROLES.forEach((r) => {
+    const d = DEFAULT_TEAM_RULES.roleLimits[r];
+    const l = limits[r] || {};
+    roleLimits[r] = { min: numOr(l.min, d.min), max: numOr(l.max, d.max) };
+  });
+  return {
+    teamSize: numOr(s.teamSize, DEFAULT_TEAM_RULES.teamSize),
+    maxTeamsPerUser: numOr(s.maxTeamsPerUser, DEFAULT_TEAM_RULES.maxTeamsPerUser),
+    creditCap: numOr(s.creditCap, DEFAULT_TEAM_RULES.creditCap),
+    maxPerRealTeam: numOr(s.maxPerRealTeam, DEFAULT_TEAM_RULES.maxPerRealTeam),
+    roleLimits
+  };
+}
+
+// Sanity-check an admin-supplied rules object. Returns list of error strings.
+function checkRulesConfig(rules) {
+  const errors = [];
+  if (rules.teamSize < 1) errors.push('teamSize must be at least 1');
+  if (!Number.isInteger(rules.maxTeamsPerUser) || rules.maxTeamsPerUser < 1) errors.push('maxTeamsPerUser must be a whole number of at least 1');
+  if (rules.creditCap < 0) errors.push('creditCap cannot be negative');
+  if (rules.maxPerRealTeam < 1) errors.push('maxPerRealTeam must be at least 1');
+  let minSum = 0;
+  let maxSum = 0;
+  ROLES.forEach((r) => {
+    const { min, max } = rules.roleLimits[r];
+    if (min < 0 || max < 0) errors.push(`${r} limits cannot be negative`);
+    if (min > max) errors.push(`${r} min cannot exceed max`);
+    minSum += min;
+    maxSum += max;
+  });
+  if (minSum > rules.teamSize) errors.push('Sum of role minimums exceeds teamSize');
+  if (maxSum < rules.teamSize) errors.push('Sum of role maximums is below teamSize');
+  return errors;
+}
+
+// Whether the match has admin-configured rules, i.e. composition is enforced
+function hasCompositionRules(match) {
+  return !!(match && match.teamRules);
+}
+
+/**
+ * Validate a team submission against a match.
+ * @param {object} match  Match doc (players + optional teamRules)
+ * @param {object} team   { players, captain, vice }
+ * @returns {{ ok: boolean, errors: Array<{code: string, message: string}>, summary: object }}
+ */
+function validateTeam(match, { players, captain, vice } = {}) {
+  const rules = resolveTeamRules(match && match.teamRules);
+  const composition = hasCompositionRules(match);
+  const errors = [];
+  const push = (code, message) => errors.push({ code, message });
+
+  const names = Array.isArray(players) ? players.map(getPlayerName) : [];
+  if (!Array.isArray(players)) push('PLAYERS_REQUIRED', 'players must be an array');
+  if (names.length !== rules.teamSize) push('TEAM_SIZE', `Team must have ${rules.teamSize} players (got ${names.length})`);
+
+  const roster = new Map();
+  rosterOf(match).forEach((p) => {
+    const k = normalizePlayerKey(p.playerName);
+    if (k) roster.set(k, p);
+  });
+
+  const seen = new Set();
+  const picked = [];
+  names.forEach((n) => {
+    const k = normalizePlayerKey(n);
+    if (!k) { push('EMPTY_PLAYER', 'Empty player name in team'); return; }
+    if (seen.has(k)) { push('DUPLICATE_PLAYER', `${n} is selected more than once`); return; }
+    seen.add(k);
+    const rp = roster.get(k);
+    if (!rp) { push('NOT_IN_ROSTER', `${n} is not in the match roster`); return; }
+    if (rp.status && rp.status !== 'active') push('PLAYER_INACTIVE', `${rp.playerName} is ${rp.status}`);
+    picked.push(rp);
+  });
+
+  const credits = picked.reduce((sum, p) => sum + Number(p.credits || 0), 0);
+  if (composition && credits > rules.creditCap) push('CREDIT_CAP', `Team uses ${credits} credits, cap is ${rules.creditCap}`);
+
+  const roleCounts = { WK: 0, BAT: 0, AR: 0, BOWL: 0 };
+  picked.forEach((p) => { roleCounts[ROLES.includes(p.role) ? p.role : 'BAT'] += 1; });
+  // only meaningful once every pick resolved to a roster player
+  if (composition && picked.length === names.length && names.length === rules.teamSize) {
+    ROLES.forEach((r) => {
+      const { min, max } = rules.roleLimits[r];
+      if (roleCounts[r] < min) push('ROLE_MIN', `At least ${min} ${r} required (got ${roleCounts[r]})`);
+      if (roleCounts[r] > max) push('ROLE_MAX', `At most ${max} ${r} allowed (got ${roleCounts[r]})`);
+    });
+  }
+
+  const perRealTeam = {};
+  picked.forEach((p) => {
+    const t = p.realTeam || '';
+    if (!t) return;
+    perRealTeam[t] = (perRealTeam[t] || 0) + 1;
+  });
+  Object.keys(perRealTeam).forEach((t) => {
+    if (composition && perRealTeam[t] > rules.maxPerRealTeam) {
+      push('MAX_PER_REAL_TEAM', `At most ${rules.maxPerRealTeam} players from ${t} allowed (got ${perRealTeam[t]})`);
+    }
+  });
+
+  const capKey = normalizePlayerKey(getPlayerName(captain));
+  const viceKey = normalizePlayerKey(getPlayerName(vice));
+  if (!capKey) push('CAPTAIN_REQUIRED', 'Captain is required');
+  else if (!seen.has(capKey)) push('CAPTAIN_NOT_IN_TEAM', 'Captain must be one of the selected players');
+  if (!viceKey) push('VICE_REQUIRED', 'Vice-captain is required');
+  else if (!seen.has(viceKey)) push('VICE_NOT_IN_TEAM', 'Vice-captain must be one of the selected players');
+  if (capKey && viceKey && capKey === viceKey) push('CAPTAIN_EQUALS_VICE', 'Captain and vice-captain must be different players');
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    summary: { credits, roleCounts, perRealTeam, rules, composition }
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_TEAM_RULES,
+  resolveTeamRules,
+  hasCompositionRules,
+  checkRulesConfig,
+  validateTeam
+};
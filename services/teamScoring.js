@@ -0,0 +1,167 @@
+// services/teamScoring.js
+// The one place team points are computed. Every stats path (admin stats,
+// provider fetch, scorecard upload) calls recomputeMatchTeams; leaderboards
+// read the stored totals (Team.totalPoints, TeamEntry.points).
+
+const Contest = require('../models/Contest');
+const Team = require('../models/Team');
+const TeamEntry = require('../models/TeamEntry');
+const ScoringRuleset = require('../models/ScoringRuleset');
+const scoring = require('./scoring');
+const { getPlayerName, normalizePlayerKey } = require('./playerNames');
+const { scoringSource } = require('./matchLock');
+
+const BULK_BATCH_SIZE = 500;
+
+// Ruleset weights for a match/contest: the attached ruleset, else the
+// ruleset flagged isDefault, else the built-in defaults.
+async function resolveScoringRules(rulesetId) {
+  let doc = null;
+  if (rulesetId) doc = await ScoringRuleset.findById(rulesetId).lean();
+  if (!doc) doc = await ScoringRuleset.findOne({ isDefault: true }).sort({ createdAt: -1 }).lean();
+  return scoring.normalizeRules(doc ? doc.rules : null);
+}
+
+function buildStatMap(stats) {
+  const map = new Map();
+  (stats || []).forEach((s) => {
+    const key = normalizePlayerKey(s && s.playerName);
+    if (key) map.set(key, s);
+  });
+  return map;
+}
+
+/**
+ * Build a scorer bound to one stat set + ruleset. Per-player category
+ * points are cached, so scoring N teams costs one breakdown per player.
+ */
+function createScorer(stats, rules) {
+  const r = scoring.normalizeRules(rules);
+  const statMap = buildStatMap(stats);
+  const cache = new Map();
+
+  function playerBase(key) {
+    if (!cache.has(key)) cache.set(key, scoring.computeBreakdown(statMap.get(key) || {}, r));
+    return cache.get(key);
+  }
+
+  // accepts a Team or TeamEntry; a lock snapshot wins over live fields
+  function scoreTeam(doc) {
+    const team = scoringSource(doc);
+    const capKey = normalizePlayerKey(team.captain);
+    const viceKey = normalizePlayerKey(team.vice);
+    let totalPoints = 0;
+    const breakdown = (team.players || []).map((p) => {
+      const playerName = getPlayerName(p);
+      const key = normalizePlayerKey(playerName);
+      const { categories, base } = playerBase(key);
+      const isCaptain = key === capKey;
+      const isVice = !isCaptain && key === viceKey;
+      const points = scoring.applyMultiplier(base, isCaptain, isVice, r);
+      totalPoints += points;
+      return {
+        playerName,
+        role: isCaptain ? 'C' : (isVice ? 'VC' : ''),
+        multiplier: isCaptain ? r.captainMultiplier : (isVice ? r.viceMultiplier : 1),
+        categories,
+        basePoints: base,
+        points
+      };
+    });
+    return { totalPoints, breakdown };
+  }
+
+  return { rules: r, statMap, scoreTeam };
+}
+
+// Batched bulkWrite helper; returns { push, flush, count }
+function bulkWriter(Model) {
+  let ops = [];
+  let written = 0;
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.bulkWrite(ops, { ordered: false });
+    written += ops.length;
+    ops = [];
+  };
+  const push = async (op) => {
+    ops.push(op);
+    if (ops.length >= BULK_BATCH_SIZE) await flush();
+  };
+  return { push, flush, count: () => written };
+}
+
+/**
+ * Rescore every team of a match from match.stats and persist totals plus
+ * the per-player breakdown with batched bulk writes, then copy the points
+ * onto the match's contest entries.
+ * @param {object} match  Match doc (needs _id, stats, scoringRulesetId)
+ * @param {object} [opts] { rules } to skip ruleset lookup
+ */
+async function recomputeMatchTeams(match, opts = {}) {
+  const rules = opts.rules || await resolveScoringRules(match.scoringRulesetId);
+  const scorer = createScorer(match.stats, rules);
+  const now = new Date();
+  const writer = bulkWriter(Team);
+  const teamPoints = new Map();
+
+  const cursor = Team.find({ matchId: match._id }).select('players captain vice lockSnapshot').lean().cursor();
+  for await (const t of cursor) {
+    const { totalPoints, breakdown } = scorer.scoreTeam(t);
+    teamPoints.set(String(t._id), totalPoints);
+    await writer.push({
+      updateOne: {
+        filter: { _id: t._id },
+        update: { $set: { totalPoints, pointsBreakdown: breakdown, pointsUpdatedAt: now } }
+      }
+    });
+  }
+  await writer.flush();
+
+  const { entriesUpdated } = await recomputeMatchEntries(match, { teamPoints });
+  return { teamsUpdated: writer.count(), entriesUpdated };
+}
+
+/**
+ * Store TeamEntry.points for every entry of a match so contest leaderboards
+ * can sort and page in the database. Entries of contests with their own
+ * scoring ruleset are scored from their snapshot with it; the rest carry
+ * their team's match-ruleset total.
+ * @param {object} match  Match doc (needs _id, stats)
+ * @param {object} [opts] { teamPoints } Map of teamId -> totalPoints; read from Team when omitted
+ */
+async function recomputeMatchEntries(match, opts = {}) {
+  let teamPoints = opts.teamPoints;
+  if (!teamPoints) {
+    const teams = await Team.find({ matchId: match._id }).select('totalPoints').lean();
+    teamPoints = new Map(teams.map((t) => [String(t._id), Number(t.totalPoints || 0)]));
+  }
+
+  const contests = await Contest.find({ matchId: match._id, scoringRulesetId: { $ne: null } }).select('scoringRulesetId').lean();
+  const scorerByContest = new Map();
+  const scorerByRuleset = new Map();
+  for (const c of contests) {
+    const key = String(c.scoringRulesetId);
+    if (!scorerByRuleset.has(key)) scorerByRuleset.set(key, createScorer(match.stats, await resolveScoringRules(c.scoringRulesetId)));
+    scorerByContest.set(String(c._id), scorerByRuleset.get(key));
+  }
+
+  const writer = bulkWriter(TeamEntry);
+  const cursor = TeamEntry.find({ matchId: match._id }).select('contestId teamId players captain vice lockSnapshot').lean().cursor();
+  for await (const e of cursor) {
+    const scorer = scorerByContest.get(String(e.contestId));
+    const points = scorer ? scorer.scoreTeam(e).totalPoints : (teamPoints.get(String(e.teamId)) || 0);
+    await writer.push({ updateOne: { filter: { _id: e._id }, update: { $set: { points } } } });
+  }
+  await writer.flush();
+
+  return { entriesUpdated: writer.count() };
+}
+
+module.exports = {
+  resolveScoringRules,
+  buildStatMap,
+  createScorer,
+  recomputeMatchTeams,
+  recomputeMatchEntries
+};
@@ -0,0 +1,262 @@
+// services/uploads.js
+// Every user upload goes through here. Files are held in memory up to a
+// per-kind size cap; the type is sniffed from the leading bytes, never taken
+// from the client's filename or mimetype. Images are decoded within a pixel
+// budget and re-encoded (which drops metadata and anything smuggled after
+// the image data), so only files we wrote ever land in public/.
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { codedError } = require('./errors');
+
+const ROOT = path.join(__dirname, '..');
+const DIRS = {
+  upload: path.join(ROOT, 'uploads'),
+  avatar: path.join(ROOT, 'public', 'assets', 'avatars'),
+  teamLogo: path.join(ROOT, 'public', 'assets', 'team-logos'),
+  scoreScreenshot: path.join(ROOT, 'uploads', 'score-screens')
+};
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp'];
+
+// Per kind: what may be uploaded and how it is stored. maxPixels is checked
+// before decoding so a small file cannot expand into a huge bitmap.
+const PROFILES = {
+  avatar: { dir: DIRS.avatar, urlPrefix: '/assets/avatars', accept: IMAGE_TYPES, maxBytes: 2 * MB, maxPixels: 24e6, maxSide: 512, thumbSide: 128, format: 'webp' },
+  teamLogo: { dir: DIRS.teamLogo, urlPrefix: '/assets/team-logos', accept: IMAGE_TYPES, maxBytes: 2 * MB, maxPixels: 24e6, maxSide: 512, thumbSide: 96, format: 'webp' },
+  // kept lossless and full size for OCR
+  scoreScreenshot: { dir: DIRS.scoreScreenshot, urlPrefix: '/uploads/score-screens', accept: IMAGE_TYPES, maxBytes: 10 * MB, maxPixels: 40e6, maxSide: 4000, thumbSide: 0, format: 'png' },
+  rosterCsv: { accept: ['text'], maxBytes: 1 * MB }
+};
+
+// uploads whose owner is gone are only swept once they are this old, so a
+// file written just before its owner's record is saved is never taken
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+function profileOf(name) {
+  const profile = PROFILES[name];
+  if (!profile) throw new Error(`Unknown upload kind: ${name}`);
+  return profile;
+}
+
+function sizeLabel(bytes) {
+  return bytes >= MB ? `${Math.round(bytes / MB)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * File type from its first bytes: 'png' | 'jpeg' | 'gif' | 'webp' | 'text',
+ * or null. 'text' means valid UTF-8 without NUL bytes.
+ */
+function sniff(buffer) {
+  if (!buffer || !buffer.length) return null;
+  const b = buffer;
+  if (b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return 'jpeg';
+  if (b.length >= 6 && /^GIF8[79]a$/.test(b.toString('latin1', 0, 6))) return 'gif';
+  if (b.length >= 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (b.includes(0)) return null;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(b);
+    return 'text';
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Route middleware: multer for one field, in memory, capped at the kind's
+ * size. Oversized files answer 413 before the handler runs.
+ */
+function single(kind, field) {
+  const profile = profileOf(kind);
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: profile.maxBytes, files: 1 } }).single(field);
+  return (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large (max ${sizeLabel(profile.maxBytes)})`, code: 'FILE_TOO_LARGE' });
+    }
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message, code: err.code });
+    return next(err);
+  });
+}
+
+function checkType(file, profile) {
+  if (!file || !file.buffer) throw codedError('NO_FILE', 'No file uploaded');
+  const type = sniff(file.buffer);
+  if (!type || !profile.accept.includes(type)) {
+    const wanted = profile.accept.includes('text') ? 'a text file' : `an image (${profile.accept.join(', ')})`;
+    throw codedError('INVALID_TYPE', `Unsupported file type; upload ${wanted}`);
+  }
+  return type;
+}
+
+function encode(pipeline, format) {
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 });
+  return pipeline.webp({ quality: 85 });
+}
+
+// Names saveImage writes for a kind: `<name>_<ms timestamp>[_thumb].<format>`.
+// Anything else in the folder (committed assets, defaults) is never swept.
+function isStoredName(fileName, profile) {
+  const re = new RegExp(`^[A-Za-z0-9_-]+_\\d{13}(_thumb)?\\.${profile.format}$`);
+  return re.test(fileName);
+}
+
+function thumbPathOf(filePath) {
+  return filePath.replace(/(\.[a-z0-9]+)$/i, '_thumb$1');
+}
+
+async function unlinkQuiet(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Store an uploaded image for `kind` as `<name>_<time>.<format>` plus a
+ * `_thumb` copy when the kind has thumbnails.
+ * @returns {Promise<{ fileName: string, path: string, url: string, thumbUrl: string|null, width: number, height: number, bytes: number, sourceType: string }>}
+ */
+async function saveImage(file, kind, { name }) {
+  const profile = profileOf(kind);
+  const sourceType = checkType(file, profile);
+  const input = { limitInputPixels: profile.maxPixels, failOn: 'error' };
+
+  let meta;
+  try {
+    // reads the header only, so the pixel count can be checked before decoding
+    meta = await sharp(file.buffer, { limitInputPixels: false }).metadata();
+  } catch (e) {
+    throw codedError('INVALID_IMAGE', 'The image could not be read');
+  }
+  if (!meta.width || !meta.height) throw codedError('INVALID_IMAGE', 'The image could not be read');
+  if (meta.width * meta.height > profile.maxPixels) {
+    throw codedError('TOO_MANY_PIXELS', `Image is too large (max ${Math.round(profile.maxPixels / 1e6)} megapixels)`);
+  }
+
+  const base = `${String(name).replace(/[^A-Za-z0-9_-]/g, '')}_${Date.now()}`;
+  const fileName = `${base}.${profile.format}`;
+  const filePath = path.join(profile.dir, fileName);
+  await fs.promises.mkdir(profile.dir, { recursive: true });
+
+  let info;
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const pipeline = sharp(file.buffer, input).rotate()
+      .resize({ width: profile.maxSide, height: profile.maxSide, fit: 'inside', withoutEnlargement: true });
+    info = await encode(pipeline, profile.format).toFile(filePath);
+    if (profile.thumbSide) {
+      const thumb = sharp(file.buffer, input).rotate().resize({ width: profile.thumbSide, height: profile.thumbSide, fit: 'cover' });
+      await encode(thumb, profile.format).toFile(thumbPathOf(filePath));
+    }
+  } catch (e) {
+    await unlinkQuiet(filePath);
+    await unlinkQuiet(thumbPathOf(filePath));
+    throw codedError('INVALID_IMAGE', 'The image could not be processed');
+  }
+
+  const url = `${profile.urlPrefix}/${fileName}`;
+  return {
+    fileName,
+    path: filePath,
+    url,
+    thumbUrl: profile.thumbSide ? thumbPathOf(url) : null,
+    width: info.width,
+    height: info.height,
+    bytes: info.size,
+    sourceType
+  };
+}
+
+// Contents of an uploaded text file (e.g. roster CSV); nothing is stored
+function readText(file, kind) {
+  checkType(file, profileOf(kind));
+  return file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+// Disk path of a URL this service handed out; null for anything else
+// (Google avatars, bundled assets referenced by hand, ../ tricks)
+function diskPathOf(url) {
+  if (!url || typeof url !== 'string') return null;
+  for (const profile of Object.values(PROFILES)) {
+    if (!profile.urlPrefix || !url.startsWith(`${profile.urlPrefix}/`)) continue;
+    const name = url.slice(profile.urlPrefix.length + 1);
+    if (!name || name !== path.basename(name) || name.startsWith('.')) return null;
+    return path.join(profile.dir, name);
+  }
+  return null;
+}
+
+/**
+ * Delete an uploaded file and its thumbnail by URL. Used when a file is
+ * replaced and when its team is deleted.
+ * @returns {Promise<boolean>} whether the main file was removed
+ */
+async function removeUpload(url) {
+  const filePath = diskPathOf(url);
+  if (!filePath) return false;
+  await unlinkQuiet(thumbPathOf(filePath));
+  return unlinkQuiet(filePath);
+}
+
+/**
+ * Remove avatars and team logos that no user or team points at any more
+ * (owners deleted, uploads from before replacements were cleaned up). Only
+ * files named the way saveImage names them are candidates. There is no
+ * user-delete path, so this sweep is what cleans up after removed accounts.
+ * @returns {Promise<{ scanned: number, removed: number }>}
+ */
+async function cleanupOrphans({ minAgeMs = ORPHAN_MIN_AGE_MS } = {}) {
+  const [users, teams] = await Promise.all([
+    User.find({ avatarUrl: { $regex: `^${PROFILES.avatar.urlPrefix}/` } }).select('avatarUrl').lean(),
+    Team.find({ logoUrl: { $regex: `^${PROFILES.teamLogo.urlPrefix}/` } }).select('logoUrl').lean()
+  ]);
+  const keep = new Set();
+  users.map((u) => u.avatarUrl).concat(teams.map((t) => t.logoUrl)).forEach((url) => {
+    const filePath = diskPathOf(url);
+    if (filePath) {
+      keep.add(filePath);
+      keep.add(thumbPathOf(filePath));
+    }
+  });
+
+  let scanned = 0;
+  let removed = 0;
+  const cutoff = Date.now() - minAgeMs;
+  for (const profile of [PROFILES.avatar, PROFILES.teamLogo]) {
+    let names = [];
+    try { names = await fs.promises.readdir(profile.dir); } catch (e) { continue; }
+    for (const name of names) {
+      const filePath = path.join(profile.dir, name);
+      scanned += 1;
+      if (keep.has(filePath) || !isStoredName(name, profile)) continue;
+      try {
+        const st = await fs.promises.stat(filePath);
+        if (!st.isFile() || st.mtimeMs > cutoff) continue;
+      } catch (e) {
+        continue;
+      }
+      if (await unlinkQuiet(filePath)) removed += 1;
+    }
+  }
+  return { scanned, removed };
+}
+
+module.exports = {
+  DIRS,
+  PROFILES,
+  sniff,
+  single,
+  saveImage,
+  readText,
+  removeUpload,
+  cleanupOrphans
+};
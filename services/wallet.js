@@ -0,0 +1,97 @@
+// services/wallet.js
+// Virtual coin wallet. Every balance change goes through applyTransaction,
+// which moves User.walletBalance and appends the ledger row together.
+
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { codedError } = require('./errors');
+
+/**
+ * Apply one signed ledger movement. Debits only succeed when the balance
+ * covers them. Pass a session to join an open transaction.
+ * @returns {Promise<object>} the ledger row
+ */
+async function applyTransaction({ userId, type, amount, ref, contestId, entryId, note, createdBy }, session = null) {
+  const delta = Number(amount);
+  if (!userId) throw codedError('NO_WALLET_OWNER', 'Wallet owner unknown');
+  if (!delta || isNaN(delta)) throw codedError('INVALID_AMOUNT', 'Amount must be a non-zero number');
+
+  const filter = { _id: userId };
+  if (delta < 0) filter.walletBalance = { $gte: -delta };
+  const user = await User.findOneAndUpdate(filter, { $inc: { walletBalance: delta } }, { new: true, session });
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    if (!exists) throw codedError('NO_WALLET_OWNER', 'Wallet owner not found');
+    throw codedError('INSUFFICIENT_FUNDS', 'Insufficient wallet balance');
+  }
+
+  const [txn] = await WalletTransaction.create([{
+    userId,
+    type,
+    amount: delta,
+    balanceAfter: user.walletBalance,
+    ref,
+    contestId: contestId || null,
+    entryId: entryId || null,
+    note: note || '',
+    createdBy: createdBy || ''
+  }], { session });
+  return txn;
+}
+
+// Charge a contest entry fee (no-op for free contests)
+async function debitEntryFee({ userId, contest, entryId }, session = null) {
+  const fee = Number(contest.entryFee || 0);
+  if (fee <= 0) return null;
+  return applyTransaction({
+    userId,
+    type: 'entry_debit',
+    amount: -fee,
+    ref: `debit:${entryId}`,
+    contestId: contest._id,
+    entryId,
+    note: `Entry fee: ${contest.title || contest._id}`
+  }, session);
+}
+
+/**
+ * Give back the fee charged for an entry, once. Entries that were free or
+ * already refunded are skipped.
+ */
+async function refundEntry(entryId, { note, createdBy } = {}, session = null) {
+  const debit = await WalletTransaction.findOne({ ref: `debit:${entryId}` }).session(session).lean();
+  if (!debit) return null;
+  const already = await WalletTransaction.exists({ ref: `refund:${entryId}` }).session(session);
+  if (already) return null;
+  return applyTransaction({
+    userId: debit.userId,
+    type: 'refund',
+    amount: -debit.amount,
+    ref: `refund:${entryId}`,
+    contestId: debit.contestId,
+    entryId,
+    note: note || 'Entry refund',
+    createdBy
+  }, session);
+}
+
+async function refundEntries(entryIds, opts = {}, session = null) {
+  let refunded = 0;
+  for (const id of entryIds) {
+    if (await refundEntry(id, opts, session)) refunded += 1;
+  }
+  return refunded;
+}
+
+async function getBalance(userId) {
+  const user = await User.findById(userId).select('walletBalance').lean();
+  return user ? Number(user.walletBalance || 0) : 0;
+}
+
+module.exports = {
+  applyTransaction,
+  debitEntryFee,
+  refundEntry,
+  refundEntries,
+  getBalance
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveStats, nextPosition } = require('../services/ballByBall');
+
+let seq = 0;
+function ball(fields) {
+  seq += 1;
+  return {
+    seq,
+    innings: 1,
+    over: 0,
+    batter: 'Rohit Sharma',
+    nonStriker: 'Virat Kohli',
+    bowler: 'Jasprit Bumrah',
+    runs: 0,
+    boundary: null,
+    extras: { type: '', runs: 0 },
+    wicket: { kind: '', playerOut: '', fielder: '' },
+    undone: false,
+    ...fields
+  };
+}
+
+const row = (stats, name) => stats.find((s) => s.playerName === name);
+
+test('six dot balls by one bowler are a maiden', () => {
+  const events = Array.from({ length: 6 }, () => ball({}));
+  const bumrah = row(deriveStats(events), 'Jasprit Bumrah');
+  assert.equal(bumrah.maidens, 1);
+  assert.equal(bumrah.overs, 1);
+  assert.equal(bumrah.runsConceded, 0);
+});
+
+test('byes and leg-byes keep a maiden; a wide breaks it and is not a legal ball', () => {
+  const withByes = Array.from({ length: 6 }, (_, i) => ball(i === 2 ? { extras: { type: 'legbye', runs: 1 } } : {}));
+  assert.equal(row(deriveStats(withByes), 'Jasprit Bumrah').maidens, 1);
+
+  const withWide = Array.from({ length: 6 }, () => ball({})).concat(ball({ extras: { type: 'wide', runs: 1 } }));
+  const bumrah = row(deriveStats(withWide), 'Jasprit Bumrah');
+  assert.equal(bumrah.maidens, 0);
+  assert.equal(bumrah.runsConceded, 1);
+  assert.equal(bumrah.overs, 1);
+  assert.equal(row(deriveStats(withWide), 'Rohit Sharma').balls, 6);
+});
+
+test('a maiden needs a full over from the same bowler', () => {
+  const events = Array.from({ length: 5 }, () => ball({}));
+  assert.equal(row(deriveStats(events), 'Jasprit Bumrah').maidens, 0);
+});
+
+test('run outs credit the fielder, not the bowler', () => {
+  const events = [
+    ball({ runs: 1, wicket: { kind: 'runout', playerOut: 'Virat Kohli', fielder: 'Ravindra Jadeja' } })
+  ];
+  const stats = deriveStats(events);
+  assert.equal(row(stats, 'Virat Kohli').out, true);
+  assert.equal(row(stats, 'Rohit Sharma').out, false);
+  assert.equal(row(stats, 'Ravindra Jadeja').runOuts, 1);
+  assert.equal(row(stats, 'Jasprit Bumrah').wickets, 0);
+});
+
+test('catches credit the fielder and the bowler; caught-and-bowled credits the bowler twice', () => {
+  const stats = deriveStats([
+    ball({ wicket: { kind: 'caught', playerOut: 'Rohit Sharma', fielder: 'Trent Boult' } }),
+    ball({ batter: 'Virat Kohli', wicket: { kind: 'caughtandbowled', playerOut: 'Virat Kohli', fielder: '' } })
+  ]);
+  assert.equal(row(stats, 'Trent Boult').catches, 1);
+  assert.equal(row(stats, 'Jasprit Bumrah').wickets, 2);
+  assert.equal(row(stats, 'Jasprit Bumrah').catches, 1);
+});
+
+test('undone events are ignored and mvp carries over', () => {
+  const stats = deriveStats(
+    [ball({ runs: 4 }), ball({ runs: 6, undone: true })],
+    { carry: [{ playerName: 'Rohit Sharma', mvp: true }] }
+  );
+  const rohit = row(stats, 'Rohit Sharma');
+  assert.deepEqual([rohit.runs, rohit.fours, rohit.sixes, rohit.mvp], [4, 1, 0, true]);
+});
+
+test('nextPosition does not advance the ball for extras that are rebowled', () => {
+  const prior = Array.from({ length: 6 }, () => ball({}));
+  assert.deepEqual(nextPosition(prior, 1, ball({})), { over: 1, ball: 1 });
+  assert.deepEqual(nextPosition(prior, 1, ball({ extras: { type: 'noball', runs: 1 } })), { over: 1, ball: 0 });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRows, assignRanks, encodeCursor, decodeCursor } = require('../services/leaderboard');
+
+function rows(points) {
+  return points.map((p, i) => ({ entryId: `e${i}`, points: p, createdAt: new Date(2025, 0, 1, 0, i) }));
+}
+
+test('standard ranking skips positions after a tie', () => {
+  const ranked = assignRanks(rows([90, 75, 75, 60]).sort(compareRows), 'standard');
+  assert.deepEqual(ranked.map((r) => r.rank), [1, 2, 2, 4]);
+  assert.deepEqual(ranked.map((r) => r.tied), [false, true, true, false]);
+});
+
+test('dense ranking does not skip positions', () => {
+  const ranked = assignRanks(rows([90, 75, 75, 60]).sort(compareRows), 'dense');
+  assert.deepEqual(ranked.map((r) => r.rank), [1, 2, 2, 3]);
+});
+
+test('tied points are ordered by earliest entry, then id', () => {
+  const list = rows([50, 50, 50]).reverse();
+  list[0].createdAt = list[1].createdAt;
+  const sorted = list.sort(compareRows);
+  assert.deepEqual(sorted.map((r) => r.entryId), ['e0', 'e1', 'e2']);
+  assert.ok(sorted.every((r, i, all) => i === 0 || compareRows(all[i - 1], r) < 0));
+});
+
+test('everyone tied shares first place', () => {
+  const ranked = assignRanks(rows([10, 10, 10]).sort(compareRows));
+  assert.deepEqual(ranked.map((r) => r.rank), [1, 1, 1]);
+  assert.ok(ranked.every((r) => r.tied));
+});
+
+test('cursors round-trip and reject anything that is not an entry id', () => {
+  const row = { points: 42.5, createdAt: new Date('2025-03-01T10:00:00Z'), entryId: '65a1b2c3d4e5f60718293a4b' };
+  assert.deepEqual(decodeCursor(encodeCursor(row)), row);
+  assert.equal(decodeCursor(encodeCursor({ ...row, entryId: '{"$ne":null}' })), null);
+  assert.equal(decodeCursor('not-a-cursor'), null);
+});
@@ -0,0 +1,77 @@
+// Parses saved .meta.json OCR text from test/fixtures; no network or DB.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseScorecardText, splitTrailingNumbers, splitDismissal } = require('../services/ocrScorecard');
+
+const roster = require('../leagueTeams.json')
+  .slice(0, 2)
+  .flatMap((t) => t.players.map((p) => ({ playerName: p.playerName })));
+
+function savedOcr(name) {
+  const meta = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `ocr-${name}.meta.json`), 'utf8'));
+  return meta.ocrText;
+}
+
+const byName = (stats, name) => stats.find((s) => s.playerName === name);
+
+test('rows layout: batting and bowling lines become stat rows', () => {
+  const { layout, stats } = parseScorecardText(savedOcr('rows'), roster);
+  assert.equal(layout, 'rows');
+  assert.equal(stats.length, 11);
+
+  const kohli = byName(stats, 'Virat Kohli');
+  assert.deepEqual([kohli.runs, kohli.balls, kohli.fours, kohli.sixes, kohli.out], [58, 41, 6, 1, false]);
+  assert.equal(kohli.confidence, 'high');
+
+  // "(wk)" is dropped when the name is matched to the roster
+  const qdk = byName(stats, 'Quinton de Kock');
+  assert.equal(qdk.out, true);
+  assert.equal(qdk.dismissal, 'b Arshdeep Singh');
+
+  const samson = byName(stats, 'Sanju Samson');
+  assert.equal(samson.dismissal, 'run out (Phillips)');
+  assert.equal(samson.out, true);
+
+  const narine = byName(stats, 'Sunil Narine');
+  assert.deepEqual([narine.overs, narine.maidens, narine.runsConceded, narine.wickets], [4, 1, 22, 1]);
+});
+
+test('rows layout: OCR letter/digit confusions inside numbers are repaired', () => {
+  const { stats } = parseScorecardText(savedOcr('rows'), roster);
+  // the sample reads "4l" for 41 runs conceded
+  assert.equal(byName(stats, 'Shaheen Shah Afridi').runsConceded, 41);
+});
+
+test('columns layout: per-column blocks are zipped back into rows', () => {
+  const { layout, stats } = parseScorecardText(savedOcr('columns'), roster);
+  assert.equal(layout, 'columns');
+  assert.deepEqual(stats.map((s) => s.playerName), ['Jos Buttler', 'Shubman Gill', 'Liam Livingstone', 'Glenn Phillips']);
+
+  const livingstone = byName(stats, 'Liam Livingstone');
+  assert.deepEqual([livingstone.runs, livingstone.balls, livingstone.fours, livingstone.sixes], [36, 22, 2, 3]);
+  assert.equal(livingstone.dismissal, 'st de Kock b Jadeja');
+  assert.equal(byName(stats, 'Glenn Phillips').out, false);
+  stats.forEach((s) => {
+    assert.ok(s.flags.includes('COLUMN_LAYOUT'));
+    assert.equal(s.confidence, 'medium');
+  });
+});
+
+test('unknown names and impossible figures are flagged, not dropped', () => {
+  const { stats } = parseScorecardText('Batting\nNobody Known c X b Y 4 10 3 0 40.00', roster);
+  assert.equal(stats.length, 1);
+  assert.ok(stats[0].flags.includes('NAME_UNMATCHED'));
+  assert.ok(stats[0].flags.includes('BOUNDARIES_EXCEED_RUNS'));
+  assert.equal(stats[0].confidence, 'low');
+});
+
+test('helpers split names, dismissals and trailing numbers', () => {
+  assert.deepEqual(splitTrailingNumbers('Rohit Sharma c Buttler b Holder 34 22 4 2 154.54'), {
+    text: 'Rohit Sharma c Buttler b Holder',
+    nums: ['34', '22', '4', '2', '154.54']
+  });
+  assert.deepEqual(splitDismissal('Rohit Sharma c Buttler b Holder'), { name: 'Rohit Sharma', dismissal: 'c Buttler b Holder' });
+  assert.deepEqual(splitDismissal('Virat Kohli'), { name: 'Virat Kohli', dismissal: '' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPrizeStructure, computePrizePool, distribute } = require('../services/payouts');
+
+function ranked(points) {
+  return points.map((p, i) => ({ entryId: `e${i}`, points: p }));
+}
+
+const percentage = {
+  type: 'percentage',
+  bands: [
+    { fromRank: 1, percent: 50 },
+    { fromRank: 2, percent: 30 },
+    { fromRank: 3, percent: 20 }
+  ]
+};
+
+test('tied entries split the prizes of the positions they cover', () => {
+  const out = distribute(ranked([100, 80, 80, 40]), percentage, 1000);
+  assert.deepEqual(out.map((r) => r.amount), [500, 250, 250, 0]);
+});
+
+test('a tie straddling the last paid position shares it with unpaid positions', () => {
+  const out = distribute(ranked([100, 80, 60, 60]), percentage, 1000);
+  assert.deepEqual(out.map((r) => r.amount), [500, 300, 100, 100]);
+});
+
+test('shares are rounded down to cents so the total never exceeds the pool', () => {
+  const out = distribute(ranked([10, 10, 10]), { type: 'fixed', bands: [{ fromRank: 1, amount: 100 }] }, 0);
+  assert.deepEqual(out.map((r) => r.amount), [33.33, 33.33, 33.33]);
+});
+
+test('pool is fees minus rake, or the guarantee when larger', () => {
+  const contest = { entryFee: 50, prizeStructure: { type: 'percentage', rakePercent: 10, guaranteedPool: 0, bands: [] } };
+  assert.equal(computePrizePool(contest, 10), 450);
+  contest.prizeStructure.guaranteedPool = 1000;
+  assert.equal(computePrizePool(contest, 10), 1000);
+});
+
+test('prize structures over 100% or with overlapping bands are rejected', () => {
+  assert.deepEqual(checkPrizeStructure(percentage), []);
+  const over = { type: 'percentage', bands: [{ fromRank: 1, toRank: 2, percent: 60 }] };
+  assert.ok(checkPrizeStructure(over).some((e) => /more than 100/.test(e)));
+  const overlap = { type: 'fixed', bands: [{ fromRank: 1, toRank: 3, amount: 10 }, { fromRank: 3, amount: 5 }] };
+  assert.ok(checkPrizeStructure(overlap).some((e) => /overlaps/.test(e)));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTeam, resolveTeamRules, checkRulesConfig, DEFAULT_TEAM_RULES } = require('../services/teamRules');
+
+// 8 players from each side: BAT A1-A5, BOWL A6-A8 (likewise B)
+function roster() {
+  const side = (t) => Array.from({ length: 8 }, (_, i) => ({
+    playerName: `${t}${i + 1}`,
+    realTeam: t,
+    role: i < 5 ? 'BAT' : 'BOWL',
+    credits: 10,
+    status: 'active'
+  }));
+  return side('A').concat(side('B'));
+}
+
+const pick = (...names) => ({ players: names, captain: names[0], vice: names[1] });
+const codes = (result) => result.errors.map((e) => e.code);
+
+test('without configured rules only roster, size and captain checks apply', () => {
+  const match = { players: roster() };
+  const team = pick('A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2', 'B3');
+  const result = validateTeam(match, team);
+  assert.equal(result.ok, true, JSON.stringify(result.errors));
+  assert.equal(result.summary.composition, false);
+  assert.equal(result.summary.credits, 110);
+});
+
+test('configured rules enforce the credit cap, role limits and per-team cap', () => {
+  const match = { players: roster(), teamRules: { creditCap: 100, maxPerRealTeam: 7 } };
+  const team = pick('A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2', 'B3');
+  const result = validateTeam(match, team);
+  assert.equal(result.ok, false);
+  assert.ok(codes(result).includes('CREDIT_CAP'));
+  assert.ok(codes(result).includes('MAX_PER_REAL_TEAM'));
+  assert.ok(codes(result).includes('ROLE_MIN')); // no WK or AR on this roster
+});
+
+test('unknown, duplicate and inactive players are rejected either way', () => {
+  const players = roster();
+  players[0].status = 'injured';
+  const team = pick('A1', 'A2', 'A2', 'Z9', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2', 'B3');
+  const result = validateTeam({ players }, team);
+  assert.deepEqual(codes(result).sort(), ['DUPLICATE_PLAYER', 'NOT_IN_ROSTER', 'PLAYER_INACTIVE']);
+});
+
+test('team size and captain/vice are always checked', () => {
+  const match = { players: roster() };
+  assert.ok(codes(validateTeam(match, pick('A1', 'A2'))).includes('TEAM_SIZE'));
+
+  const names = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2', 'B3'];
+  const same = validateTeam(match, { players: names, captain: 'A1', vice: 'A1' });
+  assert.deepEqual(codes(same), ['CAPTAIN_EQUALS_VICE']);
+  const outside = validateTeam(match, { players: names, captain: 'B8', vice: '' });
+  assert.deepEqual(codes(outside), ['CAPTAIN_NOT_IN_TEAM', 'VICE_REQUIRED']);
+});
+
+test('a locked match validates against its roster snapshot', () => {
+  const match = { players: [], lockedAt: new Date(), rosterSnapshot: roster() };
+  const result = validateTeam(match, pick('A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'B1', 'B2', 'B3'));
+  assert.equal(result.ok, true);
+});
+
+test('stored rules merge over the defaults and are sanity-checked', () => {
+  const rules = resolveTeamRules({ teamSize: 5, roleLimits: { WK: { min: 2 } } });
+  assert.equal(rules.creditCap, DEFAULT_TEAM_RULES.creditCap);
+  assert.deepEqual(rules.roleLimits.WK, { min: 2, max: 4 });
+  assert.ok(checkRulesConfig(rules).includes('Sum of role minimums exceeds teamSize'));
+  assert.deepEqual(checkRulesConfig(resolveTeamRules({})), []);
+});